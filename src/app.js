@@ -4,12 +4,15 @@
 
 import { store } from './core/store.js';
 import { eventBus, EVENTS } from './core/eventBus.js';
-import { commandStack, setupKeyboardShortcuts, createAddNodeCommand } from './core/commandStack.js';
-import { createNode, createVariable, createDiagram } from './core/types.js';
+import { commandStack, setupKeyboardShortcuts, createAddNodeCommand, createDeleteEdgeCommand } from './core/commandStack.js';
+import { createNode, createVariable, createDiagram, createMetadataForKind, NODE_KINDS, NODE_KIND_LABELS, DATA_TYPES, EDGE_ROUTING } from './core/types.js';
 import { generateNodeId, generateVariableId, generateEdgeId } from './core/id.js';
 import { downloadDiagram, uploadDiagram, loadDiagramFromStorage, getSavedDiagramInfo, clearSavedDiagram } from './services/persistence.js';
 import { exportViewportPng } from './services/exporters.js';
 import { exportStandaloneHtml } from './services/selfContained.js';
+import { downloadPostgresDdl } from './services/sqlExport.js';
+import { downloadTypeScript } from './services/tsExport.js';
+import { setupEdgeStatusSync, setupLinting } from './services/validate.js';
 
 // Import modular UI components
 import { CanvasManager } from './ui/CanvasManager.js';
@@ -17,6 +20,11 @@ import { NodeRenderer } from './ui/NodeRenderer.js';
 import { EdgeRenderer } from './ui/EdgeRenderer.js';
 import { ConnectionManager } from './ui/ConnectionManager.js';
 import { Inspector } from './ui/Inspector.js';
+import { ImportDialog } from './ui/ImportDialog.js';
+import { RelationshipDialog } from './ui/RelationshipDialog.js';
+import { EdgeLegend } from './ui/EdgeLegend.js';
+import { LineageControls } from './ui/LineageControls.js';
+import { ProblemsPanel } from './ui/ProblemsPanel.js';
 
 class DataFlowApp {
   constructor() {
@@ -24,8 +32,15 @@ class DataFlowApp {
     this.canvasManager = new CanvasManager();
     this.connectionManager = new ConnectionManager(this.canvasManager);
     this.nodeRenderer = new NodeRenderer(this.canvasManager, this.connectionManager);
-    this.edgeRenderer = new EdgeRenderer();
-    this.inspector = new Inspector();
+    this.edgeRenderer = new EdgeRenderer(this.connectionManager);
+    this.inspector = new Inspector({
+      onImportFields: (nodeId) => this.importDialog.open('json-schema', { target: nodeId })
+    });
+    this.importDialog = new ImportDialog();
+    this.relationshipDialog = new RelationshipDialog();
+    this.edgeLegend = new EdgeLegend({ onClose: () => store.setShowLegend(false) });
+    this.lineageControls = new LineageControls();
+    this.problemsPanel = new ProblemsPanel(this.canvasManager);
     
     this.init();
   }
@@ -46,6 +61,13 @@ class DataFlowApp {
     // Setup global keyboard handlers
     this.setupGlobalKeyboardHandlers();
 
+    // Keep edge statuses in sync with field types (registered before dirty
+    // tracking so a status refresh on load doesn't leave the diagram dirty)
+    setupEdgeStatusSync();
+
+    // Lint the diagram on every change (feeds the problems panel)
+    setupLinting();
+
     // Setup save-status indicator and dirty tracking
     this.setupSaveStatus();
     this.setupDirtyTracking();
@@ -68,9 +90,15 @@ class DataFlowApp {
     // Canvas click handling - removed selection clearing to keep inspector persistent
     const canvas = document.getElementById('canvas');
     
-    // Prevent context menu on canvas
+    // Replace the browser context menu on canvas; fields and nodes get the lineage trace menu
     canvas.addEventListener('contextmenu', (e) => {
       e.preventDefault();
+      this.lineageControls.openMenu(e);
+    });
+
+    // Keep edge label pills readable while zooming
+    eventBus.on(EVENTS.CANVAS_ZOOM, ({ scale }) => {
+      this.edgeRenderer.updateLabelScale(scale);
     });
   }
 
@@ -78,13 +106,17 @@ class DataFlowApp {
     // Global keyboard handler for deleting selected edges
     document.addEventListener('keydown', (e) => {
       if (e.key === 'Delete' || e.key === 'Backspace') {
+        // Leave Backspace alone while typing (e.g. in the edge inspector's transform field)
+        const active = document.activeElement;
+        if (active && (active.tagName === 'INPUT' || active.tagName === 'TEXTAREA' || active.isContentEditable)) return;
+
         const state = store.getState();
         if (state.selection.type === 'edge' && state.selection.ids.length > 0) {
           e.preventDefault();
           const edgeId = state.selection.ids[0];
           if (confirm('Delete this connection?')) {
             console.log('Deleting edge:', edgeId);
-            store.deleteEdge(edgeId);
+            commandStack.execute(createDeleteEdgeCommand(store, edgeId));
           }
         }
       }
@@ -121,10 +153,16 @@ class DataFlowApp {
 
   setupUIHandlers() {
     // Top bar buttons
-    
+    document.getElementById('btnNewApi').addEventListener('click', () => {
+      this.createNode(NODE_KINDS.API);
+    });
+
+    document.getElementById('btnNewTable').addEventListener('click', () => {
+      this.createNode(NODE_KINDS.TABLE);
+    });
     
     document.getElementById('btnNewModule').addEventListener('click', () => {
-      this.createNode();
+      this.createNode(NODE_KINDS.MODULE);
     });
     
     
@@ -140,6 +178,18 @@ class DataFlowApp {
       exportViewportPng(filename);
     });
 
+    document.getElementById('btnExportSql').addEventListener('click', () => {
+      const state = store.getState();
+      const filename = this.getSafeFilename(state.diagram.title) + '.sql';
+      downloadPostgresDdl(filename);
+    });
+
+    document.getElementById('btnExportTs').addEventListener('click', () => {
+      const state = store.getState();
+      const filename = this.getSafeFilename(state.diagram.title) + '.ts';
+      downloadTypeScript(filename);
+    });
+
     const btnExportHtml = document.getElementById('btnExportHtml');
     if (btnExportHtml) {
       btnExportHtml.addEventListener('click', async () => {
@@ -193,6 +243,18 @@ class DataFlowApp {
     document.getElementById('btnImport').addEventListener('click', () => {
       uploadDiagram();
     });
+
+    document.getElementById('btnImportSchema').addEventListener('click', () => {
+      this.importDialog.open();
+    });
+
+    document.getElementById('btnSuggestRelations').addEventListener('click', () => {
+      this.relationshipDialog.open();
+    });
+
+    document.getElementById('btnAnalyzeFlow').addEventListener('click', () => {
+      store.setShowFlowAnalysis(!store.getState().ui.showFlowAnalysis);
+    });
     
     document.getElementById('btnNewDiagram').addEventListener('click', () => {
       this.newDiagram();
@@ -206,6 +268,30 @@ class DataFlowApp {
       });
     }
 
+    // Inspector footer: edge routing mode (saved with the diagram)
+    const routingSelect = document.getElementById('edgeRoutingSelect');
+    if (routingSelect) {
+      routingSelect.addEventListener('change', () => {
+        store.setEdgeRouting(routingSelect.value);
+      });
+    }
+
+    // Inspector footer: bundle parallel edges (saved with the diagram)
+    const chkBundling = document.getElementById('toggleEdgeBundling');
+    if (chkBundling) {
+      chkBundling.addEventListener('change', () => {
+        store.setEdgeBundling(chkBundling.checked);
+      });
+    }
+
+    // Inspector footer: legend overlay for flow kinds and cardinality
+    const chkLegend = document.getElementById('toggleEdgeLegend');
+    if (chkLegend) {
+      chkLegend.addEventListener('change', () => {
+        store.setShowLegend(chkLegend.checked);
+      });
+    }
+
     // Diagram title input
     const titleInput = document.getElementById('diagramTitle');
     if (titleInput) {
@@ -414,6 +500,7 @@ class DataFlowApp {
     on(E.EDGE_ADD, markDirty);
     on(E.EDGE_UPDATE, markDirty);
     on(E.EDGE_DELETE, markDirty);
+    on(E.DIAGRAM_UPDATE, markDirty);
 
     // Clean states (new import/load/export)
     on(E.DIAGRAM_IMPORT, markClean);
@@ -421,23 +508,23 @@ class DataFlowApp {
     on(E.DIAGRAM_EXPORT, markClean);
   }
 
-  createNode() {
+  createNode(kind = NODE_KINDS.MODULE) {
     const position = this.getNewNodePosition();
-    let title = 'New Node';
-    let metadata = {};
+    const title = NODE_KIND_LABELS[kind] || NODE_KIND_LABELS[NODE_KINDS.MODULE];
     
-    // Always create a Module node
-    title = 'Module';
-    metadata = { route: '', framework: '' };
-    
-    const node = createNode(title, position);
+    const node = createNode(title, position, kind);
     node.id = generateNodeId();
-    node.metadata = metadata;
+    node.metadata = createMetadataForKind(kind);
     
-    // Add a sample variable
-    const variable = createVariable('sample_field');
+    // Tables start with a primary key column; other kinds get a sample variable
+    const variable = kind === NODE_KINDS.TABLE
+      ? createVariable('id', DATA_TYPES.UUID)
+      : createVariable('sample_field');
     variable.id = generateVariableId();
     node.variables = [variable];
+    if (kind === NODE_KINDS.TABLE) {
+      node.metadata.pk = [variable.name];
+    }
     
     store.addNode(node);
     store.setSelection('node', node.id);
@@ -499,10 +586,22 @@ class DataFlowApp {
     this.nodeRenderer.renderNodes(state);
     this.edgeRenderer.renderEdges(state);
     this.inspector.renderInspector(state);
+    this.edgeLegend.render(state);
+    this.lineageControls.render(state);
+    this.problemsPanel.render(state);
+    // Dim everything outside an active lineage trace
+    document.getElementById('content').classList.toggle('lineage-active', state.ui.highlightedLineage.size > 0);
 
     // Sync inspector toggle from state
     const chk = document.getElementById('toggleShowTypes');
     if (chk) chk.checked = !!state.ui.showTypes;
+    const routingSelect = document.getElementById('edgeRoutingSelect');
+    if (routingSelect) routingSelect.value = state.diagram.edgeRouting || EDGE_ROUTING.BEZIER;
+    const chkBundling = document.getElementById('toggleEdgeBundling');
+    if (chkBundling) chkBundling.checked = !!state.diagram.edgeBundling;
+    const chkLegend = document.getElementById('toggleEdgeLegend');
+    if (chkLegend) chkLegend.checked = !!state.ui.showLegend;
+    document.getElementById('btnAnalyzeFlow')?.setAttribute('aria-pressed', String(!!state.ui.showFlowAnalysis));
 
     // Sync diagram title from state
     const titleInput = document.getElementById('diagramTitle');
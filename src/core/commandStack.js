@@ -246,6 +246,20 @@ export const createUpdateEdgeCommand = (store, edgeId, updates, previousValues)
   () => store.updateEdge(edgeId, previousValues)
 );
 
+export const createReattachEdgeCommand = (store, edgeId, end, endpoint) => {
+  const previous = store.getEdgeById(edgeId)?.[end];
+
+  return createCommand(
+    'Re-attach connection',
+    () => store.reattachEdge(edgeId, end, endpoint),
+    () => {
+      if (previous) {
+        store.reattachEdge(edgeId, end, previous);
+      }
+    }
+  );
+};
+
 // Composite command for multiple operations
 export const createCompositeCommand = (description, commands) => createCommand(
   description,
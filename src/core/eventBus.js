@@ -139,6 +139,7 @@ export const EVENTS = {
   DIAGRAM_SAVE: 'diagram:save',
   DIAGRAM_EXPORT: 'diagram:export',
   DIAGRAM_IMPORT: 'diagram:import',
+  DIAGRAM_UPDATE: 'diagram:update',
   
   // Import events
   IMPORT_API: 'import:api',
@@ -2,7 +2,7 @@
  * @fileoverview Type normalization and mapping utilities
  */
 
-import { DATA_TYPES } from './types.js';
+import { DATA_TYPES, isValidDataType } from './types.js';
 
 // Postgres type mappings to normalized types
 export const POSTGRES_TYPE_MAP = {
@@ -29,6 +29,12 @@ export const POSTGRES_TYPE_MAP = {
   'double precision': DATA_TYPES.NUMBER,
   'float8': DATA_TYPES.NUMBER,
   'money': DATA_TYPES.NUMBER,
+  'serial': DATA_TYPES.NUMBER,
+  'serial4': DATA_TYPES.NUMBER,
+  'bigserial': DATA_TYPES.NUMBER,
+  'serial8': DATA_TYPES.NUMBER,
+  'smallserial': DATA_TYPES.NUMBER,
+  'serial2': DATA_TYPES.NUMBER,
   
   // Boolean types
   'boolean': DATA_TYPES.BOOLEAN,
@@ -70,10 +76,10 @@ export function normalizePostgresType(pgType) {
     return DATA_TYPES.STRING;
   }
   
-  const cleanType = pgType.toLowerCase().trim();
+  const cleanType = pgType.toLowerCase().trim().replace(/\s+/g, ' ');
   
   // Handle array types
-  if (cleanType.endsWith('[]')) {
+  if (cleanType.endsWith('[]') || /\sarray(\s*\[\d*\])?$/.test(cleanType)) {
     return DATA_TYPES.ARRAY;
   }
   
@@ -87,7 +93,249 @@ export function normalizePostgresType(pgType) {
     return DATA_TYPES.NUMBER;
   }
   
-  return POSTGRES_TYPE_MAP[cleanType] || DATA_TYPES.STRING;
+  if (POSTGRES_TYPE_MAP[cleanType]) {
+    return POSTGRES_TYPE_MAP[cleanType];
+  }
+  
+  // Drop length/precision modifiers (e.g. "timestamp(3) with time zone", "char(2)")
+  // and schema qualifiers (e.g. "pg_catalog.int4") before a final lookup
+  const baseType = cleanType
+    .replace(/\(\s*[\d\s,]*\)/g, '')
+    .replace(/^"?[a-z_][\w$]*"?\./, '')
+    .replace(/"/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  
+  return POSTGRES_TYPE_MAP[baseType] || DATA_TYPES.STRING;
+}
+
+// GraphQL built-in scalars; custom scalars and enums map to string
+export const GRAPHQL_SCALAR_MAP = {
+  'ID': DATA_TYPES.UUID,
+  'String': DATA_TYPES.STRING,
+  'Int': DATA_TYPES.NUMBER,
+  'Float': DATA_TYPES.NUMBER,
+  'Boolean': DATA_TYPES.BOOLEAN
+};
+
+/**
+ * Normalize a GraphQL type reference (e.g. "[Post!]!", "ID!") to our standard type system
+ * @param {string} gqlType - Type reference as written in SDL
+ * @param {Set<string>} [objectTypes] - Names of object/input types (referenced as json)
+ * @returns {string} Normalized type
+ */
+export function normalizeGraphqlType(gqlType, objectTypes = new Set()) {
+  const clean = String(gqlType || '').replace(/\s+/g, '');
+  if (clean.startsWith('[')) {
+    return DATA_TYPES.ARRAY;
+  }
+  const name = clean.replace(/!$/, '');
+  if (GRAPHQL_SCALAR_MAP[name]) return GRAPHQL_SCALAR_MAP[name];
+  return objectTypes.has(name) ? DATA_TYPES.JSON : DATA_TYPES.STRING;
+}
+
+// Protobuf scalar types and well-known message types
+export const PROTOBUF_TYPE_MAP = {
+  'double': DATA_TYPES.NUMBER,
+  'float': DATA_TYPES.NUMBER,
+  'int32': DATA_TYPES.NUMBER,
+  'int64': DATA_TYPES.NUMBER,
+  'uint32': DATA_TYPES.NUMBER,
+  'uint64': DATA_TYPES.NUMBER,
+  'sint32': DATA_TYPES.NUMBER,
+  'sint64': DATA_TYPES.NUMBER,
+  'fixed32': DATA_TYPES.NUMBER,
+  'fixed64': DATA_TYPES.NUMBER,
+  'sfixed32': DATA_TYPES.NUMBER,
+  'sfixed64': DATA_TYPES.NUMBER,
+  'bool': DATA_TYPES.BOOLEAN,
+  'string': DATA_TYPES.STRING,
+  'bytes': DATA_TYPES.STRING,
+  'google.protobuf.Timestamp': DATA_TYPES.DATETIME,
+  'google.protobuf.Duration': DATA_TYPES.STRING,
+  'google.protobuf.Struct': DATA_TYPES.JSON,
+  'google.protobuf.Value': DATA_TYPES.JSON,
+  'google.protobuf.Any': DATA_TYPES.JSON,
+  'google.protobuf.ListValue': DATA_TYPES.ARRAY,
+  'google.protobuf.StringValue': DATA_TYPES.STRING,
+  'google.protobuf.BytesValue': DATA_TYPES.STRING,
+  'google.protobuf.BoolValue': DATA_TYPES.BOOLEAN,
+  'google.protobuf.DoubleValue': DATA_TYPES.NUMBER,
+  'google.protobuf.FloatValue': DATA_TYPES.NUMBER,
+  'google.protobuf.Int32Value': DATA_TYPES.NUMBER,
+  'google.protobuf.Int64Value': DATA_TYPES.NUMBER,
+  'google.protobuf.UInt32Value': DATA_TYPES.NUMBER,
+  'google.protobuf.UInt64Value': DATA_TYPES.NUMBER
+};
+
+/**
+ * Normalize a protobuf field type to our standard type system
+ * @param {string} protoType - Field type ("int64", "map<string, int32>", "google.protobuf.Timestamp", ...)
+ * @param {boolean} [repeated] - Whether the field is `repeated`
+ * @returns {string} Normalized type (messages map to json, enums/unknown to string)
+ */
+export function normalizeProtobufType(protoType, repeated = false) {
+  if (repeated) return DATA_TYPES.ARRAY;
+  const clean = String(protoType || '').replace(/^\./, '').trim();
+  if (clean.startsWith('map<')) return DATA_TYPES.JSON;
+  return PROTOBUF_TYPE_MAP[clean] || DATA_TYPES.STRING;
+}
+
+// Avro primitive types and logical types
+export const AVRO_TYPE_MAP = {
+  'null': DATA_TYPES.STRING,
+  'boolean': DATA_TYPES.BOOLEAN,
+  'int': DATA_TYPES.NUMBER,
+  'long': DATA_TYPES.NUMBER,
+  'float': DATA_TYPES.NUMBER,
+  'double': DATA_TYPES.NUMBER,
+  'bytes': DATA_TYPES.STRING,
+  'string': DATA_TYPES.STRING,
+  'record': DATA_TYPES.JSON,
+  'map': DATA_TYPES.JSON,
+  'array': DATA_TYPES.ARRAY,
+  'enum': DATA_TYPES.STRING,
+  'fixed': DATA_TYPES.STRING
+};
+
+const AVRO_LOGICAL_TYPE_MAP = {
+  'uuid': DATA_TYPES.UUID,
+  'date': DATA_TYPES.DATETIME,
+  'time-millis': DATA_TYPES.DATETIME,
+  'time-micros': DATA_TYPES.DATETIME,
+  'timestamp-millis': DATA_TYPES.DATETIME,
+  'timestamp-micros': DATA_TYPES.DATETIME,
+  'timestamp-nanos': DATA_TYPES.DATETIME,
+  'local-timestamp-millis': DATA_TYPES.DATETIME,
+  'local-timestamp-micros': DATA_TYPES.DATETIME,
+  'decimal': DATA_TYPES.NUMBER,
+  'duration': DATA_TYPES.STRING
+};
+
+/**
+ * Normalize an Avro type (already unwrapped from a nullable union) to our standard type system
+ * @param {string|Object} avroType - Primitive name or complex type object
+ * @returns {string} Normalized type (named type references map to string; callers resolve them)
+ */
+export function normalizeAvroType(avroType) {
+  if (Array.isArray(avroType)) return DATA_TYPES.JSON;
+  if (avroType && typeof avroType === 'object') {
+    if (avroType.logicalType && AVRO_LOGICAL_TYPE_MAP[avroType.logicalType]) {
+      return AVRO_LOGICAL_TYPE_MAP[avroType.logicalType];
+    }
+    return AVRO_TYPE_MAP[avroType.type] || normalizeAvroType(avroType.type);
+  }
+  return AVRO_TYPE_MAP[avroType] || DATA_TYPES.STRING;
+}
+
+/**
+ * Normalize a JSON Schema / OpenAPI schema object to our standard type system
+ * @param {Object} schema - Schema with type/format (already $ref-resolved)
+ * @returns {string} Normalized type
+ */
+export function normalizeJsonSchemaType(schema) {
+  if (!schema || typeof schema !== 'object') {
+    return DATA_TYPES.STRING;
+  }
+  
+  // JSON Schema / OpenAPI 3.1 allow ["string", "null"]
+  let type = schema.type;
+  if (Array.isArray(type)) {
+    type = type.find(t => t !== 'null') || 'string';
+  }
+  const format = typeof schema.format === 'string' ? schema.format.toLowerCase() : '';
+  
+  switch (type) {
+    case 'string':
+      if (format === 'date-time' || format === 'date' || format === 'time') return DATA_TYPES.DATETIME;
+      if (format === 'uuid') return DATA_TYPES.UUID;
+      return DATA_TYPES.STRING;
+    case 'integer':
+    case 'number':
+      return DATA_TYPES.NUMBER;
+    case 'boolean':
+      return DATA_TYPES.BOOLEAN;
+    case 'array':
+      return DATA_TYPES.ARRAY;
+    case 'object':
+      return DATA_TYPES.JSON;
+    default:
+      if (schema.properties || schema.additionalProperties) return DATA_TYPES.JSON;
+      if (schema.items) return DATA_TYPES.ARRAY;
+      if (Array.isArray(schema.enum) && schema.enum.length > 0) return inferTypeFromValue(schema.enum[0]);
+      return DATA_TYPES.STRING;
+  }
+}
+
+/**
+ * Describe a JSON Schema type for display/round-trips, e.g. "integer(int64)"
+ * @param {Object} schema - Schema object
+ * @returns {string|undefined} Source type or undefined when the schema has no type
+ */
+export function formatJsonSchemaType(schema) {
+  if (!schema || typeof schema !== 'object') return undefined;
+  const type = Array.isArray(schema.type) ? schema.type.filter(t => t !== 'null').join('|') : schema.type;
+  if (!type) return undefined;
+  return schema.format ? `${type}(${schema.format})` : type;
+}
+
+// DATA_TYPES -> Postgres, used when a field has no Postgres source type
+const POSTGRES_DEFAULT_TYPES = {
+  [DATA_TYPES.STRING]: 'text',
+  [DATA_TYPES.NUMBER]: 'numeric',
+  [DATA_TYPES.BOOLEAN]: 'boolean',
+  [DATA_TYPES.DATETIME]: 'timestamptz',
+  [DATA_TYPES.UUID]: 'uuid',
+  [DATA_TYPES.JSON]: 'jsonb',
+  [DATA_TYPES.ARRAY]: 'text[]'
+};
+
+// Looks like a SQL type ("varchar(255)", "timestamp(3) with time zone", "int[]", "mood")...
+const SQL_TYPE_RE = /^[a-z_][\w$]*(\.[a-z_][\w$]*)?( [a-z_]+)*(\s*\([\d\s,]*\))?( [a-z_]+)*(\s*\[\d*\])*$/i;
+// ...but not a JSON Schema type recorded by another importer ("string", "integer(int64)")
+const NON_SQL_SOURCE_RE = /^(string|number|object|array)$/i;
+
+/**
+ * Map a variable to a Postgres column type. The source type from a DDL import
+ * is kept as long as it still matches the field's type.
+ * @param {Object} variable - Variable with dataType and optional sourceType
+ * @returns {string} Postgres type
+ */
+export function toPostgresType(variable) {
+  const source = String(variable?.sourceType || '').trim();
+  if (source && SQL_TYPE_RE.test(source) && !NON_SQL_SOURCE_RE.test(source) &&
+      normalizePostgresType(source) === variable.dataType) {
+    return source;
+  }
+  return POSTGRES_DEFAULT_TYPES[variable?.dataType] || POSTGRES_DEFAULT_TYPES[DATA_TYPES.STRING];
+}
+
+// DATA_TYPES -> JSON Schema, used when a field has no JSON Schema source type
+const JSON_SCHEMA_TYPE_MAP = {
+  [DATA_TYPES.STRING]: { type: 'string' },
+  [DATA_TYPES.NUMBER]: { type: 'number' },
+  [DATA_TYPES.BOOLEAN]: { type: 'boolean' },
+  [DATA_TYPES.DATETIME]: { type: 'string', format: 'date-time' },
+  [DATA_TYPES.UUID]: { type: 'string', format: 'uuid' },
+  [DATA_TYPES.JSON]: { type: 'object' },
+  [DATA_TYPES.ARRAY]: { type: 'array' }
+};
+
+const JSON_SCHEMA_SOURCE_RE = /^(string|number|integer|boolean|array|object)(?:\(([^)]+)\))?$/;
+
+/**
+ * Map a variable to a JSON Schema type. A JSON Schema source type recorded at
+ * import (e.g. "integer(int64)") wins as long as it still matches the field's type.
+ * @param {Object} variable - Variable with dataType and optional sourceType
+ * @returns {Object} Schema fragment with type and optional format
+ */
+export function toJsonSchemaType(variable) {
+  const match = JSON_SCHEMA_SOURCE_RE.exec(String(variable?.sourceType || '').trim());
+  if (match) {
+    const schema = match[2] ? { type: match[1], format: match[2] } : { type: match[1] };
+    if (normalizeJsonSchemaType(schema) === variable.dataType) return schema;
+  }
+  return { ...(JSON_SCHEMA_TYPE_MAP[variable?.dataType] || JSON_SCHEMA_TYPE_MAP[DATA_TYPES.STRING]) };
 }
 
 /**
@@ -200,6 +448,28 @@ export function flattenJson(obj, prefix = '', maxDepth = 3) {
   return result;
 }
 
+/**
+ * Create a variable for an importer. All schema importers go through this so
+ * imported fields share the same shape. Names are kept as-is (trimmed) so they
+ * still match the source schema.
+ * @param {string} name - Field name
+ * @param {string} dataType - Normalized type (falls back to string if unknown)
+ * @param {Object} [options] - Optional sampleValue, description, sourceType, required
+ * @returns {Object} Variable object (without ID)
+ */
+export function createImportedVariable(name, dataType, options = {}) {
+  const variable = {
+    id: null, // Will be set by ID generator
+    name: String(name ?? '').trim() || 'unnamed',
+    dataType: isValidDataType(dataType) ? dataType : DATA_TYPES.STRING,
+    sampleValue: options.sampleValue,
+    description: options.description || undefined
+  };
+  if (options.sourceType) variable.sourceType = options.sourceType;
+  if (options.required) variable.required = true;
+  return variable;
+}
+
 /**
  * Create variables from flattened JSON object
  * @param {Object} flatObj - Flattened object
@@ -213,13 +483,7 @@ export function createVariablesFromJson(flatObj) {
     // Prefer type inferred from value, fall back to name-based inference
     const dataType = inferredFromValue !== DATA_TYPES.STRING ? inferredFromValue : inferredFromName;
     
-    return {
-      id: null, // Will be set by ID generator
-      name,
-      dataType,
-      sampleValue: value,
-      description: undefined
-    };
+    return createImportedVariable(name, dataType, { sampleValue: value });
   });
 }
 
@@ -263,6 +527,24 @@ export function formatTableTitle(schema, table) {
   return `${schema}.${table}`;
 }
 
+/**
+ * Resolve a node's schema and table name: Table metadata first, otherwise the
+ * title split the way formatTableTitle joins it ("sales.orders")
+ * @param {Object} node - Node
+ * @returns {{schema: string, table: string}} Schema (default "public") and table
+ */
+export function getTableName(node) {
+  const meta = node?.metadata || {};
+  if (meta.table) {
+    return { schema: meta.schema || 'public', table: meta.table };
+  }
+  const title = String(node?.title || '').trim();
+  const dot = title.lastIndexOf('.');
+  return dot > 0
+    ? { schema: title.slice(0, dot), table: title.slice(dot + 1) }
+    : { schema: 'public', table: title };
+}
+
 /**
  * Validate and clean a variable name
  * @param {string} name - Variable name
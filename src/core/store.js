@@ -2,7 +2,7 @@
  * @fileoverview Central state store with immutable-style updates and selectors
  */
 
-import { createDiagram } from './types.js';
+import { createDiagram, normalizeNodeKind } from './types.js';
 import { eventBus, EVENTS } from './eventBus.js';
 
 class Store {
@@ -16,12 +16,18 @@ class Store {
       ui: {
         showSamples: new Set(), // Variable IDs with visible samples
         highlightedLineage: new Set(), // Node/Edge IDs in lineage highlight
+        lineageTrace: null, // Details of the highlighted trace (origin, direction, hop depths)
+        expandedBundles: new Set(), // Edge bundle keys drawn as individual edges
         canvasTransform: { x: 0, y: 0, scale: 1 },
-        showTypes: true
+        showTypes: true,
+        showLegend: false,
+        showFlowAnalysis: false // Cycle marks and stage badges on the canvas
       }
     };
     
     this.subscribers = new Set();
+    this.batchDepth = 0;
+    this.pendingNotify = false;
   }
 
   /**
@@ -50,7 +56,28 @@ class Store {
     const newState = updater(this.state);
     if (newState !== this.state) {
       this.state = newState;
-      this.notifySubscribers();
+      if (this.batchDepth > 0) {
+        this.pendingNotify = true;
+      } else {
+        this.notifySubscribers();
+      }
+    }
+  }
+
+  /**
+   * Run several updates and notify subscribers once at the end (events still fire per update)
+   * @param {Function} fn - Function performing store updates
+   */
+  batch(fn) {
+    this.batchDepth++;
+    try {
+      fn();
+    } finally {
+      this.batchDepth--;
+      if (this.batchDepth === 0 && this.pendingNotify) {
+        this.pendingNotify = false;
+        this.notifySubscribers();
+      }
     }
   }
 
@@ -265,6 +292,14 @@ class Store {
     }
   }
 
+  // Move one end ('from' | 'to') of an edge to another port; id and transform are kept
+  reattachEdge(edgeId, end, endpoint) {
+    const previous = this.getEdgeById(edgeId)?.[end];
+    if (!previous) return;
+    this.updateEdge(edgeId, { [end]: endpoint });
+    eventBus.emit(EVENTS.EDGE_REATTACH, { edge: this.getEdgeById(edgeId), end, previous });
+  }
+
   deleteEdge(edgeId) {
     const edge = this.getEdgeById(edgeId);
     if (!edge) return;
@@ -356,6 +391,13 @@ class Store {
     }));
   }
 
+  setShowLegend(value) {
+    this.setState(state => ({
+      ...state,
+      ui: { ...state.ui, showLegend: !!value }
+    }));
+  }
+
   toggleShowTypes() {
     this.setShowTypes(!this.state.ui.showTypes);
   }
@@ -384,31 +426,89 @@ class Store {
     }));
   }
 
-  setLineageHighlight(ids) {
+  setEdgeRouting(mode) {
+    this.setState(state => ({
+      ...state,
+      diagram: { ...state.diagram, edgeRouting: mode }
+    }));
+    eventBus.emit(EVENTS.DIAGRAM_UPDATE, { updates: { edgeRouting: mode } });
+  }
+
+  setEdgeBundling(enabled) {
+    this.setState(state => ({
+      ...state,
+      diagram: { ...state.diagram, edgeBundling: !!enabled }
+    }));
+    eventBus.emit(EVENTS.DIAGRAM_UPDATE, { updates: { edgeBundling: !!enabled } });
+  }
+
+  setShowFlowAnalysis(value) {
+    this.setState(state => ({
+      ...state,
+      ui: { ...state.ui, showFlowAnalysis: !!value }
+    }));
+  }
+
+  setSortExportsByStage(enabled) {
+    this.setState(state => ({
+      ...state,
+      diagram: { ...state.diagram, sortExportsByStage: !!enabled }
+    }));
+    eventBus.emit(EVENTS.DIAGRAM_UPDATE, { updates: { sortExportsByStage: !!enabled } });
+  }
+
+  // Linter settings ({disabled: ruleIds, namingConvention}), saved with the diagram
+  setLintConfig(updates) {
+    this.setState(state => ({
+      ...state,
+      diagram: { ...state.diagram, lint: { ...(state.diagram.lint || {}), ...updates } }
+    }));
+    eventBus.emit(EVENTS.DIAGRAM_UPDATE, { updates: { lint: this.state.diagram.lint } });
+  }
+
+  // Expanded bundles are view state only; they are not saved with the diagram
+  toggleBundleExpanded(key) {
+    this.setState(state => {
+      const expandedBundles = new Set(state.ui.expandedBundles);
+      if (expandedBundles.has(key)) {
+        expandedBundles.delete(key);
+      } else {
+        expandedBundles.add(key);
+      }
+      return { ...state, ui: { ...state.ui, expandedBundles } };
+    });
+  }
+
+  // trace: optional details from the lineage service (see traceLineage)
+  setLineageHighlight(ids, trace = null) {
     this.setState(state => ({
       ...state,
-      ui: { ...state.ui, highlightedLineage: new Set(ids) }
+      ui: { ...state.ui, highlightedLineage: new Set(ids), lineageTrace: trace }
     }));
-    eventBus.emit(EVENTS.LINEAGE_HIGHLIGHT, { ids });
+    eventBus.emit(EVENTS.LINEAGE_HIGHLIGHT, { ids, trace });
   }
 
   clearLineageHighlight() {
     this.setState(state => ({
       ...state,
-      ui: { ...state.ui, highlightedLineage: new Set() }
+      ui: { ...state.ui, highlightedLineage: new Set(), lineageTrace: null }
     }));
     eventBus.emit(EVENTS.LINEAGE_CLEAR);
   }
 
   // Diagram operations
   loadDiagram(diagram) {
-    // Migrate legacy node types (e.g., 'gui' -> 'module') for back-compat
+    // Migrate legacy node types (e.g., 'gui' -> 'module') into `kind` for back-compat
     const migrated = {
       ...diagram,
       title: diagram.title || 'Untitled diagram',
       nodes: (diagram.nodes || []).map(n => {
         const { type, ...rest } = (n || {});
-        return rest;
+        return {
+          ...rest,
+          kind: normalizeNodeKind(rest.kind || type),
+          metadata: rest.metadata || {}
+        };
       })
     };
 
@@ -419,7 +519,9 @@ class Store {
       ui: {
         ...state.ui,
         showSamples: new Set(),
-        highlightedLineage: new Set()
+        highlightedLineage: new Set(),
+        lineageTrace: null,
+        expandedBundles: new Set()
       }
     }));
     eventBus.emit(EVENTS.DIAGRAM_LOAD, { diagram: migrated });
@@ -473,6 +575,11 @@ class Store {
   isInLineageHighlight(id) {
     return this.state.ui.highlightedLineage.has(id);
   }
+
+  // Hop depth of a traced field, whole node or edge ({depth, direction}), if any
+  getLineageDepth(id) {
+    return this.state.ui.lineageTrace?.depths.get(id) || null;
+  }
 }
 
 // Create singleton instance
@@ -15,12 +15,15 @@
  * @property {string} dataType - Normalized data type
  * @property {*} [sampleValue] - Optional sample value (hidden by default)
  * @property {string} [description] - Optional description
+ * @property {string} [sourceType] - Original type from an import (e.g. 'varchar(255)')
+ * @property {boolean} [required] - True when the source marks the field NOT NULL / required
  */
 
 /**
  * @typedef {Object} Node
  * @property {string} id - Unique identifier
  * @property {string} title - Display title
+ * @property {'api'|'table'|'module'} kind - Node kind (drives header look and metadata form)
  * @property {Position} position - Canvas position
  * @property {Variable[]} variables - Array of variables/slots
  * @property {Object} metadata - Type-specific metadata
@@ -30,7 +33,7 @@
 /**
  * @typedef {Object} EdgeEndpoint
  * @property {string} nodeId - Node ID
- * @property {string} portId - Variable/port ID
+ * @property {string} [portId] - Variable/port ID; omitted for node-level (coarse) connections
  * @property {'in'|'out'} [side] - Exact port side selected by the user
  */
 
@@ -40,7 +43,13 @@
  * @property {EdgeEndpoint} from - Source endpoint
  * @property {EdgeEndpoint} to - Target endpoint
  * @property {string} [transform] - Optional mapping expression
+ * @property {string} [label] - Optional short annotation shown on the edge
+ * @property {number} [labelPosition] - Where the label pill sits along the path (0-1, default 0.5)
  * @property {'ok'|'warn'|'error'} [status] - Compatibility status
+ * @property {'sync'|'async'|'batch'|'read'|'write'} [flowKind] - How data moves (default 'sync')
+ * @property {'1:1'|'1:N'|'N:1'|'N:M'} [cardinality] - Optional source:target cardinality
+ * @property {boolean} [reference] - Links a record to the one it references (foreign key, type reference)
+ *   rather than mapping a value
  */
 
 /**
@@ -48,6 +57,10 @@
  * @property {string} version - Schema version
  * @property {Node[]} nodes - Array of nodes
  * @property {Edge[]} edges - Array of edges
+ * @property {'bezier'|'orthogonal'} [edgeRouting] - How edges are drawn (default 'bezier')
+ * @property {boolean} [edgeBundling] - Merge parallel edges between the same two nodes into one trunk
+ * @property {{disabled?: string[], namingConvention?: string}} [lint] - Problems panel settings
+ * @property {boolean} [sortExportsByStage] - Order SQL/TypeScript exports by flow stage (sources first)
  */
 
 /**
@@ -77,12 +90,55 @@ export const DATA_TYPES = {
   ARRAY: 'array'
 };
 
+export const NODE_KINDS = {
+  API: 'api',
+  TABLE: 'table',
+  MODULE: 'module'
+};
+
+export const NODE_KIND_LABELS = {
+  [NODE_KINDS.API]: 'API',
+  [NODE_KINDS.TABLE]: 'Table',
+  [NODE_KINDS.MODULE]: 'Module'
+};
+
 export const EDGE_STATUS = {
   OK: 'ok',
   WARN: 'warn',
   ERROR: 'error'
 };
 
+// How edges are drawn; stored per diagram as `edgeRouting` (missing means Bezier)
+export const EDGE_ROUTING = {
+  BEZIER: 'bezier',
+  ORTHOGONAL: 'orthogonal'
+};
+
+// What kind of flow an edge is; missing means a plain synchronous call
+export const FLOW_KINDS = {
+  SYNC: 'sync',
+  ASYNC: 'async',
+  BATCH: 'batch',
+  READ: 'read',
+  WRITE: 'write'
+};
+
+export const FLOW_KIND_LABELS = {
+  [FLOW_KINDS.SYNC]: 'Sync call',
+  [FLOW_KINDS.ASYNC]: 'Async event',
+  [FLOW_KINDS.BATCH]: 'Batch / ETL',
+  [FLOW_KINDS.READ]: 'Read',
+  [FLOW_KINDS.WRITE]: 'Write'
+};
+
+// Source:target cardinality of an edge (optional)
+export const CARDINALITIES = {
+  ONE_TO_ONE: '1:1',
+  ONE_TO_MANY: '1:N',
+  MANY_TO_ONE: 'N:1',
+  MANY_TO_MANY: 'N:M'
+};
+
 export const SELECTION_TYPES = {
   NODE: 'node',
   VARIABLE: 'variable',
@@ -106,9 +162,10 @@ export const createVariable = (name, dataType = DATA_TYPES.STRING) => ({
   color: null // optional background color for variable row (hex or null)
 });
 
-export const createNode = (title, position = createPosition()) => ({
+export const createNode = (title, position = createPosition(), kind = NODE_KINDS.MODULE) => ({
   id: null, // Will be set by ID generator
   title,
+  kind,
   position,
   variables: [],
   metadata: {},
@@ -125,7 +182,7 @@ export const createEdge = (from, to) => ({
 
 export const createDiagram = () => ({
   // Default in-memory schema version for new diagrams
-  version: '1',
+  version: '2',
   title: 'Untitled diagram',
   nodes: [],
   edges: []
@@ -134,6 +191,22 @@ export const createDiagram = () => ({
 // Type validation helpers
 export const isValidDataType = (dataType) => Object.values(DATA_TYPES).includes(dataType);
 export const isValidEdgeStatus = (status) => Object.values(EDGE_STATUS).includes(status);
+export const isValidNodeKind = (kind) => Object.values(NODE_KINDS).includes(kind);
+export const isValidFlowKind = (flowKind) => Object.values(FLOW_KINDS).includes(flowKind);
+export const isValidCardinality = (cardinality) => Object.values(CARDINALITIES).includes(cardinality);
+
+// Node-level endpoints attach to the node header instead of a field
+export const isNodeLevelEndpoint = (endpoint) => !!endpoint && !endpoint.portId;
+
+// Reference edges (foreign keys, type references from schema imports) link records, not values
+export const isReferenceEdge = (edge) => !!edge?.reference;
+
+/**
+ * Normalize a node kind, mapping legacy values (e.g. 'gui') and unknown kinds to 'module'
+ * @param {string} kind - Raw kind or legacy type value
+ * @returns {string} One of NODE_KINDS
+ */
+export const normalizeNodeKind = (kind) => (isValidNodeKind(kind) ? kind : NODE_KINDS.MODULE);
 
 // Node type specific helpers
 
@@ -158,6 +231,22 @@ export const createModuleMetadata = (route = '', framework = '') => ({
 
 export const createGuiMetadata = createModuleMetadata;
 
+/**
+ * Create default metadata for a node kind
+ * @param {string} kind - Node kind
+ * @returns {Object} Metadata object
+ */
+export const createMetadataForKind = (kind) => {
+  switch (kind) {
+    case NODE_KINDS.API:
+      return createApiMetadata();
+    case NODE_KINDS.TABLE:
+      return createTableMetadata();
+    default:
+      return createModuleMetadata();
+  }
+};
+
 // Helper function to determine if variable types should be shown for a node
 export const shouldShowTypesForNode = (node, globalShowTypes) => {
   if (node.showVariableTypes === null || node.showVariableTypes === undefined) {
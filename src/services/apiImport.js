@@ -0,0 +1,80 @@
+/**
+ * @fileoverview API node import from a pasted endpoint line plus JSON request/response samples
+ */
+
+import { eventBus, EVENTS } from '../core/eventBus.js';
+import { NODE_KINDS, createApiMetadata } from '../core/types.js';
+import { flattenJson, createVariablesFromJson, parseApiEndpoint } from '../core/normalizeTypes.js';
+import { buildImportedNode, layoutImportedNodes, commitImport } from './importUtils.js';
+
+/**
+ * Parse an optional JSON body; empty input yields undefined
+ * @param {string} text - JSON text
+ * @param {string} label - Name used in error messages
+ * @returns {*} Parsed value or undefined
+ */
+function parseJsonBody(text, label) {
+  if (!text || !text.trim()) return undefined;
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new Error(`${label} is not valid JSON: ${err.message}`);
+  }
+}
+
+/**
+ * Flatten a sample body into variables. List responses use their first item.
+ * @param {*} body - Parsed JSON body
+ * @returns {Object[]} Variables without IDs
+ */
+function variablesFromSample(body) {
+  let sample = body;
+  if (Array.isArray(sample) && sample.length > 0 && sample[0] !== null && typeof sample[0] === 'object' && !Array.isArray(sample[0])) {
+    sample = sample[0];
+  }
+  return createVariablesFromJson(flattenJson(sample));
+}
+
+/**
+ * Combine request and response fields. When both sides are present, names are
+ * prefixed with "request." / "response." so the two never collide.
+ * @param {Object[]} requestVars - Request-side variables
+ * @param {Object[]} responseVars - Response-side variables
+ * @returns {Object[]} Combined variables
+ */
+export function mergeRequestResponseVariables(requestVars, responseVars) {
+  if (requestVars.length === 0) return responseVars;
+  if (responseVars.length === 0) return requestVars;
+  return [
+    ...requestVars.map(v => ({ ...v, name: `request.${v.name}` })),
+    ...responseVars.map(v => ({ ...v, name: `response.${v.name}` }))
+  ];
+}
+
+/**
+ * Create an API node from an endpoint line and JSON samples (one undoable step)
+ * @param {string} endpoint - e.g. "POST /api/users" or "/api/users"
+ * @param {string} requestJson - Optional request body sample
+ * @param {string} responseJson - Optional response body sample
+ * @returns {{nodes: Object[], edges: Object[], warnings: string[]}} Created items
+ */
+export function importApiFromJsonSample(endpoint, requestJson, responseJson) {
+  const { method, url } = parseApiEndpoint(endpoint);
+  const request = parseJsonBody(requestJson, 'Request body');
+  const response = parseJsonBody(responseJson, 'Response body');
+  if (request === undefined && response === undefined) {
+    throw new Error('Paste a JSON request or response body.');
+  }
+
+  const variables = mergeRequestResponseVariables(
+    request === undefined ? [] : variablesFromSample(request),
+    response === undefined ? [] : variablesFromSample(response)
+  );
+
+  const node = buildImportedNode(NODE_KINDS.API, url || 'API', createApiMetadata(method, url), variables);
+  layoutImportedNodes([node]);
+  commitImport('Import API sample', [node]);
+  eventBus.emit(EVENTS.IMPORT_API, { node, source: 'json-sample' });
+
+  return { nodes: [node], edges: [], warnings: [] };
+}
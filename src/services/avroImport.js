@@ -0,0 +1,199 @@
+/**
+ * @fileoverview Avro schema (.avsc) import: each record (nested ones too) -> Module node, record-typed fields -> edges
+ */
+
+import { NODE_KINDS, createModuleMetadata } from '../core/types.js';
+import { normalizeAvroType, AVRO_TYPE_MAP, createImportedVariable } from '../core/normalizeTypes.js';
+import { buildImportedNode, buildImportedEdge, layoutImportedNodes, commitImport, findReferenceTarget } from './importUtils.js';
+
+/**
+ * Full name of a named type per the Avro spec (a dotted name already is one)
+ */
+const fullNameOf = (name, namespace) =>
+  (String(name).includes('.') || !namespace ? String(name) : `${namespace}.${name}`);
+
+const shortName = (fullName) => fullName.slice(fullName.lastIndexOf('.') + 1);
+
+/**
+ * Walk a schema and register every named type (record/enum/fixed) by full name
+ * @param {*} schema - Avro schema
+ * @param {string} namespace - Enclosing namespace
+ * @param {Map} named - Full name -> { schema, namespace }
+ * @param {Object[]} records - Records in definition order
+ */
+function collectNamedTypes(schema, namespace, named, records) {
+  if (Array.isArray(schema)) {
+    schema.forEach(s => collectNamedTypes(s, namespace, named, records));
+    return;
+  }
+  if (!schema || typeof schema !== 'object') return;
+
+  const { type } = schema;
+  if (type === 'record' || type === 'error' || type === 'enum' || type === 'fixed') {
+    if (!schema.name) throw new Error(`Avro ${type} is missing a name`);
+    const fullName = fullNameOf(schema.name, schema.namespace ?? namespace);
+    const ownNamespace = fullName.includes('.') ? fullName.slice(0, fullName.lastIndexOf('.')) : '';
+    named.set(fullName, { schema, namespace: ownNamespace });
+    if (type === 'record' || type === 'error') {
+      records.push({ fullName, schema, namespace: ownNamespace });
+      (schema.fields || []).forEach(f => collectNamedTypes(f.type, ownNamespace, named, records));
+    }
+  } else if (type === 'array') {
+    collectNamedTypes(schema.items, namespace, named, records);
+  } else if (type === 'map') {
+    collectNamedTypes(schema.values, namespace, named, records);
+  } else if (type && typeof type === 'object') {
+    collectNamedTypes(type, namespace, named, records);
+  }
+}
+
+/**
+ * Describe one field type: data type, source text, referenced records and enum symbols
+ * @returns {{dataType: string, sourceType: string, required: boolean, refs: string[], symbols: string[]|undefined, unknown: string[]}}
+ */
+function describeFieldType(type, namespace, named) {
+  const refs = [];
+  const unknown = [];
+  let symbols;
+
+  // Resolve a type to { schema, name } where named references are looked up
+  const resolve = (t) => {
+    if (typeof t === 'string' && !AVRO_TYPE_MAP[t]) {
+      const fullName = named.has(t) ? t : fullNameOf(t, namespace);
+      const entry = named.get(fullName);
+      if (!entry) {
+        unknown.push(t);
+        return { schema: 'string', name: t };
+      }
+      return { schema: entry.schema, name: fullName };
+    }
+    if (t && typeof t === 'object' && !Array.isArray(t) && ['record', 'error', 'enum', 'fixed'].includes(t.type)) {
+      return { schema: t, name: fullNameOf(t.name, t.namespace ?? namespace) };
+    }
+    return { schema: t, name: null };
+  };
+
+  const label = (t) => {
+    const { schema, name } = resolve(t);
+    if (name) return shortName(name);
+    if (Array.isArray(schema)) return schema.map(label).join(' | ');
+    if (schema && typeof schema === 'object') {
+      if (schema.type === 'array') return `array<${label(schema.items)}>`;
+      if (schema.type === 'map') return `map<${label(schema.values)}>`;
+      return schema.logicalType ? `${schema.type}(${schema.logicalType})` : label(schema.type);
+    }
+    return String(schema);
+  };
+
+  // Track references to records (direct, inside arrays/maps, or union branches)
+  const noteRefs = (t) => {
+    const { schema, name } = resolve(t);
+    if (name && (schema.type === 'record' || schema.type === 'error')) refs.push(name);
+    else if (name && schema.type === 'enum') symbols = schema.symbols;
+    else if (Array.isArray(schema)) schema.forEach(noteRefs);
+    else if (schema && typeof schema === 'object') {
+      if (schema.type === 'array') noteRefs(schema.items);
+      else if (schema.type === 'map') noteRefs(schema.values);
+    }
+  };
+
+  // ["null", X] is an optional X; other unions stay json
+  let effective = type;
+  let required = true;
+  if (Array.isArray(type)) {
+    const nonNull = type.filter(t => t !== 'null');
+    required = nonNull.length === type.length;
+    if (nonNull.length === 1) effective = nonNull[0];
+  }
+
+  const { schema } = resolve(effective);
+  noteRefs(effective);
+  return {
+    dataType: normalizeAvroType(schema),
+    sourceType: label(type),
+    required,
+    refs,
+    symbols,
+    unknown: [...new Set(unknown)]
+  };
+}
+
+/**
+ * Parse an .avsc document (a schema, or a JSON array of schemas)
+ * @param {string} text - Schema JSON
+ * @returns {{records: Object[], named: Map}} Records in definition order and all named types
+ */
+export function parseAvroSchema(text) {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Avro schema is not valid JSON: ${err.message}`);
+  }
+  // Avro protocols (.avpr) list their schemas under "types"
+  const schemas = doc && !Array.isArray(doc) && Array.isArray(doc.types) ? doc.types : doc;
+  const named = new Map();
+  const records = [];
+  collectNamedTypes(schemas, doc?.namespace || '', named, records);
+  return { records, named };
+}
+
+/**
+ * Import an Avro schema as Module nodes (one undoable step)
+ * @param {string} text - .avsc JSON
+ * @returns {{nodes: Object[], edges: Object[], warnings: string[]}} Created items and warnings
+ */
+export function importAvro(text) {
+  if (!text || !text.trim()) {
+    throw new Error('Paste an Avro schema (.avsc).');
+  }
+  const { records, named } = parseAvroSchema(text);
+  if (records.length === 0) {
+    throw new Error('No record definitions found.');
+  }
+
+  // Title records by short name unless two share it
+  const shortCounts = new Map();
+  records.forEach(r => shortCounts.set(shortName(r.fullName), (shortCounts.get(shortName(r.fullName)) || 0) + 1));
+  const titleOf = (fullName) => (shortCounts.get(shortName(fullName)) > 1 ? fullName : shortName(fullName));
+
+  const warnings = [];
+  const links = [];
+  const nodesByName = new Map();
+  const nodes = records.map(record => {
+    const variables = (record.schema.fields || []).map((field, index) => {
+      const info = describeFieldType(field.type, record.namespace, named);
+      info.unknown.forEach(t => warnings.push(`${titleOf(record.fullName)}.${field.name}: unknown type ${t} imported as string`));
+      info.refs.forEach(to => links.push({ from: record.fullName, index, to }));
+
+      const description = [
+        field.doc,
+        info.symbols?.length ? `One of: ${info.symbols.join(', ')}` : ''
+      ].filter(Boolean).join(' — ');
+      return createImportedVariable(field.name, info.dataType, {
+        description,
+        sourceType: info.sourceType,
+        required: info.required && field.default === undefined,
+        sampleValue: field.default !== undefined && field.default !== null && typeof field.default !== 'object'
+          ? field.default
+          : undefined
+      });
+    });
+    const node = buildImportedNode(NODE_KINDS.MODULE, titleOf(record.fullName), createModuleMetadata('', 'Avro'), variables);
+    nodesByName.set(record.fullName, node);
+    return node;
+  });
+  layoutImportedNodes(nodes);
+
+  // Record-typed fields link to the nested record's node
+  const edges = [];
+  links.forEach(link => {
+    const fromNode = nodesByName.get(link.from);
+    const toNode = nodesByName.get(link.to);
+    const toVar = toNode && findReferenceTarget(toNode);
+    if (toVar) edges.push(buildImportedEdge(fromNode, fromNode.variables[link.index], toNode, toVar));
+  });
+
+  commitImport('Import Avro schema', nodes, edges);
+  return { nodes, edges, warnings };
+}
@@ -1,7 +1,31 @@
 /**
- * @fileoverview Export services: PNG (viewport only, no grid)
+ * @fileoverview Export services: PNG (viewport only, no grid) and shared helpers for file exporters
  */
 
+import { store } from '../core/store.js';
+import { analyzeFlow } from './flowAnalysis.js';
+
+/**
+ * Nodes a file exporter should include: the selected ones matching the predicate
+ * if there are any, otherwise all matching nodes. Ordered top-to-bottom,
+ * left-to-right, since node order changes whenever one is selected; with
+ * `sortExportsByStage` on (and no cycles) by flow stage first.
+ * @param {Function} [predicate] - Node filter
+ * @returns {Object[]} Nodes
+ */
+export function getNodesForExport(predicate = () => true) {
+  const { diagram, selection } = store.getState();
+  const stages = diagram.sortExportsByStage ? analyzeFlow(diagram).stages : null;
+  const stageOf = (node) => (stages ? stages.get(node.id) : 0);
+  const nodes = diagram.nodes
+    .filter(predicate)
+    .sort((a, b) => (stageOf(a) - stageOf(b)) || (a.position.y - b.position.y) || (a.position.x - b.position.x));
+  if (selection.type === 'node' && selection.ids.length > 0) {
+    const selected = nodes.filter(n => selection.ids.includes(n.id));
+    if (selected.length > 0) return selected;
+  }
+  return nodes;
+}
 
 /**
  * Ensure html2canvas is available on window.
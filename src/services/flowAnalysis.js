@@ -0,0 +1,161 @@
+/**
+ * @fileoverview Node-level flow analysis: cycles in the graph of connected nodes, and for acyclic
+ * diagrams a topological stage per node (stage 1 = sources, then staging, marts, ...).
+ * Reference edges (foreign keys, type references) link records rather than move data, so they
+ * are left out: a self-referencing table or two types pointing at each other is not a cycle.
+ */
+
+import { isReferenceEdge } from '../core/types.js';
+
+/**
+ * @typedef {Object} FlowCycle
+ * @property {string[]} nodeIds - Nodes in the cycle (strongly connected group), in diagram order
+ * @property {string[]} edgeIds - Flow edges between those nodes
+ * @property {string[]} path - One loop through the group, e.g. [A, B, C] for A → B → C → A
+ */
+
+// Edges that carry data between two existing nodes
+const flowEdges = (diagram, graph) => diagram.edges.filter(edge =>
+  !isReferenceEdge(edge) && graph.has(edge.from.nodeId) && graph.has(edge.to.nodeId));
+
+// Successor node IDs per node, over flow edges only
+function buildNodeGraph(diagram) {
+  const graph = new Map(diagram.nodes.map(node => [node.id, new Set()]));
+  flowEdges(diagram, graph).forEach(edge => graph.get(edge.from.nodeId).add(edge.to.nodeId));
+  return graph;
+}
+
+// Strongly connected components (Tarjan)
+function findComponents(graph) {
+  const index = new Map();
+  const low = new Map();
+  const onStack = new Set();
+  const stack = [];
+  const components = [];
+  let counter = 0;
+
+  const visit = (id) => {
+    index.set(id, counter);
+    low.set(id, counter);
+    counter++;
+    stack.push(id);
+    onStack.add(id);
+    graph.get(id).forEach(next => {
+      if (!index.has(next)) {
+        visit(next);
+        low.set(id, Math.min(low.get(id), low.get(next)));
+      } else if (onStack.has(next)) {
+        low.set(id, Math.min(low.get(id), index.get(next)));
+      }
+    });
+    if (low.get(id) === index.get(id)) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== id);
+      components.push(component);
+    }
+  };
+  graph.forEach((_, id) => {
+    if (!index.has(id)) visit(id);
+  });
+  return components;
+}
+
+// Shortest loop from a node back to itself, staying inside its component
+function findLoop(graph, start, members) {
+  const parent = new Map([[start, null]]);
+  const queue = [start];
+  for (let i = 0; i < queue.length; i++) {
+    const id = queue[i];
+    for (const next of graph.get(id)) {
+      if (next === start) {
+        const path = [];
+        for (let at = id; at !== null; at = parent.get(at)) path.unshift(at);
+        return path;
+      }
+      if (members.has(next) && !parent.has(next)) {
+        parent.set(next, id);
+        queue.push(next);
+      }
+    }
+  }
+  return [start];
+}
+
+/**
+ * Find the cycles of the node graph (one entry per group of nodes that feed each other,
+ * including a node connected to itself)
+ * @param {Object} diagram - Diagram ({nodes, edges})
+ * @returns {FlowCycle[]} Cycles, in diagram order of their first node
+ */
+export function findCycles(diagram) {
+  const graph = buildNodeGraph(diagram);
+  const order = new Map(diagram.nodes.map((node, i) => [node.id, i]));
+  return findComponents(graph)
+    .filter(component => component.length > 1 || graph.get(component[0]).has(component[0]))
+    .map(component => {
+      const members = new Set(component);
+      const nodeIds = component.sort((a, b) => order.get(a) - order.get(b));
+      return {
+        nodeIds,
+        edgeIds: flowEdges(diagram, graph)
+          .filter(edge => members.has(edge.from.nodeId) && members.has(edge.to.nodeId))
+          .map(edge => edge.id),
+        path: findLoop(graph, nodeIds[0], members)
+      };
+    })
+    .sort((a, b) => order.get(a.nodeIds[0]) - order.get(b.nodeIds[0]));
+}
+
+/**
+ * Topological stage per node: 1 for nodes nothing flows into, otherwise one more than
+ * the latest stage feeding it (so every edge points to a later stage)
+ * @param {Object} diagram - Diagram ({nodes, edges})
+ * @returns {Map<string, number>|null} Stage per node ID, or null when the graph has a cycle
+ */
+export function computeStages(diagram) {
+  const graph = buildNodeGraph(diagram);
+  const incoming = new Map([...graph.keys()].map(id => [id, 0]));
+  graph.forEach(successors => successors.forEach(id => incoming.set(id, incoming.get(id) + 1)));
+
+  const stages = new Map();
+  const queue = [...graph.keys()].filter(id => incoming.get(id) === 0);
+  queue.forEach(id => stages.set(id, 1));
+  for (let i = 0; i < queue.length; i++) {
+    const id = queue[i];
+    graph.get(id).forEach(next => {
+      stages.set(next, Math.max(stages.get(next) || 0, stages.get(id) + 1));
+      incoming.set(next, incoming.get(next) - 1);
+      if (incoming.get(next) === 0) queue.push(next);
+    });
+  }
+  return stages.size === graph.size ? stages : null;
+}
+
+let lastAnalyzed = null;
+let lastAnalysis = null;
+
+/**
+ * Cycles and stages of a diagram (cached per diagram object, so renderers can call it freely)
+ * @param {Object} diagram - Diagram ({nodes, edges})
+ * @returns {{cycles: FlowCycle[], stages: Map<string, number>|null, stageCount: number,
+ *   cycleNodeIds: Set<string>, cycleEdgeIds: Set<string>}} Analysis (stages null when there are cycles)
+ */
+export function analyzeFlow(diagram) {
+  if (diagram === lastAnalyzed) return lastAnalysis;
+  const cycles = findCycles(diagram);
+  const stages = cycles.length === 0 ? computeStages(diagram) : null;
+  lastAnalyzed = diagram;
+  lastAnalysis = {
+    cycles,
+    stages,
+    stageCount: stages ? Math.max(0, ...stages.values()) : 0,
+    cycleNodeIds: new Set(cycles.flatMap(cycle => cycle.nodeIds)),
+    cycleEdgeIds: new Set(cycles.flatMap(cycle => cycle.edgeIds))
+  };
+  return lastAnalysis;
+}
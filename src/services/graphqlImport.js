@@ -0,0 +1,357 @@
+/**
+ * @fileoverview GraphQL SDL import: one Module node per `type`/`input`, object references -> edges
+ */
+
+import { NODE_KINDS, createModuleMetadata } from '../core/types.js';
+import { normalizeGraphqlType, GRAPHQL_SCALAR_MAP, createImportedVariable } from '../core/normalizeTypes.js';
+import { buildImportedNode, buildImportedEdge, layoutImportedNodes, commitImport, findReferenceTarget } from './importUtils.js';
+
+const PUNCTUATORS = '{}()[]:=!|&@$,';
+
+/**
+ * Split SDL into tokens: { kind: 'name'|'punct'|'string'|'value', value }.
+ * Commas are insignificant in GraphQL and dropped; # comments are skipped.
+ * @param {string} sdl - Schema text
+ * @returns {Object[]} Tokens
+ */
+function tokenize(sdl) {
+  const tokens = [];
+  let i = 0;
+  while (i < sdl.length) {
+    const c = sdl[i];
+    if (/[\s,]/.test(c)) {
+      i++;
+    } else if (c === '#') {
+      while (i < sdl.length && sdl[i] !== '\n') i++;
+    } else if (sdl.startsWith('"""', i)) {
+      const end = sdl.indexOf('"""', i + 3);
+      const stop = end === -1 ? sdl.length : end;
+      tokens.push({ kind: 'string', value: dedentBlockString(sdl.slice(i + 3, stop).replace(/\\"""/g, '"""')) });
+      i = stop + 3;
+    } else if (c === '"') {
+      let j = i + 1;
+      while (j < sdl.length && sdl[j] !== '"' && sdl[j] !== '\n') j += sdl[j] === '\\' ? 2 : 1;
+      let value = sdl.slice(i + 1, j);
+      try {
+        value = JSON.parse(`"${value}"`);
+      } catch (err) {
+        // Keep the raw text for escapes JSON doesn't know
+      }
+      tokens.push({ kind: 'string', value });
+      i = j + 1;
+    } else if (sdl.startsWith('...', i)) {
+      tokens.push({ kind: 'punct', value: '...' });
+      i += 3;
+    } else if (PUNCTUATORS.includes(c)) {
+      if (c !== ',') tokens.push({ kind: 'punct', value: c });
+      i++;
+    } else if (/[A-Za-z_]/.test(c)) {
+      const m = /^[A-Za-z_][A-Za-z0-9_]*/.exec(sdl.slice(i, i + 256));
+      tokens.push({ kind: 'name', value: m[0] });
+      i += m[0].length;
+    } else if (/[-0-9]/.test(c)) {
+      const m = /^-?[0-9][0-9.eE+-]*/.exec(sdl.slice(i, i + 64)) || [c];
+      tokens.push({ kind: 'value', value: m[0] });
+      i += m[0].length;
+    } else {
+      throw new Error(`Unexpected character "${c}" in GraphQL schema`);
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Remove common indentation from a block string description (per the GraphQL spec)
+ */
+function dedentBlockString(raw) {
+  const lines = raw.split(/\r?\n/);
+  const indents = lines.slice(1)
+    .filter(line => line.trim())
+    .map(line => line.match(/^[ \t]*/)[0].length);
+  const common = indents.length ? Math.min(...indents) : 0;
+  return lines
+    .map((line, i) => (i === 0 ? line : line.slice(common)))
+    .join('\n')
+    .trim();
+}
+
+/**
+ * Small cursor over the token list
+ */
+class TokenReader {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.pos = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.pos + offset];
+  }
+
+  next() {
+    return this.tokens[this.pos++];
+  }
+
+  is(value, offset = 0) {
+    const token = this.peek(offset);
+    return !!token && token.kind !== 'string' && token.value === value;
+  }
+
+  accept(value) {
+    if (this.is(value)) {
+      this.pos++;
+      return true;
+    }
+    return false;
+  }
+
+  expect(value) {
+    const token = this.next();
+    if (!token || token.value !== value) {
+      throw new Error(`Expected "${value}" but found ${token ? `"${token.value}"` : 'end of schema'}`);
+    }
+    return token;
+  }
+
+  expectName() {
+    const token = this.next();
+    if (!token || token.kind !== 'name') {
+      throw new Error(`Expected a name but found ${token ? `"${token.value}"` : 'end of schema'}`);
+    }
+    return token.value;
+  }
+
+  done() {
+    return this.pos >= this.tokens.length;
+  }
+
+  // Skip a balanced (...) / [...] / {...} group starting at the current token
+  skipGroup() {
+    const open = this.next().value;
+    const close = { '(': ')', '[': ']', '{': '}' }[open];
+    let depth = 1;
+    while (!this.done() && depth > 0) {
+      const token = this.next();
+      if (token.kind === 'punct' && token.value === open) depth++;
+      else if (token.kind === 'punct' && token.value === close) depth--;
+    }
+  }
+
+  // Skip any @directive(args) applications
+  skipDirectives() {
+    while (this.accept('@')) {
+      this.expectName();
+      if (this.is('(')) this.skipGroup();
+    }
+  }
+
+  // Skip one input value (used for default values)
+  skipValue() {
+    if (this.is('[') || this.is('{')) {
+      this.skipGroup();
+    } else if (this.accept('$')) {
+      this.expectName();
+    } else {
+      this.next();
+    }
+  }
+}
+
+/**
+ * Read a type reference and return its source text, e.g. "[Post!]!"
+ */
+function readTypeRef(reader) {
+  let text;
+  if (reader.accept('[')) {
+    text = `[${readTypeRef(reader)}]`;
+    reader.expect(']');
+  } else {
+    text = reader.expectName();
+  }
+  if (reader.accept('!')) text += '!';
+  return text;
+}
+
+const namedType = (typeRef) => typeRef.replace(/[[\]!]/g, '');
+
+/**
+ * Read `{ field(args): Type = default @dir ... }` members of a type or input
+ */
+function readFields(reader) {
+  const fields = [];
+  reader.expect('{');
+  while (!reader.accept('}')) {
+    if (reader.done()) throw new Error('Unterminated field list');
+    const description = reader.peek().kind === 'string' ? reader.next().value : undefined;
+    const name = reader.expectName();
+    if (reader.is('(')) reader.skipGroup();
+    reader.expect(':');
+    const type = readTypeRef(reader);
+    if (reader.accept('=')) reader.skipValue();
+    reader.skipDirectives();
+    fields.push({ name, type, description });
+  }
+  return fields;
+}
+
+/**
+ * Parse GraphQL SDL into object/input types plus the names of scalars, enums and unions
+ * @param {string} sdl - Schema text
+ * @returns {{types: Object[], enums: Map, unions: Map, scalars: Set}}
+ */
+export function parseGraphqlSdl(sdl) {
+  const reader = new TokenReader(tokenize(sdl || ''));
+  const types = [];
+  const byName = new Map();
+  const enums = new Map();
+  const unions = new Map();
+  const scalars = new Set();
+
+  while (!reader.done()) {
+    const description = reader.peek().kind === 'string' ? reader.next().value : undefined;
+    const extend = reader.accept('extend');
+    const keyword = reader.expectName();
+
+    switch (keyword) {
+      case 'type':
+      case 'input':
+      case 'interface': {
+        const name = reader.expectName();
+        if (reader.accept('implements')) {
+          reader.accept('&');
+          reader.expectName();
+          while (reader.accept('&')) reader.expectName();
+        }
+        reader.skipDirectives();
+        const fields = reader.is('{') ? readFields(reader) : [];
+        if (keyword === 'interface') break;
+
+        const existing = byName.get(name);
+        if (existing && extend) {
+          existing.fields.push(...fields);
+        } else if (!existing) {
+          const type = { name, keyword, description, fields };
+          types.push(type);
+          byName.set(name, type);
+        }
+        break;
+      }
+      case 'enum': {
+        const name = reader.expectName();
+        reader.skipDirectives();
+        const values = enums.get(name) || [];
+        if (reader.accept('{')) {
+          while (!reader.accept('}')) {
+            if (reader.done()) throw new Error(`Unterminated enum ${name}`);
+            if (reader.peek().kind === 'string') reader.next();
+            values.push(reader.expectName());
+            reader.skipDirectives();
+          }
+        }
+        enums.set(name, values);
+        break;
+      }
+      case 'union': {
+        const name = reader.expectName();
+        reader.skipDirectives();
+        const members = unions.get(name) || [];
+        if (reader.accept('=')) {
+          reader.accept('|');
+          members.push(reader.expectName());
+          while (reader.accept('|')) members.push(reader.expectName());
+        }
+        unions.set(name, members);
+        break;
+      }
+      case 'scalar':
+        scalars.add(reader.expectName());
+        reader.skipDirectives();
+        break;
+      case 'schema':
+        reader.skipDirectives();
+        if (reader.is('{')) reader.skipGroup();
+        break;
+      case 'directive':
+        // directive @name(args) repeatable on LOCATION | LOCATION
+        reader.expect('@');
+        reader.expectName();
+        if (reader.is('(')) reader.skipGroup();
+        reader.accept('repeatable');
+        reader.expect('on');
+        reader.accept('|');
+        reader.expectName();
+        while (reader.accept('|')) reader.expectName();
+        break;
+      default:
+        throw new Error(`Unsupported GraphQL definition "${keyword}"`);
+    }
+  }
+
+  return { types, enums, unions, scalars };
+}
+
+/**
+ * Import GraphQL SDL as Module nodes (one undoable step)
+ * @param {string} sdl - Schema text
+ * @returns {{nodes: Object[], edges: Object[], warnings: string[]}} Created items and warnings
+ */
+export function importGraphqlSdl(sdl) {
+  if (!sdl || !sdl.trim()) {
+    throw new Error('Paste a GraphQL schema.');
+  }
+  const { types, enums, unions, scalars } = parseGraphqlSdl(sdl);
+  if (types.length === 0) {
+    throw new Error('No type or input definitions found.');
+  }
+
+  const objectTypes = new Set(types.map(t => t.name));
+  unions.forEach((members, name) => objectTypes.add(name));
+  const warnings = [];
+
+  const nodesByType = new Map();
+  const nodes = types.map(type => {
+    const variables = type.fields.map(field => {
+      const target = namedType(field.type);
+      const known = GRAPHQL_SCALAR_MAP[target] || objectTypes.has(target) || enums.has(target) || scalars.has(target);
+      if (!known) {
+        warnings.push(`${type.name}.${field.name}: unknown type ${target} treated as a custom scalar`);
+      }
+      const enumValues = enums.get(target);
+      const description = [field.description, enumValues?.length ? `One of: ${enumValues.join(', ')}` : '']
+        .filter(Boolean)
+        .join(' — ');
+      return createImportedVariable(field.name, normalizeGraphqlType(field.type, objectTypes), {
+        description,
+        sourceType: field.type,
+        required: field.type.endsWith('!')
+      });
+    });
+    const node = buildImportedNode(NODE_KINDS.MODULE, type.name, createModuleMetadata('', 'GraphQL'), variables);
+    nodesByType.set(type.name, node);
+    return node;
+  });
+  layoutImportedNodes(nodes);
+
+  // Object references: field -> the referenced type's id (union members each get one)
+  const edges = [];
+  types.forEach(type => {
+    const fromNode = nodesByType.get(type.name);
+    type.fields.forEach((field, i) => {
+      const target = namedType(field.type);
+      const targetTypes = unions.has(target) ? unions.get(target) : [target];
+      targetTypes.forEach(name => {
+        const toNode = nodesByType.get(name);
+        if (!toNode) return;
+        const toVar = findReferenceTarget(toNode);
+        if (!toVar) {
+          warnings.push(`${type.name}.${field.name}: ${name} has no fields to connect to`);
+          return;
+        }
+        edges.push(buildImportedEdge(fromNode, fromNode.variables[i], toNode, toVar));
+      });
+    });
+  });
+
+  commitImport('Import GraphQL schema', nodes, edges);
+  return { nodes, edges, warnings };
+}
@@ -0,0 +1,248 @@
+/**
+ * @fileoverview Impact analysis for field changes (delete, rename, type change): which connections
+ * break or change compatibility, and which downstream fields and nodes depend on the field
+ */
+
+import { EDGE_STATUS, isNodeLevelEndpoint, isReferenceEdge } from '../core/types.js';
+import { walkLineage, lineagePointKey } from './lineage.js';
+import { checkTypeCompatibility, computeEdgeStatus, getCompatibilityDescription } from './validate.js';
+import { parseTransform, collectFieldReferences } from './transformExpr.js';
+import { downloadTextFile } from './persistence.js';
+
+export const IMPACT_CHANGES = {
+  DELETE: 'delete',
+  RENAME: 'rename',
+  RETYPE: 'retype'
+};
+
+export const IMPACT_EFFECTS = {
+  BREAKS: 'breaks',
+  INCOMPATIBLE: 'incompatible',
+  CONVERTS: 'converts',
+  UNCHANGED: 'unchanged',
+  INDIRECT: 'indirect'
+};
+
+export const IMPACT_EFFECT_LABELS = {
+  [IMPACT_EFFECTS.BREAKS]: 'Breaks',
+  [IMPACT_EFFECTS.INCOMPATIBLE]: 'Becomes incompatible',
+  [IMPACT_EFFECTS.CONVERTS]: 'Needs conversion',
+  [IMPACT_EFFECTS.UNCHANGED]: 'Unaffected',
+  [IMPACT_EFFECTS.INDIRECT]: 'Indirectly affected'
+};
+
+/**
+ * @typedef {Object} ImpactEntry
+ * @property {string} edgeId - Edge the entry is reached through
+ * @property {'downstream'|'upstream'} direction - Upstream only for connections into the field itself
+ * @property {number} depth - Hops from the changed field
+ * @property {Object|null} node - Node at the other end (null when missing)
+ * @property {Object|null} variable - Field at the other end (null for a whole node)
+ * @property {string} effect - One of IMPACT_EFFECTS
+ * @property {string} detail - Human-readable reason
+ */
+
+// Field names a transform reads, or [] when it does not parse
+function transformFieldNames(transform) {
+  if (!transform) return [];
+  try {
+    return collectFieldReferences(parseTransform(transform));
+  } catch (err) {
+    return [];
+  }
+}
+
+// What a type change does to a direct connection, given the edge's current status
+function retypeEffect(edge, changedIsSource, newType, otherVariable, nodes) {
+  if (!otherVariable) {
+    return { effect: IMPACT_EFFECTS.UNCHANGED, detail: 'Whole-node connection (no field types to compare)' };
+  }
+  if (isReferenceEdge(edge)) {
+    return { effect: IMPACT_EFFECTS.UNCHANGED, detail: 'Reference (field types are not compared)' };
+  }
+  const fromType = changedIsSource ? newType : otherVariable.dataType;
+  const toType = changedIsSource ? otherVariable.dataType : newType;
+  const status = checkTypeCompatibility(fromType, toType);
+  const detail = getCompatibilityDescription(status, fromType, toType);
+  if (status === computeEdgeStatus(edge, nodes)) return { effect: IMPACT_EFFECTS.UNCHANGED, detail };
+  if (status === EDGE_STATUS.ERROR) return { effect: IMPACT_EFFECTS.INCOMPATIBLE, detail };
+  if (status === EDGE_STATUS.WARN) return { effect: IMPACT_EFFECTS.CONVERTS, detail };
+  return { effect: IMPACT_EFFECTS.UNCHANGED, detail };
+}
+
+/**
+ * Analyze what a change to a field would affect
+ * @param {Object} diagram - Diagram ({nodes, edges})
+ * @param {string} nodeId - Node of the field
+ * @param {string} variableId - Field being changed
+ * @param {{type: string, name?: string, dataType?: string}} change - IMPACT_CHANGES type plus the new name / data type
+ * @returns {{change: Object, node: Object, variable: Object, entries: ImpactEntry[], counts: Object<string, number>}|null}
+ *   Report (entries: direct connections first, then indirect dependents by depth), or null when the field is missing
+ */
+export function analyzeFieldChange(diagram, nodeId, variableId, change) {
+  const node = diagram.nodes.find(n => n.id === nodeId);
+  const variable = node?.variables.find(v => v.id === variableId);
+  if (!variable) return null;
+
+  const nodes = diagram.nodes;
+  const lookup = (endpoint) => {
+    const otherNode = nodes.find(n => n.id === endpoint.nodeId) || null;
+    const otherVariable = isNodeLevelEndpoint(endpoint)
+      ? null
+      : otherNode?.variables.find(v => v.id === endpoint.portId) || null;
+    return { node: otherNode, variable: otherVariable };
+  };
+
+  const entries = [];
+  const listedEdges = new Set();
+  const listedPoints = new Set([lineagePointKey({ nodeId, variableId })]);
+
+  // Direct connections of the field, in both directions
+  diagram.edges.forEach(edge => {
+    const isSource = edge.from.nodeId === nodeId && edge.from.portId === variableId;
+    const isTarget = edge.to.nodeId === nodeId && edge.to.portId === variableId;
+    if (!isSource && !isTarget) return;
+    const other = isSource ? edge.to : edge.from;
+    const { node: otherNode, variable: otherVariable } = lookup(other);
+
+    let outcome;
+    if (change.type === IMPACT_CHANGES.DELETE) {
+      outcome = { effect: IMPACT_EFFECTS.BREAKS, detail: 'Connection is removed with the field' };
+    } else if (change.type === IMPACT_CHANGES.RETYPE) {
+      outcome = retypeEffect(edge, isSource, change.dataType, otherVariable, nodes);
+    } else if (edge.from.nodeId === nodeId && transformFieldNames(edge.transform).includes(variable.name)) {
+      outcome = { effect: IMPACT_EFFECTS.BREAKS, detail: `Transform \`${edge.transform}\` reads "${variable.name}"` };
+    } else {
+      outcome = { effect: IMPACT_EFFECTS.UNCHANGED, detail: 'Connected by id, not by name' };
+    }
+
+    entries.push({
+      edgeId: edge.id,
+      direction: isSource ? 'downstream' : 'upstream',
+      depth: 1,
+      node: otherNode,
+      variable: otherVariable,
+      ...outcome
+    });
+    listedEdges.add(edge.id);
+    if (isSource) listedPoints.add(lineagePointKey({ nodeId: other.nodeId, variableId: other.portId || null }));
+  });
+
+  // Renames and deletes break transforms on the node's other connections that read the field by name
+  if (change.type === IMPACT_CHANGES.RENAME || change.type === IMPACT_CHANGES.DELETE) {
+    diagram.edges.forEach(edge => {
+      if (listedEdges.has(edge.id) || edge.from.nodeId !== nodeId) return;
+      if (!transformFieldNames(edge.transform).includes(variable.name)) return;
+      const { node: otherNode, variable: otherVariable } = lookup(edge.to);
+      entries.push({
+        edgeId: edge.id,
+        direction: 'downstream',
+        depth: 1,
+        node: otherNode,
+        variable: otherVariable,
+        effect: IMPACT_EFFECTS.BREAKS,
+        detail: `Transform \`${edge.transform}\` reads "${variable.name}"`
+      });
+      listedEdges.add(edge.id);
+    });
+  }
+
+  // Everything further downstream depends on the field's value
+  const { points } = walkLineage(diagram, { nodeId, variableId }, true);
+  [...points.entries()]
+    .filter(([key, { depth }]) => depth > 0 && !listedPoints.has(key))
+    .sort((a, b) => a[1].depth - b[1].depth)
+    .forEach(([, { point, depth, via }]) => {
+      const otherNode = nodes.find(n => n.id === point.nodeId) || null;
+      const otherVariable = point.variableId
+        ? otherNode?.variables.find(v => v.id === point.variableId) || null
+        : null;
+      entries.push({
+        edgeId: via,
+        direction: 'downstream',
+        depth,
+        node: otherNode,
+        variable: otherVariable,
+        effect: IMPACT_EFFECTS.INDIRECT,
+        detail: `Depends on it through ${depth} hop${depth === 1 ? '' : 's'}`
+      });
+    });
+
+  const counts = {};
+  entries.forEach(entry => {
+    counts[entry.effect] = (counts[entry.effect] || 0) + 1;
+  });
+  return { change, node, variable, entries, counts };
+}
+
+/**
+ * One-line description of the change, e.g. "Change type of Orders.total from number to string"
+ * @param {Object} report - Report from analyzeFieldChange
+ * @returns {string} Description
+ */
+export function describeFieldChange(report) {
+  const { change, node, variable } = report;
+  const subject = `${node.title}.${variable.name}`;
+  switch (change.type) {
+    case IMPACT_CHANGES.DELETE:
+      return `Delete ${subject}`;
+    case IMPACT_CHANGES.RENAME:
+      return `Rename ${subject} to ${change.name}`;
+    default:
+      return `Change type of ${subject} from ${variable.dataType} to ${change.dataType}`;
+  }
+}
+
+/**
+ * Summary of the report, e.g. "2 break, 1 becomes incompatible, 4 indirectly affected"
+ * @param {Object} report - Report from analyzeFieldChange
+ * @returns {string} Summary ("Nothing is connected" for an empty report)
+ */
+export function summarizeImpact(report) {
+  const parts = Object.values(IMPACT_EFFECTS)
+    .filter(effect => report.counts[effect])
+    .map(effect => `${report.counts[effect]} ${IMPACT_EFFECT_LABELS[effect].toLowerCase()}`);
+  return parts.length > 0 ? parts.join(', ') : 'Nothing is connected';
+}
+
+/**
+ * Render an impact report as Markdown (for change reviews)
+ * @param {Object} report - Report from analyzeFieldChange
+ * @returns {string} Markdown text
+ */
+export function formatImpactMarkdown(report) {
+  const cell = (value) => String(value ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+  const lines = [
+    `# Impact: ${describeFieldChange(report)}`,
+    '',
+    `Field: \`${report.node.title}.${report.variable.name}\` (${report.variable.dataType})`,
+    '',
+    `**Summary:** ${summarizeImpact(report)}`,
+    ''
+  ];
+  if (report.entries.length > 0) {
+    lines.push('| Effect | Direction | Hops | Node | Field | Detail |');
+    lines.push('| --- | --- | --- | --- | --- | --- |');
+    report.entries.forEach(entry => {
+      lines.push(`| ${[
+        IMPACT_EFFECT_LABELS[entry.effect],
+        entry.direction,
+        entry.depth,
+        entry.node ? entry.node.title : '(missing node)',
+        entry.variable ? `${entry.variable.name} (${entry.variable.dataType})` : '(whole node)',
+        entry.detail
+      ].map(cell).join(' | ')} |`);
+    });
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Download an impact report as a Markdown file
+ * @param {Object} report - Report from analyzeFieldChange
+ */
+export function downloadImpactMarkdown(report) {
+  const slug = `${report.node.title}-${report.variable.name}`.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  downloadTextFile(formatImpactMarkdown(report), `impact-${slug || 'field'}.md`, 'text/markdown');
+}
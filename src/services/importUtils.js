@@ -0,0 +1,172 @@
+/**
+ * @fileoverview Shared helpers for schema importers: node construction, layout and undoable commit
+ */
+
+import { store } from '../core/store.js';
+import {
+  commandStack,
+  createCommand,
+  createAddNodeCommand,
+  createAddEdgeCommand,
+  createDeleteEdgeCommand,
+  createUpdateNodeCommand
+} from '../core/commandStack.js';
+import { createNode, createPosition, DATA_TYPES } from '../core/types.js';
+import { generateNodeId, generateVariableId, generateEdgeId } from '../core/id.js';
+
+// Approximate node geometry used for layout before the DOM exists
+const NODE_WIDTH = 200;
+const HEADER_HEIGHT = 30;
+const VARIABLE_HEIGHT = 25;
+const COLUMN_GAP = 80;
+const ROW_GAP = 60;
+const COLUMNS = 4;
+const ORIGIN_X = 100;
+
+/**
+ * Estimate the rendered height of a node from its variable count
+ * @param {Object} node - Node
+ * @returns {number} Height in canvas units
+ */
+export function estimateNodeHeight(node) {
+  return HEADER_HEIGHT + (node.variables?.length || 0) * VARIABLE_HEIGHT + 20;
+}
+
+/**
+ * Build a node with fresh IDs for itself and its variables
+ * @param {string} kind - Node kind
+ * @param {string} title - Node title
+ * @param {Object} metadata - Kind-specific metadata
+ * @param {Object[]} variables - Variables without IDs (see createImportedVariable)
+ * @returns {Object} Node ready to be added to the store
+ */
+export function buildImportedNode(kind, title, metadata, variables) {
+  const node = createNode(title, createPosition(), kind);
+  node.id = generateNodeId();
+  node.metadata = metadata || {};
+  node.variables = (variables || []).map(v => ({ ...v, id: generateVariableId() }));
+  return node;
+}
+
+/**
+ * Build a reference edge (foreign key or type reference) between two node variables.
+ * It links the referencing field to the referenced record rather than mapping a value.
+ * @param {Object} fromNode - Source node
+ * @param {Object} fromVariable - Source variable
+ * @param {Object} toNode - Target node
+ * @param {Object} toVariable - Target variable
+ * @returns {Object} Edge
+ */
+export function buildImportedEdge(fromNode, fromVariable, toNode, toVariable) {
+  return {
+    id: generateEdgeId(),
+    from: { nodeId: fromNode.id, portId: fromVariable.id, side: 'out' },
+    to: { nodeId: toNode.id, portId: toVariable.id, side: 'in' },
+    status: 'ok',
+    reference: true
+  };
+}
+
+/**
+ * Pick the field a type reference should connect to on the referenced node:
+ * `id`, then the first UUID field, then the first field
+ * @param {Object} node - Referenced node
+ * @returns {Object|null} Variable or null when the node has no fields
+ */
+export function findReferenceTarget(node) {
+  return node.variables.find(v => v.name === 'id') ||
+    node.variables.find(v => v.dataType === DATA_TYPES.UUID) ||
+    node.variables[0] ||
+    null;
+}
+
+/**
+ * Build commands that refresh an existing node from re-imported fields.
+ * Fields are matched by name so their IDs (and edges) survive; fields that
+ * disappeared from the source are removed together with their edges.
+ * @param {Object} node - Existing node
+ * @param {Object[]} variables - Freshly imported variables (without IDs)
+ * @param {Object} [metadata] - Metadata to merge into the node's metadata
+ * @returns {Object[]} Commands to run as part of the import
+ */
+export function createRefreshNodeCommands(node, variables, metadata = {}) {
+  const byName = new Map(node.variables.map(v => [v.name, v]));
+  const nextVariables = variables.map(v => {
+    const prev = byName.get(v.name);
+    if (!prev) return { ...v, id: generateVariableId() };
+    // Keep identity and user styling; refresh type info from the source
+    return {
+      ...prev,
+      dataType: v.dataType,
+      description: v.description ?? prev.description,
+      sampleValue: v.sampleValue !== undefined ? v.sampleValue : prev.sampleValue,
+      sourceType: v.sourceType,
+      required: v.required
+    };
+  });
+
+  const keptIds = new Set(nextVariables.map(v => v.id));
+  const removedIds = new Set(node.variables.filter(v => !keptIds.has(v.id)).map(v => v.id));
+  const staleEdges = store.getEdgesForNode(node.id).filter(e =>
+    (e.from.nodeId === node.id && removedIds.has(e.from.portId)) ||
+    (e.to.nodeId === node.id && removedIds.has(e.to.portId))
+  );
+
+  return [
+    ...staleEdges.map(e => createDeleteEdgeCommand(store, e.id)),
+    createUpdateNodeCommand(
+      store,
+      node.id,
+      { variables: nextVariables, metadata: { ...(node.metadata || {}), ...metadata } },
+      { variables: node.variables, metadata: node.metadata }
+    )
+  ];
+}
+
+/**
+ * Place nodes in a grid below everything already on the canvas
+ * @param {Object[]} nodes - Nodes to position (mutated)
+ */
+export function layoutImportedNodes(nodes) {
+  const existing = store.getState().diagram.nodes;
+  let y = 100;
+  if (existing.length > 0) {
+    y = Math.max(...existing.map(n => (n.position?.y || 0) + estimateNodeHeight(n))) + ROW_GAP;
+  }
+  // Keep positions on the 20px grid like manual placement
+  const snap = (v) => Math.round(v / 20) * 20;
+
+  for (let i = 0; i < nodes.length; i += COLUMNS) {
+    const row = nodes.slice(i, i + COLUMNS);
+    row.forEach((node, col) => {
+      node.position = { x: snap(ORIGIN_X + col * (NODE_WIDTH + COLUMN_GAP)), y: snap(y) };
+    });
+    y += Math.max(...row.map(estimateNodeHeight)) + ROW_GAP;
+  }
+}
+
+/**
+ * Add imported nodes and edges as one undoable command
+ * @param {string} description - Command description (shown for undo)
+ * @param {Object[]} nodes - Nodes to add
+ * @param {Object[]} [edges] - Edges to add
+ * @param {Object[]} [extraCommands] - Additional commands (e.g. node refreshes) to run first in the same step
+ */
+export function commitImport(description, nodes, edges = [], extraCommands = []) {
+  const commands = [
+    ...extraCommands,
+    ...nodes.map(node => createAddNodeCommand(store, node)),
+    ...edges.map(edge => createAddEdgeCommand(store, edge))
+  ];
+  if (commands.length === 0) return;
+
+  commandStack.execute(createCommand(
+    description,
+    () => store.batch(() => commands.forEach(cmd => cmd.execute())),
+    () => store.batch(() => commands.slice().reverse().forEach(cmd => cmd.undo()))
+  ));
+
+  if (nodes.length > 0) {
+    store.setSelection('node', nodes[0].id);
+  }
+}
@@ -0,0 +1,140 @@
+/**
+ * @fileoverview JSON Schema import/export for a node's fields (dot-notation names <-> nested objects)
+ */
+
+import { store } from '../core/store.js';
+import { eventBus, EVENTS } from '../core/eventBus.js';
+import { NODE_KINDS, normalizeNodeKind, createMetadataForKind } from '../core/types.js';
+import { toJsonSchemaType } from '../core/normalizeTypes.js';
+import { parseYaml } from './yaml.js';
+import { RefResolver, schemaToVariables } from './openApiImport.js';
+import { buildImportedNode, layoutImportedNodes, commitImport, createRefreshNodeCommands } from './importUtils.js';
+import { downloadTextFile } from './persistence.js';
+
+export const JSON_SCHEMA_DIALECT = 'https://json-schema.org/draft/2020-12/schema';
+
+const IMPORT_EVENTS = {
+  [NODE_KINDS.API]: EVENTS.IMPORT_API,
+  [NODE_KINDS.TABLE]: EVENTS.IMPORT_TABLE,
+  [NODE_KINDS.MODULE]: EVENTS.IMPORT_GUI
+};
+
+/**
+ * Build a JSON Schema document from a node's variables. Dot-notation names
+ * ("address.city") become nested object properties.
+ * @param {Object} node - Node to export
+ * @returns {Object} JSON Schema document
+ */
+export function nodeToJsonSchema(node) {
+  const root = { type: 'object', properties: {} };
+
+  node.variables.forEach(variable => {
+    const parts = variable.name.split('.').filter(Boolean);
+    if (parts.length === 0) return;
+
+    let parent = root;
+    parts.slice(0, -1).forEach(key => {
+      let child = parent.properties[key];
+      if (!child || !child.properties) {
+        // A plain field with the same name turns into the parent object
+        child = { type: 'object', description: child?.description, properties: {} };
+        if (!child.description) delete child.description;
+        parent.properties[key] = child;
+      }
+      parent = child;
+    });
+
+    const key = parts[parts.length - 1];
+    const schema = toJsonSchemaType(variable);
+    if (variable.description) schema.description = variable.description;
+    if (variable.sampleValue !== undefined && variable.sampleValue !== null && variable.sampleValue !== '') {
+      schema.examples = [variable.sampleValue];
+    }
+
+    const existing = parent.properties[key];
+    if (existing?.properties) {
+      // Nested fields were listed first; keep them and just add the description
+      if (schema.description && !existing.description) existing.description = schema.description;
+    } else {
+      parent.properties[key] = schema;
+    }
+    if (variable.required) {
+      parent.required = [...new Set([...(parent.required || []), key])];
+    }
+  });
+
+  return {
+    $schema: JSON_SCHEMA_DIALECT,
+    title: node.title,
+    ...root
+  };
+}
+
+/**
+ * Download a node's fields as "<title>.schema.json"
+ * @param {Object} node - Node to export
+ */
+export function downloadNodeJsonSchema(node) {
+  const base = String(node.title || 'node')
+    .replace(/[^\w.-]+/g, '_')
+    .replace(/^_+|_+$/g, '') || 'node';
+  downloadTextFile(JSON.stringify(nodeToJsonSchema(node), null, 2) + '\n', `${base}.schema.json`, 'application/schema+json');
+}
+
+/**
+ * Parse a JSON Schema file (JSON, or YAML as some contract repos keep them)
+ * @param {string} text - Schema source
+ * @returns {Object} Schema document
+ */
+export function parseJsonSchemaText(text) {
+  if (!text || !text.trim()) {
+    throw new Error('Paste a JSON Schema document.');
+  }
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (err) {
+    doc = parseYaml(text);
+  }
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+    throw new Error('JSON Schema must be an object.');
+  }
+  return doc;
+}
+
+/**
+ * Create a node from a JSON Schema, or refresh an existing node's fields.
+ * Refreshing keeps fields (and their connections) whose names still exist.
+ * @param {string} text - JSON Schema source
+ * @param {string} [target] - Existing node ID, or "new:<kind>" to create a node
+ * @returns {{nodes: Object[], updated: Object[], edges: Object[], warnings: string[]}}
+ */
+export function importJsonSchema(text, target = `new:${NODE_KINDS.MODULE}`) {
+  const doc = parseJsonSchemaText(text);
+  const warnings = [];
+  const variables = schemaToVariables(new RefResolver(doc, warnings), doc);
+  if (variables.length === 0) {
+    throw new Error('The schema has no properties.');
+  }
+
+  const existing = target && !target.startsWith('new:') ? store.getNodeById(target) : null;
+  if (target && !target.startsWith('new:') && !existing) {
+    throw new Error('The node to refresh no longer exists.');
+  }
+
+  if (existing) {
+    commitImport('Refresh fields from JSON Schema', [], [], createRefreshNodeCommands(existing, variables));
+    const node = store.getNodeById(existing.id);
+    eventBus.emit(IMPORT_EVENTS[normalizeNodeKind(node.kind)], { node, source: 'json-schema' });
+    return { nodes: [], updated: [node], edges: [], warnings };
+  }
+
+  const kind = normalizeNodeKind(target.slice('new:'.length));
+  const title = typeof doc.title === 'string' && doc.title.trim() ? doc.title.trim() : 'Schema';
+  const node = buildImportedNode(kind, title, createMetadataForKind(kind), variables);
+  layoutImportedNodes([node]);
+  commitImport('Import JSON Schema', [node]);
+  eventBus.emit(IMPORT_EVENTS[kind], { node, source: 'json-schema' });
+
+  return { nodes: [node], updated: [], edges: [], warnings };
+}
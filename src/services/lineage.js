@@ -0,0 +1,238 @@
+/**
+ * @fileoverview Lineage graph walks: which fields and nodes feed a field (upstream) and which
+ * ones it feeds (downstream), transitively, and the paths connecting two of them. A node-level
+ * edge end stands for the whole node, so it links to every field of that node.
+ */
+
+import { store } from '../core/store.js';
+import { isNodeLevelEndpoint } from '../core/types.js';
+
+export const LINEAGE_DIRECTIONS = {
+  UPSTREAM: 'upstream',
+  DOWNSTREAM: 'downstream',
+  BOTH: 'both'
+};
+
+/**
+ * @typedef {Object} LineagePoint
+ * @property {string} nodeId - Node ID
+ * @property {string|null} variableId - Field ID, or null for the node as a whole
+ */
+
+// Map key for a field ("nodeId/variableId") or a whole node ("nodeId")
+export const lineagePointKey = (point) => (point.variableId ? `${point.nodeId}/${point.variableId}` : point.nodeId);
+const pointAt = (endpoint) => ({ nodeId: endpoint.nodeId, variableId: endpoint.portId || null });
+
+/**
+ * Display name of a field or whole node
+ * @param {Object} diagram - Diagram ({nodes})
+ * @param {LineagePoint} point - Field or whole node
+ * @returns {string} "Orders.total" for a field, "Orders" for a whole node, "?" when missing
+ */
+export function describeLineagePoint(diagram, point) {
+  const node = diagram.nodes.find(n => n.id === point.nodeId);
+  const variable = node?.variables.find(v => v.id === point.variableId);
+  return variable ? `${node.title}.${variable.name}` : (node?.title || '?');
+}
+
+/**
+ * Edges leaving (downstream) or entering (upstream) a field or a whole node
+ * @param {Object[]} edges - Diagram edges
+ * @param {LineagePoint} point - Field or whole node
+ * @param {boolean} downstream - True for outgoing edges, false for incoming ones
+ * @returns {Object[]} Matching edges
+ */
+export function getAdjacentEdges(edges, point, downstream) {
+  return edges.filter(edge => {
+    const end = downstream ? edge.from : edge.to;
+    if (end.nodeId !== point.nodeId) return false;
+    return !point.variableId || isNodeLevelEndpoint(end) || end.portId === point.variableId;
+  });
+}
+
+/**
+ * Breadth-first walk from a field or node in one direction; cycles are visited once
+ * @param {Object} diagram - Diagram ({edges})
+ * @param {LineagePoint} start - Where the walk starts (depth 0)
+ * @param {boolean} downstream - Walk along (true) or against (false) the edges
+ * @returns {{points: Map<string, {point: LineagePoint, depth: number, via: string|null}>, edges: Map<string, number>}}
+ *   Reached points (with the edge they were first reached through) and edges with their hop depth
+ */
+export function walkLineage(diagram, start, downstream) {
+  const points = new Map([[lineagePointKey(start), { point: start, depth: 0, via: null }]]);
+  const edges = new Map();
+  let frontier = [start];
+
+  for (let depth = 1; frontier.length > 0; depth++) {
+    const next = [];
+    frontier.forEach(point => {
+      getAdjacentEdges(diagram.edges, point, downstream).forEach(edge => {
+        if (!edges.has(edge.id)) edges.set(edge.id, depth);
+        const reached = pointAt(downstream ? edge.to : edge.from);
+        const key = lineagePointKey(reached);
+        if (points.has(key)) return;
+        points.set(key, { point: reached, depth, via: edge.id });
+        next.push(reached);
+      });
+    });
+    frontier = next;
+  }
+  return { points, edges };
+}
+
+/**
+ * Trace the lineage of a field or node
+ * @param {Object} diagram - Diagram ({nodes, edges})
+ * @param {LineagePoint} start - Field or whole node to trace from
+ * @param {string} direction - One of LINEAGE_DIRECTIONS
+ * @returns {{origin: LineagePoint, direction: string, ids: string[],
+ *   depths: Map<string, {depth: number, direction: string}>, nodeCount: number, maxDepth: number}}
+ *   ids: every node, field and edge on the trace; depths: hop depth of fields, whole nodes and
+ *   edges ('origin', 'upstream' or 'downstream'); nodeCount excludes the origin's node
+ */
+export function traceLineage(diagram, start, direction) {
+  const origin = { nodeId: start.nodeId, variableId: start.variableId || null };
+  const ids = new Set([origin.nodeId]);
+  const depths = new Map();
+  const mark = (id, depth, dir) => {
+    ids.add(id);
+    if (!depths.has(id)) depths.set(id, { depth, direction: dir });
+  };
+
+  const walks = direction === LINEAGE_DIRECTIONS.BOTH
+    ? [LINEAGE_DIRECTIONS.UPSTREAM, LINEAGE_DIRECTIONS.DOWNSTREAM]
+    : [direction];
+  let maxDepth = 0;
+  walks.forEach(dir => {
+    const { points, edges } = walkLineage(diagram, origin, dir === LINEAGE_DIRECTIONS.DOWNSTREAM);
+    points.forEach(({ point, depth }) => {
+      ids.add(point.nodeId);
+      mark(point.variableId || point.nodeId, depth, depth === 0 ? 'origin' : dir);
+      maxDepth = Math.max(maxDepth, depth);
+    });
+    edges.forEach((depth, edgeId) => mark(edgeId, depth, dir));
+  });
+
+  const nodeIds = new Set(diagram.nodes.map(node => node.id));
+  const nodeCount = [...ids].filter(id => nodeIds.has(id) && id !== origin.nodeId).length;
+  return { origin, direction, ids: [...ids], depths, nodeCount, maxDepth };
+}
+
+/**
+ * Trace from a field or node and highlight the result on the canvas
+ * @param {LineagePoint} start - Field or whole node
+ * @param {string} direction - One of LINEAGE_DIRECTIONS
+ */
+export function highlightLineage(start, direction) {
+  const trace = traceLineage(store.getState().diagram, start, direction);
+  store.setLineageHighlight(trace.ids, trace);
+}
+
+// Path search limits: enough for any diagram someone reads by eye, small enough to stay instant
+const MAX_PATHS = 50;
+const MAX_PATH_SEARCH_STEPS = 20000;
+
+// True when a reached point is the target: the field itself, or its node as a whole (a
+// node-level end feeds every field, and a whole-node target is reached through any field)
+const reachesPoint = (reached, target) => reached.nodeId === target.nodeId
+  && (!reached.variableId || !target.variableId || reached.variableId === target.variableId);
+
+/**
+ * Every simple path along the edges from one field or node to another, shortest first
+ * @param {Object} diagram - Diagram ({edges})
+ * @param {LineagePoint} from - Where paths start
+ * @param {LineagePoint} to - Where paths end
+ * @returns {{paths: Array<{edgeIds: string[], points: LineagePoint[]}>, truncated: boolean}}
+ *   Paths (points include both ends); truncated when the search hit its limits
+ */
+export function findPaths(diagram, from, to) {
+  const paths = [];
+  const queue = [{ point: from, edgeIds: [], points: [from] }];
+  let steps = 0;
+
+  // Breadth-first over partial paths, so paths come out in hop order
+  for (let i = 0; i < queue.length; i++) {
+    const { point, edgeIds, points } = queue[i];
+    for (const edge of getAdjacentEdges(diagram.edges, point, true)) {
+      if (++steps > MAX_PATH_SEARCH_STEPS || paths.length >= MAX_PATHS) return { paths, truncated: true };
+      const reached = pointAt(edge.to);
+      const key = lineagePointKey(reached);
+      if (points.some(p => lineagePointKey(p) === key)) continue;
+      const next = { point: reached, edgeIds: [...edgeIds, edge.id], points: [...points, reached] };
+      if (reachesPoint(reached, to)) {
+        paths.push({ edgeIds: next.edgeIds, points: next.points });
+      } else {
+        queue.push(next);
+      }
+    }
+  }
+  return { paths, truncated: false };
+}
+
+/**
+ * Trace the paths connecting two fields or nodes. Paths run from `a` to `b`; when there are none,
+ * the other direction is tried, so the two can be picked in either order.
+ * @param {Object} diagram - Diagram ({nodes, edges})
+ * @param {LineagePoint} a - First field or node
+ * @param {LineagePoint} b - Second field or node
+ * @param {number|null} [activePath] - Index of the one path to highlight (null for all)
+ * @returns {Object} Trace like traceLineage's (origin is the upstream end, direction downstream)
+ *   plus target, paths, truncated and activePath
+ */
+export function tracePaths(diagram, a, b, activePath = null) {
+  let origin = { nodeId: a.nodeId, variableId: a.variableId || null };
+  let target = { nodeId: b.nodeId, variableId: b.variableId || null };
+  let result = findPaths(diagram, origin, target);
+  if (result.paths.length === 0) {
+    const reverse = findPaths(diagram, target, origin);
+    if (reverse.paths.length > 0) {
+      [origin, target] = [target, origin];
+      result = reverse;
+    }
+  }
+  const { paths, truncated } = result;
+  const active = activePath !== null && paths[activePath] ? activePath : null;
+
+  // Both picked ends stay lit, even when nothing connects them
+  const ids = new Set([origin.nodeId, target.nodeId, origin.variableId, target.variableId].filter(Boolean));
+  const depths = new Map([[origin.variableId || origin.nodeId, { depth: 0, direction: 'origin' }]]);
+  const mark = (id, depth) => {
+    ids.add(id);
+    const known = depths.get(id);
+    if (!known || known.depth > depth) depths.set(id, { depth, direction: LINEAGE_DIRECTIONS.DOWNSTREAM });
+  };
+  (active === null ? paths : [paths[active]]).forEach(path => {
+    path.edgeIds.forEach((edgeId, i) => mark(edgeId, i + 1));
+    path.points.slice(1).forEach((point, i) => {
+      ids.add(point.nodeId);
+      mark(point.variableId || point.nodeId, i + 1);
+    });
+  });
+
+  const nodeIds = new Set(diagram.nodes.map(node => node.id));
+  const nodeCount = [...ids].filter(id => nodeIds.has(id) && id !== origin.nodeId).length;
+  const maxDepth = paths.reduce((max, path) => Math.max(max, path.edgeIds.length), 0);
+  return {
+    origin,
+    target,
+    direction: LINEAGE_DIRECTIONS.DOWNSTREAM,
+    ids: [...ids],
+    depths,
+    nodeCount,
+    maxDepth,
+    paths,
+    truncated,
+    activePath: active
+  };
+}
+
+/**
+ * Find the paths between two fields or nodes and highlight them on the canvas
+ * @param {LineagePoint} a - First field or node
+ * @param {LineagePoint} b - Second field or node
+ * @param {number|null} [activePath] - Index of the one path to highlight (null for all)
+ */
+export function highlightPaths(a, b, activePath = null) {
+  const trace = tracePaths(store.getState().diagram, a, b, activePath);
+  store.setLineageHighlight(trace.ids, trace);
+}
@@ -0,0 +1,375 @@
+/**
+ * @fileoverview OpenAPI 3 (and Swagger 2) import: one API node per operation
+ */
+
+import { store } from '../core/store.js';
+import { eventBus, EVENTS } from '../core/eventBus.js';
+import { NODE_KINDS, createApiMetadata } from '../core/types.js';
+import { normalizeJsonSchemaType, formatJsonSchemaType, createImportedVariable } from '../core/normalizeTypes.js';
+import { parseYaml } from './yaml.js';
+import { mergeRequestResponseVariables } from './apiImport.js';
+import { buildImportedNode, layoutImportedNodes, commitImport, createRefreshNodeCommands } from './importUtils.js';
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+// Nested objects flatten to dot notation up to this depth (matches flattenJson)
+const MAX_DEPTH = 3;
+
+/**
+ * Parse spec text as JSON, falling back to YAML
+ * @param {string} text - Spec source
+ * @returns {Object} Parsed document
+ */
+export function parseSpecText(text) {
+  if (!text || !text.trim()) {
+    throw new Error('Paste an OpenAPI document (JSON or YAML).');
+  }
+  const trimmed = text.trim();
+  if (trimmed.startsWith('{')) {
+    try {
+      return JSON.parse(trimmed);
+    } catch (err) {
+      // JSON is valid YAML too; let the YAML reader report the error position
+    }
+  }
+  const doc = parseYaml(trimmed);
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+    throw new Error('Document is not a JSON/YAML object.');
+  }
+  return doc;
+}
+
+/**
+ * Resolves local JSON pointer $refs against a document, guarding against cycles
+ */
+export class RefResolver {
+  constructor(doc, warnings = []) {
+    this.doc = doc;
+    this.warnings = warnings;
+  }
+
+  lookup(ref) {
+    if (typeof ref !== 'string' || !ref.startsWith('#')) {
+      this.warn(`External $ref not supported: ${ref}`);
+      return undefined;
+    }
+    const path = ref.slice(1).split('/').filter(Boolean)
+      .map(seg => decodeURIComponent(seg).replace(/~1/g, '/').replace(/~0/g, '~'));
+    let cur = this.doc;
+    for (const seg of path) {
+      if (cur === null || typeof cur !== 'object' || !(seg in cur)) {
+        this.warn(`Unresolved $ref: ${ref}`);
+        return undefined;
+      }
+      cur = cur[seg];
+    }
+    return cur;
+  }
+
+  /**
+   * Follow $ref chains. Returns { value, refs } where refs lists the refs followed.
+   */
+  resolve(obj, seen = []) {
+    let value = obj;
+    const refs = [];
+    while (value && typeof value === 'object' && typeof value.$ref === 'string') {
+      const ref = value.$ref;
+      if (seen.includes(ref) || refs.includes(ref)) {
+        return { value: undefined, refs, cyclic: true };
+      }
+      refs.push(ref);
+      value = this.lookup(ref);
+    }
+    return { value, refs, cyclic: false };
+  }
+
+  warn(message) {
+    if (!this.warnings.includes(message)) this.warnings.push(message);
+  }
+}
+
+/**
+ * Resolve a schema and merge allOf parts; oneOf/anyOf use their first option
+ * @returns {{schema: Object|undefined, refs: string[], cyclic: boolean}}
+ */
+export function resolveSchema(resolver, schema, seen = []) {
+  const { value, refs, cyclic } = resolver.resolve(schema, seen);
+  if (cyclic || !value || typeof value !== 'object') {
+    return { schema: value, refs, cyclic };
+  }
+  const path = [...seen, ...refs];
+
+  if (Array.isArray(value.allOf)) {
+    const merged = { ...value, properties: { ...(value.properties || {}) }, required: [...(value.required || [])] };
+    delete merged.allOf;
+    value.allOf.forEach(part => {
+      const resolved = resolveSchema(resolver, part, path).schema;
+      if (!resolved) return;
+      if (!merged.type && resolved.type) merged.type = resolved.type;
+      Object.assign(merged.properties, resolved.properties || {});
+      merged.required.push(...(resolved.required || []));
+      if (!merged.description && resolved.description) merged.description = resolved.description;
+    });
+    if (Object.keys(merged.properties).length > 0 && !merged.type) merged.type = 'object';
+    return { schema: merged, refs, cyclic: false };
+  }
+
+  const options = value.oneOf || value.anyOf;
+  if (Array.isArray(options) && options.length > 0 && !value.properties) {
+    const first = resolveSchema(resolver, options[0], path);
+    return {
+      schema: first.schema ? { description: value.description, ...first.schema } : first.schema,
+      refs: [...refs, ...first.refs],
+      cyclic: first.cyclic
+    };
+  }
+
+  return { schema: value, refs, cyclic: false };
+}
+
+const isObjectSchema = (schema) =>
+  !!schema && (schema.type === 'object' || (!schema.type && !!schema.properties)) && !!schema.properties;
+
+const refName = (ref) => ref.split('/').pop() || undefined;
+
+const exampleOf = (schema) => {
+  if (!schema) return undefined;
+  if (schema.example !== undefined) return schema.example;
+  if (Array.isArray(schema.examples) && schema.examples.length > 0) return schema.examples[0];
+  return undefined;
+};
+
+/**
+ * Describe an enum so the allowed values stay visible in the field description
+ */
+const describeSchema = (schema) => {
+  const parts = [];
+  if (schema?.description) parts.push(String(schema.description).trim());
+  if (Array.isArray(schema?.enum) && schema.enum.length > 0) parts.push(`One of: ${schema.enum.join(', ')}`);
+  return parts.length ? parts.join(' — ') : undefined;
+};
+
+/**
+ * Flatten a (JSON Schema style) object schema into variables with dot-notation names
+ * @param {RefResolver} resolver - $ref resolver
+ * @param {Object} schema - Schema (may be a $ref)
+ * @param {Object} [options] - prefix, depth, seen refs
+ * @returns {Object[]} Variables without IDs
+ */
+export function schemaToVariables(resolver, schema, { prefix = '', depth = MAX_DEPTH, seen = [] } = {}) {
+  let { schema: resolved, refs } = resolveSchema(resolver, schema, seen);
+  if (!resolved) return [];
+  let path = [...seen, ...refs];
+
+  // List payloads describe their items
+  if (!prefix && resolved.type === 'array' && resolved.items) {
+    const item = resolveSchema(resolver, resolved.items, path);
+    if (isObjectSchema(item.schema)) {
+      resolved = item.schema;
+      path = [...path, ...item.refs];
+    }
+  }
+
+  if (!isObjectSchema(resolved)) {
+    return [createImportedVariable(prefix || 'value', normalizeJsonSchemaType(resolved), {
+      description: describeSchema(resolved),
+      sourceType: formatJsonSchemaType(resolved),
+      sampleValue: exampleOf(resolved)
+    })];
+  }
+
+  const required = new Set(Array.isArray(resolved.required) ? resolved.required : []);
+  const variables = [];
+  Object.entries(resolved.properties).forEach(([key, propSchema]) => {
+    const name = prefix ? `${prefix}.${key}` : key;
+    const prop = resolveSchema(resolver, propSchema, path);
+    const child = prop.schema;
+
+    if (isObjectSchema(child) && depth > 1) {
+      variables.push(...schemaToVariables(resolver, child, { prefix: name, depth: depth - 1, seen: [...path, ...prop.refs] }));
+      return;
+    }
+
+    if (prop.cyclic) {
+      // Recursive reference: keep a single JSON field named after the schema
+      variables.push(createImportedVariable(name, 'json', {
+        sourceType: refName(propSchema.$ref || ''),
+        required: required.has(key)
+      }));
+      return;
+    }
+
+    variables.push(createImportedVariable(name, normalizeJsonSchemaType(child), {
+      description: describeSchema(child),
+      sourceType: formatJsonSchemaType(child),
+      required: required.has(key),
+      sampleValue: exampleOf(child)
+    }));
+  });
+  return variables;
+}
+
+/**
+ * Pick the JSON media type (or the first one) from an OpenAPI content map
+ */
+function pickContentSchema(content) {
+  if (!content || typeof content !== 'object') return undefined;
+  const types = Object.keys(content);
+  const type = types.find(t => /^application\/json\b/i.test(t)) || types.find(t => /json/i.test(t)) || types[0];
+  return type ? content[type]?.schema : undefined;
+}
+
+/**
+ * Choose the success response: lowest 2xx, then 2XX, then default
+ */
+function pickSuccessResponse(responses) {
+  if (!responses || typeof responses !== 'object') return undefined;
+  const codes = Object.keys(responses);
+  const ok = codes.filter(c => /^2\d\d$/.test(c)).sort()[0] ||
+    codes.find(c => /^2xx$/i.test(c)) ||
+    (codes.includes('default') ? 'default' : undefined);
+  return ok ? responses[ok] : undefined;
+}
+
+/**
+ * Build request-side variables from parameters and request body
+ */
+function requestVariables(resolver, pathItem, operation) {
+  const variables = [];
+  const seenParams = new Set();
+  const params = [...(operation.parameters || []), ...(pathItem.parameters || [])];
+
+  params.forEach(raw => {
+    const param = resolver.resolve(raw).value;
+    if (!param || !param.name) return;
+    const key = `${param.in}:${param.name}`;
+    if (seenParams.has(key)) return; // operation-level params override path-level ones
+    seenParams.add(key);
+
+    if (param.in === 'body') {
+      // Swagger 2 body parameter
+      variables.push(...schemaToVariables(resolver, param.schema));
+      return;
+    }
+    const schema = resolveSchema(resolver, param.schema || param).schema || {};
+    variables.push(createImportedVariable(param.name, normalizeJsonSchemaType(schema), {
+      description: describeSchema({ ...schema, description: param.description || `${param.in} parameter` }),
+      sourceType: formatJsonSchemaType(schema),
+      required: !!param.required || param.in === 'path',
+      sampleValue: param.example !== undefined ? param.example : exampleOf(schema)
+    }));
+  });
+
+  if (operation.requestBody) {
+    const body = resolver.resolve(operation.requestBody).value;
+    const schema = pickContentSchema(body?.content);
+    if (schema) variables.push(...schemaToVariables(resolver, schema));
+  }
+
+  // Parameters and body properties may share a name; keep the first
+  const names = new Set();
+  return variables.filter(v => (names.has(v.name) ? false : names.add(v.name)));
+}
+
+function responseVariables(resolver, operation) {
+  const response = resolver.resolve(pickSuccessResponse(operation.responses)).value;
+  if (!response) return [];
+  const schema = response.content ? pickContentSchema(response.content) : response.schema;
+  return schema ? schemaToVariables(resolver, schema) : [];
+}
+
+/**
+ * Collect operations from a parsed OpenAPI 3 / Swagger 2 document
+ * @param {Object} doc - Parsed spec
+ * @param {string[]} warnings - Collects non-fatal problems
+ * @returns {Object[]} Operations: { method, url, auth, summary, operationId, variables }
+ */
+export function collectOperations(doc, warnings = []) {
+  const isOpenApi3 = typeof doc.openapi === 'string' && doc.openapi.startsWith('3');
+  const isSwagger2 = String(doc.swagger || '').startsWith('2');
+  if (!isOpenApi3 && !isSwagger2) {
+    throw new Error('Not an OpenAPI 3 or Swagger 2 document (missing "openapi"/"swagger" field).');
+  }
+  if (!doc.paths || typeof doc.paths !== 'object') {
+    throw new Error('The spec has no paths.');
+  }
+
+  const resolver = new RefResolver(doc, warnings);
+  const operations = [];
+
+  Object.entries(doc.paths).forEach(([url, rawPathItem]) => {
+    const pathItem = resolver.resolve(rawPathItem).value || {};
+    HTTP_METHODS.forEach(method => {
+      const operation = pathItem[method];
+      if (!operation || typeof operation !== 'object') return;
+
+      const security = operation.security || doc.security || [];
+      const schemes = [...new Set(security.flatMap(req => Object.keys(req || {})))];
+
+      operations.push({
+        method: method.toUpperCase(),
+        url,
+        auth: schemes.length ? schemes.join(', ') : undefined,
+        summary: operation.summary,
+        operationId: operation.operationId,
+        variables: mergeRequestResponseVariables(
+          requestVariables(resolver, pathItem, operation),
+          responseVariables(resolver, operation)
+        )
+      });
+    });
+  });
+
+  return operations;
+}
+
+/**
+ * Import an OpenAPI spec; existing API nodes with the same method + URL are refreshed
+ * @param {string} text - JSON or YAML spec
+ * @returns {{nodes: Object[], updated: Object[], edges: Object[], warnings: string[]}}
+ */
+export function importOpenApi(text) {
+  const doc = parseSpecText(text);
+  const warnings = [];
+  const operations = collectOperations(doc, warnings);
+  if (operations.length === 0) {
+    throw new Error('No operations found in the spec.');
+  }
+
+  const apiNodes = store.getState().diagram.nodes.filter(n => n.kind === NODE_KINDS.API);
+  const nodes = [];
+  const updated = [];
+  const refreshCommands = [];
+
+  operations.forEach(op => {
+    const metadata = createApiMetadata(op.method, op.url);
+    // Only a spec that declares security sets auth; otherwise a refresh keeps what the user typed
+    if (op.auth) {
+      metadata.auth = op.auth;
+    } else {
+      delete metadata.auth;
+    }
+    if (op.operationId) metadata.operationId = op.operationId;
+    if (op.summary) metadata.summary = op.summary;
+
+    const existing = apiNodes.find(n =>
+      (n.metadata?.method || 'GET').toUpperCase() === op.method && n.metadata?.url === op.url
+    );
+    if (existing) {
+      refreshCommands.push(...createRefreshNodeCommands(existing, op.variables, metadata));
+      updated.push(existing);
+    } else {
+      nodes.push(buildImportedNode(NODE_KINDS.API, op.url, metadata, op.variables));
+    }
+  });
+
+  layoutImportedNodes(nodes);
+  const title = doc.info?.title ? `Import ${doc.info.title}` : 'Import OpenAPI spec';
+  commitImport(title, nodes, [], refreshCommands);
+
+  [...nodes, ...updated].forEach(node => {
+    eventBus.emit(EVENTS.IMPORT_API, { node: store.getNodeById(node.id) || node, source: 'openapi' });
+  });
+
+  return { nodes, updated, edges: [], warnings };
+}
@@ -5,6 +5,77 @@
 import { store } from '../core/store.js';
 import { eventBus, EVENTS } from '../core/eventBus.js';
 
+/** Current on-disk schema version written by the exporters */
+export const SCHEMA_VERSION = 2;
+
+// Properties covered by dedicated compact keys; anything else rides along in `x`
+const KNOWN_DIAGRAM_KEYS = ['version', 'title', 'nodes', 'edges'];
+const KNOWN_NODE_KEYS = ['id', 'title', 'kind', 'position', 'variables', 'metadata', 'width', 'showVariableTypes'];
+const KNOWN_VARIABLE_KEYS = ['id', 'name', 'dataType', 'sampleValue', 'description', 'color'];
+const KNOWN_EDGE_KEYS = ['id', 'from', 'to', 'transform', 'status', 'flowKind', 'cardinality', 'reference'];
+
+/**
+ * Collect extra (non-core) properties so new per-item properties survive a round-trip
+ * @param {Object} obj - Source object
+ * @param {string[]} knownKeys - Keys handled explicitly by the mapper
+ * @returns {Object|undefined} Extras or undefined when there are none
+ */
+function pickExtras(obj, knownKeys) {
+  const extras = {};
+  let found = false;
+  Object.keys(obj || {}).forEach((key) => {
+    if (knownKeys.includes(key) || obj[key] === undefined) return;
+    extras[key] = obj[key];
+    found = true;
+  });
+  return found ? JSON.parse(JSON.stringify(extras)) : undefined;
+}
+
+const hasEntries = (obj) => !!obj && typeof obj === 'object' && Object.keys(obj).length > 0;
+
+// Compact v2 mappers (2-3 char keys)
+const mapVarCompact = (v) => {
+  const out = { i: v.id, n: v.name, dt: v.dataType };
+  if (v.sampleValue !== undefined) out.sv = v.sampleValue;
+  if (v.description) out.d = v.description;
+  if (v.color) out.c = v.color;
+  const x = pickExtras(v, KNOWN_VARIABLE_KEYS);
+  if (x) out.x = x;
+  return out;
+};
+
+const mapNodeCompact = (n) => {
+  const out = {
+    i: n.id,
+    t: n.title,
+    p: { x: n.position?.x || 0, y: n.position?.y || 0 },
+    v: (n.variables || []).map(mapVarCompact)
+  };
+  if (n.kind) out.k = n.kind;
+  if (hasEntries(n.metadata)) out.m = JSON.parse(JSON.stringify(n.metadata));
+  if (typeof n.width === 'number') out.w = n.width;
+  if (n.showVariableTypes !== null && n.showVariableTypes !== undefined) out.vt = n.showVariableTypes;
+  const x = pickExtras(n, KNOWN_NODE_KEYS);
+  if (x) out.x = x;
+  return out;
+};
+
+const mapEdgeCompact = (e) => {
+  const f = { n: e.from?.nodeId, p: e.from?.portId };
+  if (e.from?.side) f.s = e.from.side;
+  const t = { n: e.to?.nodeId, p: e.to?.portId };
+  if (e.to?.side) t.s = e.to.side;
+  const out = { i: e.id, f, t };
+  if (e.transform !== undefined) out.tr = e.transform;
+  if (e.status && e.status !== 'ok') out.st = e.status;
+  if (e.flowKind) out.fk = e.flowKind;
+  if (e.cardinality) out.cd = e.cardinality;
+  if (e.reference) out.rf = true;
+  const x = pickExtras(e, KNOWN_EDGE_KEYS);
+  if (x) out.x = x;
+  return out;
+};
+
 /**
  * Export diagram to JSON
  * @returns {string} JSON string of the diagram
@@ -12,44 +83,14 @@ import { eventBus, EVENTS } from '../core/eventBus.js';
 export function exportDiagram(pretty = true) {
   const state = store.getState();
 
-  // Map internal -> compact v1 schema (2-3 char keys)
-  const mapVar = (v) => {
-    const out = { i: v.id, n: v.name, dt: v.dataType };
-    if (v.sampleValue !== undefined) out.sv = v.sampleValue;
-    if (v.description) out.d = v.description;
-    if (v.color) out.c = v.color;
-    return out;
-  };
-
-  const mapNode = (n) => {
-    const out = {
-      i: n.id,
-      t: n.title,
-      p: { x: n.position?.x || 0, y: n.position?.y || 0 },
-      v: (n.variables || []).map(mapVar)
-    };
-    if (typeof n.width === 'number') out.w = n.width;
-    if (n.showVariableTypes !== null && n.showVariableTypes !== undefined) out.vt = n.showVariableTypes;
-    return out;
-  };
-
-  const mapEdge = (e) => {
-    const f = { n: e.from?.nodeId, p: e.from?.portId };
-    if (e.from?.side) f.s = e.from.side;
-    const t = { n: e.to?.nodeId, p: e.to?.portId };
-    if (e.to?.side) t.s = e.to.side;
-    const out = { i: e.id, f, t };
-    if (e.transform !== undefined) out.tr = e.transform;
-    if (e.status && e.status !== 'ok') out.st = e.status;
-    return out;
-  };
-
   const compact = {
-    v: 1,
+    v: SCHEMA_VERSION,
     t: state.diagram.title,
-    n: (state.diagram.nodes || []).map(mapNode),
-    e: (state.diagram.edges || []).map(mapEdge)
+    n: (state.diagram.nodes || []).map(mapNodeCompact),
+    e: (state.diagram.edges || []).map(mapEdgeCompact)
   };
+  const x = pickExtras(state.diagram, KNOWN_DIAGRAM_KEYS);
+  if (x) compact.x = x;
 
   eventBus.emit(EVENTS.DIAGRAM_EXPORT, { diagram: compact });
   return JSON.stringify(compact, null, pretty ? 2 : 0);
@@ -57,50 +98,21 @@ export function exportDiagram(pretty = true) {
 
 /**
  * Export a share-friendly payload that supports both:
- * - Compact v1 (v/t/n/e)
- * - Legacy/long v1 consumers (version/title/nodes/edges)
+ * - Compact v2 (v/t/n/e)
+ * - Long-key consumers (version/title/nodes/edges); older deployments read these
+ *   through their legacy importer, which keeps metadata and kind as-is
  * This increases compatibility for older deployments while keeping links compressed.
  */
 export function exportDiagramForShare(pretty = false) {
   const state = store.getState();
 
-  // Compact mappers
-  const mapVarC = (v) => {
-    const out = { i: v.id, n: v.name, dt: v.dataType };
-    if (v.sampleValue !== undefined) out.sv = v.sampleValue;
-    if (v.description) out.d = v.description;
-    if (v.color) out.c = v.color;
-    return out;
-  };
-  const mapNodeC = (n) => {
-    const out = {
-      i: n.id,
-      t: n.title,
-      p: { x: n.position?.x || 0, y: n.position?.y || 0 },
-      v: (n.variables || []).map(mapVarC)
-    };
-    if (typeof n.width === 'number') out.w = n.width;
-    if (n.showVariableTypes !== null && n.showVariableTypes !== undefined) out.vt = n.showVariableTypes;
-    return out;
-  };
-  const mapEdgeC = (e) => {
-    const f = { n: e.from?.nodeId, p: e.from?.portId };
-    if (e.from?.side) f.s = e.from.side;
-    const t = { n: e.to?.nodeId, p: e.to?.portId };
-    if (e.to?.side) t.s = e.to.side;
-    const out = { i: e.id, f, t };
-    if (e.transform !== undefined) out.tr = e.transform;
-    if (e.status && e.status !== 'ok') out.st = e.status;
-    return out;
-  };
-
-  // Long mappers (legacy-friendly keys; still v1 and no metadata)
+  // Long mappers (legacy-friendly keys, full node properties)
   const mapVarL = (v) => {
     const out = { id: v.id, name: v.name, dataType: v.dataType };
     if (v.sampleValue !== undefined) out.sampleValue = v.sampleValue;
     if (v.description) out.description = v.description;
     if (v.color) out.color = v.color;
-    return out;
+    return { ...pickExtras(v, KNOWN_VARIABLE_KEYS), ...out };
   };
   const mapNodeL = (n) => {
     const out = {
@@ -109,9 +121,11 @@ export function exportDiagramForShare(pretty = false) {
       position: { x: n.position?.x || 0, y: n.position?.y || 0 },
       variables: (n.variables || []).map(mapVarL)
     };
+    if (n.kind) out.kind = n.kind;
+    if (hasEntries(n.metadata)) out.metadata = JSON.parse(JSON.stringify(n.metadata));
     if (typeof n.width === 'number') out.width = n.width;
     if (n.showVariableTypes !== null && n.showVariableTypes !== undefined) out.showVariableTypes = n.showVariableTypes;
-    return out;
+    return { ...pickExtras(n, KNOWN_NODE_KEYS), ...out };
   };
   const mapEdgeL = (e) => {
     const out = {
@@ -121,11 +135,14 @@ export function exportDiagramForShare(pretty = false) {
     };
     if (e.transform !== undefined) out.transform = e.transform;
     if (e.status) out.status = e.status;
-    return out;
+    if (e.flowKind) out.flowKind = e.flowKind;
+    if (e.cardinality) out.cardinality = e.cardinality;
+    if (e.reference) out.reference = true;
+    return { ...pickExtras(e, KNOWN_EDGE_KEYS), ...out };
   };
 
   const long = {
-    version: 1,
+    version: SCHEMA_VERSION,
     title: state.diagram.title,
     nodes: (state.diagram.nodes || []).map(mapNodeL),
     edges: (state.diagram.edges || []).map(mapEdgeL)
@@ -134,15 +151,53 @@ export function exportDiagramForShare(pretty = false) {
   // Merge long + compact keys in one object to maximize compatibility
   const payload = {
     ...long,
-    v: 1,
+    v: SCHEMA_VERSION,
     t: long.title,
-    n: (state.diagram.nodes || []).map(mapNodeC),
-    e: (state.diagram.edges || []).map(mapEdgeC)
+    n: (state.diagram.nodes || []).map(mapNodeCompact),
+    e: (state.diagram.edges || []).map(mapEdgeCompact)
   };
+  const x = pickExtras(state.diagram, KNOWN_DIAGRAM_KEYS);
+  if (x) payload.x = x;
 
   return JSON.stringify(payload, null, pretty ? 2 : 0);
 }
 
+/**
+ * Map a compact (v1 or v2) node to the in-memory shape.
+ * v1 files simply lack the k/m/x keys.
+ */
+const fromCompactNode = (cn) => ({
+  ...(cn.x || {}),
+  id: cn.i,
+  title: cn.t || '',
+  kind: cn.k,
+  position: { x: cn.p?.x || 0, y: cn.p?.y || 0 },
+  variables: (cn.v || []).map((cv) => ({
+    ...(cv.x || {}),
+    id: cv.i,
+    name: cv.n || '',
+    dataType: cv.dt || 'string',
+    sampleValue: Object.prototype.hasOwnProperty.call(cv, 'sv') ? cv.sv : undefined,
+    description: cv.d,
+    color: (cv.c === undefined ? null : cv.c)
+  })),
+  width: typeof cn.w === 'number' ? cn.w : undefined,
+  showVariableTypes: (cn.vt === null || cn.vt === undefined) ? null : cn.vt,
+  metadata: (cn.m && typeof cn.m === 'object') ? cn.m : {}
+});
+
+const fromCompactEdge = (ce) => ({
+  ...(ce.x || {}),
+  id: ce.i,
+  from: { nodeId: ce.f?.n, portId: ce.f?.p, side: ce.f?.s },
+  to: { nodeId: ce.t?.n, portId: ce.t?.p, side: ce.t?.s },
+  transform: ce.tr,
+  status: ce.st || 'ok',
+  flowKind: ce.fk,
+  cardinality: ce.cd,
+  reference: ce.rf || undefined
+});
+
 /**
  * Import diagram from JSON
  * @param {string} jsonString - JSON string to import
@@ -156,52 +211,28 @@ export function importDiagram(jsonString) {
     // Helper: strip legacy prefixes in IDs
     const stripId = (id) => (typeof id === 'string' ? id.replace(/^(?:node|var|edge)_/, '') : id);
 
-    // v1 importer (supports both long v1 and compact v1)
-    if (version === 1 || version === '1') {
-
-      // Compact v1 (keys: v/t/n/e)
-      if (Array.isArray(parsed?.n) && Array.isArray(parsed?.e)) {
-        const mapNode = (cn) => ({
-          id: cn.i,
-          title: cn.t || '',
-          position: { x: cn.p?.x || 0, y: cn.p?.y || 0 },
-          variables: (cn.v || []).map((cv) => ({
-            id: cv.i,
-            name: cv.n || '',
-            dataType: cv.dt || 'string',
-            sampleValue: Object.prototype.hasOwnProperty.call(cv, 'sv') ? cv.sv : undefined,
-            description: cv.d,
-            color: (cv.c === undefined ? null : cv.c)
-          })),
-          width: typeof cn.w === 'number' ? cn.w : undefined,
-          showVariableTypes: (cn.vt === null || cn.vt === undefined) ? null : cn.vt,
-          metadata: {}
-        });
-
-        const mapEdge = (ce) => ({
-          id: ce.i,
-          from: { nodeId: ce.f?.n, portId: ce.f?.p, side: ce.f?.s },
-          to: { nodeId: ce.t?.n, portId: ce.t?.p, side: ce.t?.s },
-          transform: ce.tr,
-          status: ce.st || 'ok'
-        });
-
-        const diagramV1Compact = {
-          version: '1',
-          title: parsed.t || parsed.title || 'Untitled diagram',
-          nodes: parsed.n.map(mapNode),
-          edges: parsed.e.map(mapEdge)
-        };
-
-        store.loadDiagram(diagramV1Compact);
-        eventBus.emit(EVENTS.DIAGRAM_IMPORT, { diagram: diagramV1Compact });
-        return true;
-      }
+    // v1/v2 compact importer (keys: v/t/n/e; v2 adds k/m/x)
+    const isV1 = version === 1 || version === '1';
+    const isV2 = version === 2 || version === '2';
+    if ((isV1 || isV2) && Array.isArray(parsed?.n) && Array.isArray(parsed?.e)) {
+      const diagramCompact = {
+        ...(isV2 ? (parsed.x || {}) : {}),
+        version: String(version),
+        title: parsed.t || parsed.title || 'Untitled diagram',
+        nodes: parsed.n.map(fromCompactNode),
+        edges: parsed.e.map(fromCompactEdge)
+      };
+
+      store.loadDiagram(diagramCompact);
+      eventBus.emit(EVENTS.DIAGRAM_IMPORT, { diagram: diagramCompact });
+      return true;
+    }
 
+    if (isV1) {
       throw new Error('Invalid v1 diagram: missing nodes/edges');
     }
 
-    // Legacy (v0) importer: no version field
+    // Long-key importer: legacy v0 (no version field) and long-key v2 payloads
     if (!Array.isArray(parsed.nodes)) {
       throw new Error('Invalid legacy diagram: missing nodes array');
     }
@@ -235,6 +266,7 @@ export function importDiagram(jsonString) {
     }));
 
     const diagramV0 = {
+      ...(isV2 ? (parsed.x || {}) : {}),
       version: parsed.version || '0.1',
       title: parsed.title || 'Untitled diagram',
       nodes,
@@ -256,8 +288,17 @@ export function importDiagram(jsonString) {
  * @param {string} [filename] - Optional filename
  */
 export function downloadDiagram(filename = 'data-flow-diagram.json') {
-  const jsonString = exportDiagram();
-  const blob = new Blob([jsonString], { type: 'application/json' });
+  downloadTextFile(exportDiagram(), filename, 'application/json');
+}
+
+/**
+ * Save text content as a file via a temporary download link
+ * @param {string} content - File content
+ * @param {string} filename - Suggested filename
+ * @param {string} [mimeType] - MIME type
+ */
+export function downloadTextFile(content, filename, mimeType = 'text/plain') {
+  const blob = new Blob([content], { type: mimeType });
   const url = URL.createObjectURL(blob);
   
   const a = document.createElement('a');
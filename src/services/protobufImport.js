@@ -0,0 +1,303 @@
+/**
+ * @fileoverview Protobuf import: each `message` (nested ones too) -> Module node, message-typed fields -> edges
+ */
+
+import { NODE_KINDS, DATA_TYPES, createModuleMetadata } from '../core/types.js';
+import { normalizeProtobufType, PROTOBUF_TYPE_MAP, createImportedVariable } from '../core/normalizeTypes.js';
+import { buildImportedNode, buildImportedEdge, layoutImportedNodes, commitImport, findReferenceTarget } from './importUtils.js';
+
+/**
+ * Split a .proto file into tokens, dropping // and /* *\/ comments
+ * @param {string} text - Proto source
+ * @returns {string[]} Tokens (identifiers keep their dots, strings keep their quotes)
+ */
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const c = text[i];
+    if (/\s/.test(c)) {
+      i++;
+    } else if (c === '/' && text[i + 1] === '/') {
+      while (i < text.length && text[i] !== '\n') i++;
+    } else if (c === '/' && text[i + 1] === '*') {
+      const end = text.indexOf('*/', i + 2);
+      i = end === -1 ? text.length : end + 2;
+    } else if (c === '"' || c === "'") {
+      let j = i + 1;
+      while (j < text.length && text[j] !== c) j += text[j] === '\\' ? 2 : 1;
+      tokens.push(text.slice(i, j + 1));
+      i = j + 1;
+    } else if (/[A-Za-z0-9_.+-]/.test(c)) {
+      const m = /^[A-Za-z0-9_.+-]+/.exec(text.slice(i, i + 512));
+      tokens.push(m[0]);
+      i += m[0].length;
+    } else {
+      tokens.push(c);
+      i++;
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Token cursor shared by the proto parser
+ */
+class ProtoReader {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.pos = 0;
+  }
+
+  peek() {
+    return this.tokens[this.pos];
+  }
+
+  next() {
+    return this.tokens[this.pos++];
+  }
+
+  accept(token) {
+    if (this.tokens[this.pos] === token) {
+      this.pos++;
+      return true;
+    }
+    return false;
+  }
+
+  expect(token) {
+    const found = this.next();
+    if (found !== token) {
+      throw new Error(`Expected "${token}" but found ${found === undefined ? 'end of file' : `"${found}"`}`);
+    }
+  }
+
+  done() {
+    return this.pos >= this.tokens.length;
+  }
+
+  // Skip to the end of the current statement (`;`), or over a `{ ... }` body
+  skipStatement() {
+    let depth = 0;
+    while (!this.done()) {
+      const token = this.next();
+      if (token === '{') depth++;
+      else if (token === '}') {
+        depth--;
+        if (depth <= 0) return;
+      } else if (token === ';' && depth === 0) return;
+    }
+  }
+
+  // Skip a `[ ... ]` field options block
+  skipOptions() {
+    if (!this.accept('[')) return;
+    let depth = 1;
+    while (!this.done() && depth > 0) {
+      const token = this.next();
+      if (token === '[') depth++;
+      else if (token === ']') depth--;
+    }
+  }
+}
+
+/**
+ * Read `map<K, V>` after the `map` token
+ */
+function readMapType(reader) {
+  reader.expect('<');
+  const key = reader.next();
+  reader.expect(',');
+  const value = reader.next();
+  reader.expect('>');
+  return `map<${key}, ${value}>`;
+}
+
+/**
+ * Parse a message body into fields plus nested messages/enums
+ */
+function parseMessageBody(reader, fullName, result) {
+  const message = { name: fullName, fields: [] };
+  result.messages.push(message);
+
+  reader.expect('{');
+  const readField = (label, oneof) => {
+    let type = reader.next();
+    if (type === 'map') type = readMapType(reader);
+    const name = reader.next();
+    reader.expect('=');
+    reader.next(); // field number
+    reader.skipOptions();
+    reader.expect(';');
+    message.fields.push({ name, type, label, oneof });
+  };
+
+  while (!reader.accept('}')) {
+    if (reader.done()) throw new Error(`Unterminated message ${fullName}`);
+    const token = reader.peek();
+    if (token === ';') {
+      reader.next();
+    } else if (token === 'message') {
+      reader.next();
+      parseMessageBody(reader, `${fullName}.${reader.next()}`, result);
+    } else if (token === 'enum') {
+      reader.next();
+      parseEnumBody(reader, `${fullName}.${reader.next()}`, result);
+    } else if (token === 'oneof') {
+      reader.next();
+      const oneof = reader.next();
+      reader.expect('{');
+      while (!reader.accept('}')) {
+        if (reader.done()) throw new Error(`Unterminated oneof ${oneof}`);
+        if (reader.peek() === 'option') reader.skipStatement();
+        else readField('optional', oneof);
+      }
+    } else if (['option', 'reserved', 'extensions', 'extend', 'group'].includes(token)) {
+      reader.skipStatement();
+    } else if (['repeated', 'optional', 'required'].includes(token)) {
+      readField(reader.next());
+    } else {
+      readField(null);
+    }
+  }
+}
+
+function parseEnumBody(reader, fullName, result) {
+  const values = [];
+  reader.expect('{');
+  while (!reader.accept('}')) {
+    if (reader.done()) throw new Error(`Unterminated enum ${fullName}`);
+    const token = reader.next();
+    if (token === ';') continue;
+    if (token === 'option' || token === 'reserved') {
+      reader.skipStatement();
+      continue;
+    }
+    values.push(token);
+    reader.skipStatement();
+  }
+  result.enums.set(fullName, values);
+}
+
+/**
+ * Parse a .proto file (proto2 or proto3)
+ * @param {string} text - Proto source
+ * @returns {{package: string, messages: Object[], enums: Map}} Messages with
+ *   scope-qualified names ("Order.Item") and fields { name, type, label, oneof }
+ */
+export function parseProto(text) {
+  const reader = new ProtoReader(tokenize(text || ''));
+  const result = { package: '', messages: [], enums: new Map() };
+
+  while (!reader.done()) {
+    const token = reader.next();
+    if (token === 'package') {
+      result.package = reader.next();
+      reader.expect(';');
+    } else if (token === 'message') {
+      parseMessageBody(reader, reader.next(), result);
+    } else if (token === 'enum') {
+      parseEnumBody(reader, reader.next(), result);
+    } else if (token !== ';') {
+      // syntax, import, option, service, extend
+      reader.skipStatement();
+    }
+  }
+  return result;
+}
+
+/**
+ * Resolve a type reference the way protoc does: innermost scope outwards
+ * @param {string} type - Type as written ("Item", "Order.Item", ".pkg.Order")
+ * @param {string} scope - Full name of the message containing the field
+ * @param {string} pkg - Package name
+ * @param {Function} exists - Checks a scope-qualified name
+ * @returns {string|null} Resolved name or null for scalars/unknown types
+ */
+function resolveTypeName(type, scope, pkg, exists) {
+  let name = type;
+  if (name.startsWith('.')) {
+    name = name.slice(1);
+    if (pkg && name.startsWith(`${pkg}.`)) name = name.slice(pkg.length + 1);
+    return exists(name) ? name : null;
+  }
+  if (pkg && name.startsWith(`${pkg}.`) && exists(name.slice(pkg.length + 1))) {
+    return name.slice(pkg.length + 1);
+  }
+  const parts = scope.split('.');
+  for (let i = parts.length; i >= 0; i--) {
+    const candidate = [...parts.slice(0, i), name].join('.');
+    if (exists(candidate)) return candidate;
+  }
+  return null;
+}
+
+/**
+ * Import a .proto file as Module nodes (one undoable step)
+ * @param {string} text - Proto source
+ * @returns {{nodes: Object[], edges: Object[], warnings: string[]}} Created items and warnings
+ */
+export function importProtobuf(text) {
+  if (!text || !text.trim()) {
+    throw new Error('Paste a .proto file.');
+  }
+  const proto = parseProto(text);
+  if (proto.messages.length === 0) {
+    throw new Error('No message definitions found.');
+  }
+
+  const messageNames = new Set(proto.messages.map(m => m.name));
+  const warnings = [];
+  const links = [];
+
+  const nodesByName = new Map();
+  const nodes = proto.messages.map(message => {
+    const variables = message.fields.map((field, index) => {
+      const repeated = field.label === 'repeated';
+      const mapValue = /^map<[^,]+,\s*([^>]+)>$/.exec(field.type)?.[1];
+      const refType = mapValue || field.type;
+      const wellKnown = PROTOBUF_TYPE_MAP[refType.replace(/^\./, '')];
+
+      let dataType = normalizeProtobufType(field.type, repeated);
+      let enumValues;
+      if (!wellKnown) {
+        const target = resolveTypeName(refType, message.name, proto.package, n => messageNames.has(n));
+        const enumName = target ? null : resolveTypeName(refType, message.name, proto.package, n => proto.enums.has(n));
+        if (target) {
+          if (!repeated && !mapValue) dataType = DATA_TYPES.JSON;
+          links.push({ from: message.name, index, to: target });
+        } else if (enumName) {
+          enumValues = proto.enums.get(enumName);
+        } else if (!mapValue) {
+          warnings.push(`${message.name}.${field.name}: unknown type ${field.type} imported as string`);
+        }
+      }
+
+      const description = [
+        field.oneof ? `oneof ${field.oneof}` : '',
+        enumValues?.length ? `One of: ${enumValues.join(', ')}` : ''
+      ].filter(Boolean).join(' — ');
+      return createImportedVariable(field.name, dataType, {
+        description,
+        sourceType: repeated ? `repeated ${field.type}` : field.type,
+        required: field.label === 'required'
+      });
+    });
+    const node = buildImportedNode(NODE_KINDS.MODULE, message.name, createModuleMetadata('', 'Protobuf'), variables);
+    nodesByName.set(message.name, node);
+    return node;
+  });
+  layoutImportedNodes(nodes);
+
+  // Message-typed fields link to the child message's node
+  const edges = [];
+  links.forEach(link => {
+    const fromNode = nodesByName.get(link.from);
+    const toNode = nodesByName.get(link.to);
+    const toVar = findReferenceTarget(toNode);
+    if (toVar) edges.push(buildImportedEdge(fromNode, fromNode.variables[link.index], toNode, toVar));
+  });
+
+  commitImport('Import Protobuf schema', nodes, edges);
+  return { nodes, edges, warnings };
+}
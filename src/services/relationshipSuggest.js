@@ -0,0 +1,112 @@
+/**
+ * @fileoverview Foreign-key inference: propose edges from fields like `user_id` to the `id` of a `users` node
+ */
+
+import { store } from '../core/store.js';
+import { NODE_KINDS, normalizeNodeKind } from '../core/types.js';
+import { getTableName } from '../core/normalizeTypes.js';
+import { buildImportedEdge, commitImport } from './importUtils.js';
+
+// user_id, order_uuid, userId, orderUUID
+const FK_FIELD_RE = /^(.+?)(?:_(id|uuid)|(Id|ID|Uuid|UUID))$/;
+
+const SCANNED_KINDS = [NODE_KINDS.TABLE, NODE_KINDS.MODULE];
+
+/**
+ * Reduce an English noun to a comparable singular form (users -> user, categories -> category)
+ * @param {string} word - Lowercase word
+ * @returns {string} Singular form
+ */
+export function singularize(word) {
+  if (/ies$/.test(word) && word.length > 3) return word.slice(0, -3) + 'y';
+  if (/(ss|us)$/.test(word)) return word;
+  if (/(s|x|z|ch|sh)es$/.test(word)) return word.slice(0, -2);
+  if (/s$/.test(word) && word.length > 1) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Comparable key for table/entity names: lowercase, separators dropped, singular
+ * ("order_items", "OrderItems" and "order-item" all become "orderitem")
+ */
+const entityKey = (name) => singularize(String(name || '').toLowerCase().replace(/[^a-z0-9]/g, ''));
+
+/**
+ * Pick the key field a reference should point to: single-column primary key,
+ * then `uuid` for *_uuid fields, then `id`
+ */
+function findKeyField(node, suffix) {
+  const byName = (name) => node.variables.find(v => v.name.toLowerCase() === name);
+  const pk = node.metadata?.pk;
+  if (Array.isArray(pk) && pk.length === 1) {
+    const pkField = byName(String(pk[0]).toLowerCase());
+    if (pkField) return pkField;
+  }
+  return (suffix === 'uuid' && byName('uuid')) || byName('id') || null;
+}
+
+const hasEdgeBetween = (edges, a, b) => edges.some(e =>
+  (e.from.portId === a && e.to.portId === b) || (e.from.portId === b && e.to.portId === a)
+);
+
+/**
+ * Scan Table/Module nodes for reference-looking fields and match them to key fields
+ * @param {Object} [diagram] - Diagram to scan (defaults to the current one)
+ * @returns {Object[]} Suggestions: { id, fromNode, fromVariable, toNode, toVariable, reason, alternative }
+ */
+export function suggestRelationships(diagram = store.getState().diagram) {
+  const candidates = diagram.nodes.filter(n => SCANNED_KINDS.includes(normalizeNodeKind(n.kind)));
+  const targets = candidates.map(node => ({ node, ...getTableName(node) }));
+  const suggestions = [];
+
+  candidates.forEach(fromNode => {
+    const fromSchema = getTableName(fromNode).schema;
+
+    fromNode.variables.forEach(fromVariable => {
+      const match = FK_FIELD_RE.exec(fromVariable.name);
+      if (!match) return;
+      const base = entityKey(match[1]);
+      const suffix = (match[2] || match[3]).toLowerCase();
+      if (!base) return;
+
+      // Same-schema tables first so "sales.orders.customer_id" prefers "sales.customers", then public
+      const rank = (t) => (t.schema === fromSchema ? 0 : t.schema === 'public' ? 1 : 2);
+      const matches = targets
+        .filter(t => entityKey(t.table) === base)
+        .sort((a, b) => rank(a) - rank(b));
+
+      const pairs = matches
+        .map(({ node: toNode }) => ({ toNode, toVariable: findKeyField(toNode, suffix) }))
+        .filter(({ toVariable }) => toVariable && toVariable.id !== fromVariable.id);
+      // Already connected to one of the candidates: nothing to suggest for this field
+      if (pairs.some(({ toVariable }) => hasEdgeBetween(diagram.edges, fromVariable.id, toVariable.id))) return;
+
+      pairs.forEach(({ toNode, toVariable }, index) => {
+        suggestions.push({
+          id: `${fromVariable.id}->${toVariable.id}`,
+          fromNode,
+          fromVariable,
+          toNode,
+          toVariable,
+          reason: `"${fromVariable.name}" looks like a reference to ${toNode.title}.${toVariable.name}`,
+          // Less likely matches for a field that already has a suggestion
+          alternative: index > 0
+        });
+      });
+    });
+  });
+
+  return suggestions;
+}
+
+/**
+ * Create edges for accepted suggestions as a single undoable command
+ * @param {Object[]} suggestions - Accepted suggestions
+ * @returns {Object[]} Created edges
+ */
+export function applyRelationshipSuggestions(suggestions) {
+  const edges = suggestions.map(s => buildImportedEdge(s.fromNode, s.fromVariable, s.toNode, s.toVariable));
+  if (edges.length === 0) return [];
+  commitImport(`Add ${edges.length} suggested relationship${edges.length === 1 ? '' : 's'}`, [], edges);
+  return edges;
+}
@@ -29,11 +29,36 @@ const MODULE_PATHS = [
   'src/ui/EdgeRenderer.js',
   'src/ui/ConnectionManager.js',
   'src/ui/Inspector.js',
+  'src/ui/html.js',
+  'src/ui/ImportDialog.js',
+  'src/ui/RelationshipDialog.js',
+  'src/ui/edgeRouting.js',
+  'src/ui/edgeMarkers.js',
+  'src/ui/EdgeLegend.js',
+  'src/ui/LineageControls.js',
+  'src/ui/ProblemsPanel.js',
+  'src/ui/ImpactDialog.js',
 
   // Services
   'src/services/persistence.js',
   'src/services/exporters.js',
   'src/services/validate.js',
+  'src/services/importUtils.js',
+  'src/services/sqlImport.js',
+  'src/services/apiImport.js',
+  'src/services/yaml.js',
+  'src/services/openApiImport.js',
+  'src/services/jsonSchema.js',
+  'src/services/graphqlImport.js',
+  'src/services/protobufImport.js',
+  'src/services/avroImport.js',
+  'src/services/relationshipSuggest.js',
+  'src/services/sqlExport.js',
+  'src/services/tsExport.js',
+  'src/services/transformExpr.js',
+  'src/services/lineage.js',
+  'src/services/flowAnalysis.js',
+  'src/services/impact.js',
 
   // This exporter (for offline re-export)
   'src/services/selfContained.js'
@@ -299,10 +324,15 @@ ${cssSafe}
           <span class="sep"></span>
           <button id="btnNewDiagram" title="Start a new blank diagram">New</button>
           <button id="btnImport" title="Import diagram JSON">Import</button>
+          <button id="btnImportSchema" title="Create or refresh nodes from SQL DDL, OpenAPI, JSON Schema, GraphQL, Protobuf, Avro or JSON samples">Import Schema</button>
+          <button id="btnSuggestRelations" title="Suggest foreign-key connections between tables (user_id → users.id)">Suggest Relationships</button>
+          <button id="btnAnalyzeFlow" title="Find cycles between nodes and number the flow stages (source → staging → mart)" aria-pressed="false">Analyze Flow</button>
           <span class="sep"></span>
           <button id="btnExport" title="Export diagram to JSON">Export</button>
           <button id="btnExportPng" title="Export visible canvas to PNG">Export PNG</button>
           <button id="btnExportHtml" title="Export as Offline HTML">Export HTML</button>
+          <button id="btnExportSql" title="Export selected (or all) Table nodes as Postgres CREATE TABLE statements">Export SQL</button>
+          <button id="btnExportTs" title="Export selected (or all) nodes as TypeScript interfaces">Export TS</button>
         </div>
       </header>
 
@@ -328,6 +358,21 @@ ${cssSafe}
               <input type="checkbox" id="toggleShowTypes" checked />
               <span>Show field types</span>
             </label>
+            <label class="inspector-toggle" title="How connections are drawn in this diagram">
+              <span>Connections</span>
+              <select id="edgeRoutingSelect">
+                <option value="bezier">Curved</option>
+                <option value="orthogonal">Right-angle</option>
+              </select>
+            </label>
+            <label class="inspector-toggle" title="Draw parallel connections between the same two nodes as one line with a count badge">
+              <input type="checkbox" id="toggleEdgeBundling" />
+              <span>Bundle parallel connections</span>
+            </label>
+            <label class="inspector-toggle" title="Explain connection line styles and markers">
+              <input type="checkbox" id="toggleEdgeLegend" />
+              <span>Show legend</span>
+            </label>
           </div>
         </aside>
       </div>
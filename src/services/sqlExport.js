@@ -0,0 +1,176 @@
+/**
+ * @fileoverview Postgres DDL export: Table nodes -> CREATE TABLE, field edges -> FOREIGN KEY constraints
+ */
+
+import { store } from '../core/store.js';
+import { NODE_KINDS, normalizeNodeKind } from '../core/types.js';
+import { toPostgresType, getTableName } from '../core/normalizeTypes.js';
+import { downloadTextFile } from './persistence.js';
+import { getNodesForExport } from './exporters.js';
+
+// Reserved words that must be quoted when used as identifiers (common ones in table designs)
+const RESERVED_WORDS = new Set([
+  'all', 'analyse', 'analyze', 'and', 'any', 'array', 'as', 'asc', 'asymmetric', 'both', 'case', 'cast',
+  'check', 'collate', 'column', 'constraint', 'create', 'current_date', 'current_role', 'current_time',
+  'current_timestamp', 'current_user', 'default', 'deferrable', 'desc', 'distinct', 'do', 'else', 'end',
+  'except', 'false', 'fetch', 'for', 'foreign', 'from', 'grant', 'group', 'having', 'in', 'initially',
+  'intersect', 'into', 'lateral', 'leading', 'limit', 'localtime', 'localtimestamp', 'not', 'null',
+  'offset', 'on', 'only', 'or', 'order', 'placing', 'primary', 'references', 'returning', 'select',
+  'session_user', 'some', 'symmetric', 'table', 'then', 'to', 'trailing', 'true', 'union', 'unique',
+  'user', 'using', 'variadic', 'when', 'where', 'window', 'with'
+]);
+
+/**
+ * Quote an identifier when Postgres would otherwise fold or reject it
+ * @param {string} name - Identifier
+ * @returns {string} Identifier safe to use in DDL
+ */
+export function quoteIdentifier(name) {
+  const text = String(name ?? '');
+  if (/^[a-z_][a-z0-9_$]*$/.test(text) && !RESERVED_WORDS.has(text)) return text;
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+const quoteLiteral = (text) => `'${String(text).replace(/'/g, "''")}'`;
+
+const qualifiedName = ({ schema, table }) =>
+  (schema && schema !== 'public' ? `${quoteIdentifier(schema)}.` : '') + quoteIdentifier(table);
+
+const primaryKeyOf = (node) => {
+  const pk = Array.isArray(node.metadata?.pk) ? node.metadata.pk : [];
+  return pk.filter(name => node.variables.some(v => v.name === name));
+};
+
+/**
+ * Orient an edge as referencing -> referenced. Edges are drawn from the FK column
+ * (as DDL import creates them), but a user may have drawn it from the key instead.
+ */
+function orientForeignKey(edge, nodesById) {
+  const from = nodesById.get(edge.from.nodeId);
+  const to = nodesById.get(edge.to.nodeId);
+  const fromVar = from.variables.find(v => v.id === edge.from.portId);
+  const toVar = to.variables.find(v => v.id === edge.to.portId);
+  if (!fromVar || !toVar) return null;
+
+  const fromIsKey = primaryKeyOf(from).includes(fromVar.name);
+  const toIsKey = primaryKeyOf(to).includes(toVar.name);
+  if (fromIsKey && !toIsKey) {
+    return { node: to, column: toVar.name, refNode: from, refColumn: fromVar.name };
+  }
+  return { node: from, column: fromVar.name, refNode: to, refColumn: toVar.name };
+}
+
+/**
+ * Collect FOREIGN KEY constraints from field edges between Table nodes. Edges from
+ * one table to another that together cover a composite primary key form one constraint.
+ * @param {Object[]} tableNodes - Tables being exported
+ * @param {Object[]} allNodes - All diagram nodes (referenced tables may be outside the export)
+ * @param {Object[]} edges - Diagram edges
+ * @returns {Object[]} { node, columns, refNode, refColumns }
+ */
+function collectForeignKeys(tableNodes, allNodes, edges) {
+  const exported = new Set(tableNodes.map(n => n.id));
+  const tablesById = new Map(allNodes
+    .filter(n => normalizeNodeKind(n.kind) === NODE_KINDS.TABLE)
+    .map(n => [n.id, n]));
+
+  const groups = new Map();
+  edges.forEach(edge => {
+    if (!edge.from.portId || !edge.to.portId) return;
+    if (!tablesById.has(edge.from.nodeId) || !tablesById.has(edge.to.nodeId)) return;
+    const fk = orientForeignKey(edge, tablesById);
+    if (!fk || !exported.has(fk.node.id)) return;
+
+    const key = `${fk.node.id}->${fk.refNode.id}`;
+    if (!groups.has(key)) groups.set(key, []);
+    const group = groups.get(key);
+    if (!group.some(g => g.column === fk.column && g.refColumn === fk.refColumn)) group.push(fk);
+  });
+
+  const foreignKeys = [];
+  groups.forEach(group => {
+    const { node, refNode } = group[0];
+    const refPk = primaryKeyOf(refNode);
+    const refColumns = group.map(g => g.refColumn);
+    const isComposite = group.length > 1 && refPk.length === group.length &&
+      refPk.every(name => refColumns.includes(name));
+
+    if (isComposite) {
+      // Keep the referenced key's column order
+      const ordered = refPk.map(name => group.find(g => g.refColumn === name));
+      foreignKeys.push({ node, columns: ordered.map(g => g.column), refNode, refColumns: refPk.slice() });
+    } else {
+      group.forEach(g => foreignKeys.push({ node, columns: [g.column], refNode, refColumns: [g.refColumn] }));
+    }
+  });
+  return foreignKeys;
+}
+
+/**
+ * Build the CREATE TABLE statement (plus column comments) for one Table node
+ */
+function createTableStatement(node) {
+  const name = getTableName(node);
+  const pk = primaryKeyOf(node);
+  const lines = node.variables.map(v => {
+    const notNull = v.required && !pk.includes(v.name) ? ' NOT NULL' : '';
+    return `  ${quoteIdentifier(v.name)} ${toPostgresType(v)}${notNull}`;
+  });
+  if (pk.length > 0) {
+    lines.push(`  PRIMARY KEY (${pk.map(quoteIdentifier).join(', ')})`);
+  }
+
+  const statements = [`CREATE TABLE ${qualifiedName(name)} (\n${lines.join(',\n')}\n);`];
+  node.variables
+    .filter(v => v.description)
+    .forEach(v => {
+      statements.push(`COMMENT ON COLUMN ${qualifiedName(name)}.${quoteIdentifier(v.name)} IS ${quoteLiteral(v.description)};`);
+    });
+  return statements.join('\n');
+}
+
+/**
+ * Generate Postgres DDL for Table nodes. Foreign keys are added with ALTER TABLE
+ * after all tables exist, so table order and reference cycles don't matter.
+ * @param {Object[]} tableNodes - Table nodes to export
+ * @param {Object} [diagram] - Diagram the nodes belong to (for edges and referenced tables)
+ * @returns {string} SQL script
+ */
+export function generatePostgresDdl(tableNodes, diagram = store.getState().diagram) {
+  const sections = [`-- Generated by Data Flow Designer from "${(diagram.title || 'Untitled diagram').replace(/\s+/g, ' ')}"`];
+
+  const schemas = [...new Set(tableNodes.map(n => getTableName(n).schema))].filter(s => s && s !== 'public');
+  if (schemas.length > 0) {
+    sections.push(schemas.map(s => `CREATE SCHEMA IF NOT EXISTS ${quoteIdentifier(s)};`).join('\n'));
+  }
+
+  tableNodes.forEach(node => sections.push(createTableStatement(node)));
+
+  const foreignKeys = collectForeignKeys(tableNodes, diagram.nodes, diagram.edges);
+  if (foreignKeys.length > 0) {
+    sections.push(foreignKeys.map(fk => {
+      const name = getTableName(fk.node);
+      const constraint = `${name.table}_${fk.columns.join('_')}_fkey`;
+      return `ALTER TABLE ${qualifiedName(name)}\n` +
+        `  ADD CONSTRAINT ${quoteIdentifier(constraint)} FOREIGN KEY (${fk.columns.map(quoteIdentifier).join(', ')})\n` +
+        `  REFERENCES ${qualifiedName(getTableName(fk.refNode))} (${fk.refColumns.map(quoteIdentifier).join(', ')});`;
+    }).join('\n\n'));
+  }
+
+  return sections.join('\n\n') + '\n';
+}
+
+/**
+ * Download DDL for the selected (or all) Table nodes
+ * @param {string} [filename] - Optional filename
+ * @returns {boolean} False when there are no Table nodes
+ */
+export function downloadPostgresDdl(filename = 'schema.sql') {
+  const tables = getNodesForExport(n => normalizeNodeKind(n.kind) === NODE_KINDS.TABLE);
+  if (tables.length === 0) {
+    alert('There are no Table nodes to export.');
+    return false;
+  }
+  downloadTextFile(generatePostgresDdl(tables), filename, 'application/sql');
+  return true;
+}
@@ -0,0 +1,476 @@
+/**
+ * @fileoverview Postgres DDL import: CREATE TABLE statements (or a pg_dump --schema-only file) -> Table nodes
+ */
+
+import { store } from '../core/store.js';
+import { NODE_KINDS, createTableMetadata } from '../core/types.js';
+import { normalizePostgresType, formatTableTitle, createImportedVariable } from '../core/normalizeTypes.js';
+import { buildImportedNode, buildImportedEdge, layoutImportedNodes, commitImport } from './importUtils.js';
+
+const DEFAULT_SCHEMA = 'public';
+
+// Keywords that end the type part of a column definition
+const COLUMN_CONSTRAINT_RE = /(?:NOT\s+NULL|NULL|DEFAULT|PRIMARY\s+KEY|REFERENCES|UNIQUE|CHECK|CONSTRAINT|COLLATE|GENERATED)\b/iy;
+
+/**
+ * Remove -- and /* *\/ comments, leaving string literals untouched
+ * @param {string} sql - SQL text
+ * @returns {string} SQL without comments
+ */
+function stripComments(sql) {
+  let out = '';
+  let i = 0;
+  while (i < sql.length) {
+    const c = sql[i];
+    if (c === "'" || c === '"') {
+      const end = skipQuoted(sql, i);
+      out += sql.slice(i, end);
+      i = end;
+    } else if (c === '-' && sql[i + 1] === '-') {
+      while (i < sql.length && sql[i] !== '\n') i++;
+    } else if (c === '/' && sql[i + 1] === '*') {
+      const end = sql.indexOf('*/', i + 2);
+      i = end === -1 ? sql.length : end + 2;
+      out += ' ';
+    } else {
+      out += c;
+      i++;
+    }
+  }
+  return out;
+}
+
+/**
+ * Return the index just past a quoted string/identifier starting at `start`
+ * (doubled quotes are escapes)
+ */
+function skipQuoted(text, start) {
+  const q = text[start];
+  let i = start + 1;
+  while (i < text.length) {
+    if (text[i] === q) {
+      if (text[i + 1] === q) {
+        i += 2;
+        continue;
+      }
+      return i + 1;
+    }
+    i++;
+  }
+  return text.length;
+}
+
+/**
+ * Split SQL into statements on top-level semicolons (aware of quotes and $tag$ bodies)
+ * @param {string} sql - SQL text without comments
+ * @returns {string[]} Trimmed, non-empty statements
+ */
+function splitStatements(sql) {
+  const statements = [];
+  let start = 0;
+  let i = 0;
+  while (i < sql.length) {
+    const c = sql[i];
+    if (c === "'" || c === '"') {
+      i = skipQuoted(sql, i);
+      continue;
+    }
+    if (c === '$') {
+      const m = /^\$[A-Za-z_]*\$/.exec(sql.slice(i));
+      if (m) {
+        const end = sql.indexOf(m[0], i + m[0].length);
+        i = end === -1 ? sql.length : end + m[0].length;
+        continue;
+      }
+    }
+    if (c === ';') {
+      statements.push(sql.slice(start, i));
+      start = i + 1;
+    }
+    i++;
+  }
+  statements.push(sql.slice(start));
+  return statements.map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Split text on top-level commas (outside parentheses and quotes)
+ * @param {string} text - Text to split
+ * @returns {string[]} Trimmed parts
+ */
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+  let i = 0;
+  while (i < text.length) {
+    const c = text[i];
+    if (c === "'" || c === '"') {
+      i = skipQuoted(text, i);
+      continue;
+    }
+    if (c === '(') depth++;
+    else if (c === ')') depth--;
+    else if (c === ',' && depth === 0) {
+      parts.push(text.slice(start, i));
+      start = i + 1;
+    }
+    i++;
+  }
+  parts.push(text.slice(start));
+  return parts.map(p => p.trim()).filter(Boolean);
+}
+
+/**
+ * Find the index of the parenthesis matching the one at `open`
+ * @returns {number} Index of the closing parenthesis or -1
+ */
+function findClosingParen(text, open) {
+  let depth = 0;
+  let i = open;
+  while (i < text.length) {
+    const c = text[i];
+    if (c === "'" || c === '"') {
+      i = skipQuoted(text, i);
+      continue;
+    }
+    if (c === '(') depth++;
+    else if (c === ')') {
+      depth--;
+      if (depth === 0) return i;
+    }
+    i++;
+  }
+  return -1;
+}
+
+/**
+ * Read one identifier at `pos`. Unquoted names are folded to lower case like Postgres does.
+ * @returns {{name: string, end: number}|null}
+ */
+function readIdentifier(text, pos) {
+  let i = pos;
+  while (i < text.length && /\s/.test(text[i])) i++;
+  if (text[i] === '"') {
+    const end = skipQuoted(text, i);
+    return { name: text.slice(i + 1, end - 1).replace(/""/g, '"'), end };
+  }
+  const m = /^[A-Za-z_][\w$]*/.exec(text.slice(i));
+  if (!m) return null;
+  return { name: m[0].toLowerCase(), end: i + m[0].length };
+}
+
+/**
+ * Read an optionally schema-qualified name at `pos`
+ * @returns {{schema: string, table: string, end: number}|null}
+ */
+function readQualifiedName(text, pos) {
+  const first = readIdentifier(text, pos);
+  if (!first) return null;
+  if (text[first.end] === '.') {
+    const second = readIdentifier(text, first.end + 1);
+    if (second) return { schema: first.name, table: second.name, end: second.end };
+  }
+  return { schema: DEFAULT_SCHEMA, table: first.name, end: first.end };
+}
+
+/**
+ * Parse a parenthesized identifier list like "(a, "B")"
+ * @returns {string[]} Names
+ */
+function parseNameList(text) {
+  const inner = text.trim().replace(/^\(/, '').replace(/\)$/, '');
+  return splitTopLevel(inner)
+    .map(part => readIdentifier(part, 0)?.name)
+    .filter(Boolean);
+}
+
+/**
+ * Parse "REFERENCES table [(cols)]" starting at `pos`
+ * @returns {{schema: string, table: string, columns: string[]}|null}
+ */
+function parseReferences(text, pos) {
+  const ref = readQualifiedName(text, pos);
+  if (!ref) return null;
+  const rest = text.slice(ref.end).trimStart();
+  let columns = [];
+  if (rest.startsWith('(')) {
+    const close = findClosingParen(rest, 0);
+    columns = parseNameList(rest.slice(0, close + 1));
+  }
+  return { schema: ref.schema, table: ref.table, columns };
+}
+
+/**
+ * Find the first column-constraint keyword at parenthesis depth 0
+ * @returns {number} Index or -1
+ */
+function findConstraintStart(text) {
+  let depth = 0;
+  let i = 0;
+  while (i < text.length) {
+    const c = text[i];
+    if (c === "'" || c === '"') {
+      i = skipQuoted(text, i);
+      continue;
+    }
+    if (c === '(') depth++;
+    else if (c === ')') depth--;
+    else if (depth === 0 && (i === 0 || /\s/.test(text[i - 1]))) {
+      COLUMN_CONSTRAINT_RE.lastIndex = i;
+      if (COLUMN_CONSTRAINT_RE.test(text)) return i;
+    }
+    i++;
+  }
+  return -1;
+}
+
+/**
+ * Parse a table-level constraint (PRIMARY KEY / FOREIGN KEY); other kinds are ignored
+ * @param {string} text - Constraint text, optionally starting with "CONSTRAINT name"
+ * @param {Object} table - Parsed table to update
+ */
+function applyTableConstraint(text, table) {
+  let body = text;
+  const named = /^CONSTRAINT\s+/i.exec(body);
+  if (named) {
+    const name = readIdentifier(body, named[0].length);
+    body = name ? body.slice(name.end).trim() : body;
+  }
+
+  const pk = /^PRIMARY\s+KEY\s*(\([^)]*\))/i.exec(body);
+  if (pk) {
+    table.primaryKey = parseNameList(pk[1]);
+    table.columns.forEach(col => {
+      if (table.primaryKey.includes(col.name)) col.notNull = true;
+    });
+    return;
+  }
+
+  const fk = /^FOREIGN\s+KEY\s*(\([^)]*\))\s*REFERENCES\s+/i.exec(body);
+  if (fk) {
+    const references = parseReferences(body, fk[0].length);
+    if (references) {
+      table.foreignKeys.push({ columns: parseNameList(fk[1]), references });
+    }
+  }
+}
+
+/**
+ * Parse a column definition into { name, type, notNull, primaryKey, references }
+ */
+function parseColumn(text) {
+  const id = readIdentifier(text, 0);
+  if (!id) return null;
+  const rest = text.slice(id.end).trim();
+  const constraintAt = findConstraintStart(rest);
+  const type = (constraintAt === -1 ? rest : rest.slice(0, constraintAt)).trim().replace(/\s+/g, ' ');
+  const constraints = constraintAt === -1 ? '' : rest.slice(constraintAt);
+
+  const column = {
+    name: id.name,
+    type: type || 'text',
+    notNull: /\bNOT\s+NULL\b/i.test(constraints),
+    primaryKey: /\bPRIMARY\s+KEY\b/i.test(constraints),
+    references: null
+  };
+
+  const ref = /\bREFERENCES\s+/i.exec(constraints);
+  if (ref) {
+    column.references = parseReferences(constraints, ref.index + ref[0].length);
+  }
+  return column;
+}
+
+/**
+ * Parse a CREATE TABLE statement
+ * @returns {Object|null} Parsed table or null when the statement has no column list
+ */
+function parseCreateTable(statement) {
+  const head = /^CREATE\s+(?:(?:GLOBAL|LOCAL)\s+)?(?:(?:TEMP|TEMPORARY|UNLOGGED)\s+)?TABLE\s+(?:IF\s+NOT\s+EXISTS\s+)?/i.exec(statement);
+  if (!head) return null;
+  const name = readQualifiedName(statement, head[0].length);
+  if (!name) return null;
+
+  const open = statement.indexOf('(', name.end);
+  // CREATE TABLE ... AS / PARTITION OF have no column list we can use
+  if (open === -1 || statement.slice(name.end, open).trim() !== '') return null;
+  const close = findClosingParen(statement, open);
+  if (close === -1) return null;
+
+  const table = {
+    schema: name.schema,
+    table: name.table,
+    columns: [],
+    primaryKey: [],
+    foreignKeys: []
+  };
+
+  splitTopLevel(statement.slice(open + 1, close)).forEach(part => {
+    if (/^(CONSTRAINT|PRIMARY\s+KEY|FOREIGN\s+KEY|UNIQUE|CHECK|EXCLUDE)\b/i.test(part)) {
+      applyTableConstraint(part, table);
+      return;
+    }
+    if (/^LIKE\b/i.test(part)) return;
+
+    const column = parseColumn(part);
+    if (!column) return;
+    table.columns.push(column);
+    if (column.primaryKey) {
+      column.notNull = true;
+      table.primaryKey.push(column.name);
+    }
+    if (column.references) {
+      table.foreignKeys.push({ columns: [column.name], references: column.references });
+    }
+  });
+
+  return table;
+}
+
+/**
+ * Parse an ALTER TABLE ... ADD [CONSTRAINT] PRIMARY KEY / FOREIGN KEY statement (pg_dump style)
+ */
+function applyAlterTable(statement, findTable) {
+  const head = /^ALTER\s+TABLE\s+(?:IF\s+EXISTS\s+)?(?:ONLY\s+)?/i.exec(statement);
+  if (!head) return;
+  const name = readQualifiedName(statement, head[0].length);
+  if (!name) return;
+  const table = findTable(name.schema, name.table);
+  if (!table) return;
+
+  splitTopLevel(statement.slice(name.end)).forEach(action => {
+    const add = /^ADD\s+/i.exec(action);
+    if (add) applyTableConstraint(action.slice(add[0].length).trim(), table);
+  });
+}
+
+/**
+ * Parse COMMENT ON COLUMN schema.table.column IS '...'
+ */
+function applyColumnComment(statement, findTable) {
+  const head = /^COMMENT\s+ON\s+COLUMN\s+/i.exec(statement);
+  if (!head) return;
+  const parts = [];
+  let pos = head[0].length;
+  for (;;) {
+    const id = readIdentifier(statement, pos);
+    if (!id) return;
+    parts.push(id.name);
+    pos = id.end;
+    if (statement[pos] !== '.') break;
+    pos++;
+  }
+  const text = /^\s*IS\s+'((?:[^']|'')*)'/i.exec(statement.slice(pos));
+  if (!text || parts.length < 2) return;
+
+  const column = parts[parts.length - 1];
+  const tableName = parts[parts.length - 2];
+  const schema = parts.length > 2 ? parts[parts.length - 3] : DEFAULT_SCHEMA;
+  const col = findTable(schema, tableName)?.columns.find(c => c.name === column);
+  if (col) col.comment = text[1].replace(/''/g, "'");
+}
+
+/**
+ * Parse Postgres DDL into table descriptions
+ * @param {string} sql - One or more CREATE TABLE statements or a pg_dump --schema-only file
+ * @returns {Object[]} Tables: { schema, table, columns, primaryKey, foreignKeys }
+ */
+export function parsePostgresDdl(sql) {
+  if (!sql || typeof sql !== 'string') return [];
+
+  const statements = splitStatements(stripComments(sql));
+  const tables = [];
+  const findTable = (schema, table) => tables.find(t => t.schema === schema && t.table === table);
+
+  statements.forEach(statement => {
+    if (/^CREATE\s/i.test(statement)) {
+      const table = parseCreateTable(statement);
+      if (table) tables.push(table);
+    }
+  });
+
+  // Constraints and comments may come after all CREATE TABLEs (pg_dump)
+  statements.forEach(statement => {
+    if (/^ALTER\s+TABLE\s/i.test(statement)) applyAlterTable(statement, findTable);
+    else if (/^COMMENT\s+ON\s+COLUMN\s/i.test(statement)) applyColumnComment(statement, findTable);
+  });
+
+  return tables;
+}
+
+/**
+ * Find an existing Table node on the canvas for schema.table
+ */
+function findExistingTableNode(schema, table) {
+  return store.getState().diagram.nodes.find(n =>
+    n.kind === NODE_KINDS.TABLE &&
+    n.metadata?.table === table &&
+    (n.metadata?.schema || DEFAULT_SCHEMA) === schema
+  );
+}
+
+/**
+ * Import Postgres DDL as Table nodes with FK edges (one undoable step)
+ * @param {string} sql - DDL text
+ * @returns {{nodes: Object[], edges: Object[], warnings: string[]}} Created items and warnings
+ */
+export function importPostgresDdl(sql) {
+  const tables = parsePostgresDdl(sql);
+  if (tables.length === 0) {
+    throw new Error('No CREATE TABLE statements found.');
+  }
+
+  const nodesByKey = new Map();
+  const nodes = tables.map(t => {
+    const metadata = createTableMetadata(t.schema, t.table);
+    metadata.pk = t.primaryKey.slice();
+    const variables = t.columns.map(col => createImportedVariable(col.name, normalizePostgresType(col.type), {
+      sourceType: col.type,
+      required: col.notNull,
+      description: col.comment
+    }));
+    const node = buildImportedNode(NODE_KINDS.TABLE, formatTableTitle(t.schema, t.table), metadata, variables);
+    nodesByKey.set(`${t.schema}.${t.table}`, node);
+    return node;
+  });
+  layoutImportedNodes(nodes);
+
+  // FK edges go from the referencing column to the referenced column
+  const edges = [];
+  const warnings = [];
+  const seen = new Set();
+  tables.forEach(t => {
+    const fromNode = nodesByKey.get(`${t.schema}.${t.table}`);
+    t.foreignKeys.forEach(fk => {
+      const ref = fk.references;
+      const refTable = tables.find(x => x.schema === ref.schema && x.table === ref.table);
+      const toNode = nodesByKey.get(`${ref.schema}.${ref.table}`) || findExistingTableNode(ref.schema, ref.table);
+      if (!toNode) {
+        warnings.push(`${formatTableTitle(t.schema, t.table)}: referenced table ${formatTableTitle(ref.schema, ref.table)} not found`);
+        return;
+      }
+      const refColumns = ref.columns.length > 0
+        ? ref.columns
+        : (refTable?.primaryKey || toNode.metadata?.pk || []);
+
+      fk.columns.forEach((colName, i) => {
+        const fromVar = fromNode.variables.find(v => v.name === colName);
+        const toVar = toNode.variables.find(v => v.name === refColumns[i]);
+        if (fromVar && toVar) {
+          // The same FK may be declared inline and as a table constraint
+          const key = `${fromVar.id}->${toVar.id}`;
+          if (!seen.has(key)) {
+            seen.add(key);
+            edges.push(buildImportedEdge(fromNode, fromVar, toNode, toVar));
+          }
+        } else {
+          warnings.push(`${fromNode.title}.${colName}: could not resolve referenced column on ${toNode.title}`);
+        }
+      });
+    });
+  });
+
+  commitImport(`Import ${nodes.length} table${nodes.length === 1 ? '' : 's'}`, nodes, edges);
+  return { nodes, edges, warnings };
+}
@@ -0,0 +1,530 @@
+/**
+ * @fileoverview Transform expressions on edges: a small sandboxed language (field references,
+ * string/number/date functions, conditionals) with parsing, checking and evaluation against sample values.
+ * Expressions are interpreted from an AST; nothing is passed to eval or Function.
+ */
+
+import { isNodeLevelEndpoint } from '../core/types.js';
+
+/**
+ * Error raised while parsing or evaluating an expression; `pos` is the character offset when known
+ */
+export class TransformError extends Error {
+  constructor(message, pos) {
+    super(message);
+    this.name = 'TransformError';
+    this.pos = pos;
+  }
+}
+
+const MAX_STRING_LENGTH = 10000;
+
+// Coercions shared by the built-in functions (null/undefined behave like empty values)
+const toStr = (v) => (v === null || v === undefined ? '' : typeof v === 'object' ? JSON.stringify(v) : String(v));
+const toNum = (v) => {
+  if (typeof v === 'number') return v;
+  if (typeof v === 'boolean') return v ? 1 : 0;
+  const n = Number(toStr(v).trim());
+  return Number.isNaN(n) ? NaN : n;
+};
+const toBool = (v) => !(v === null || v === undefined || v === false || v === 0 || v === '' || Number.isNaN(v));
+
+function toDate(v) {
+  const d = v instanceof Date ? v : new Date(typeof v === 'number' ? v : toStr(v));
+  if (Number.isNaN(d.getTime())) throw new TransformError(`Not a date: ${toStr(v) || 'empty'}`);
+  return d;
+}
+
+const pad = (n, width = 2) => String(n).padStart(width, '0');
+
+function formatDate(v, pattern = 'YYYY-MM-DD') {
+  const d = toDate(v);
+  const parts = {
+    YYYY: pad(d.getUTCFullYear(), 4),
+    MM: pad(d.getUTCMonth() + 1),
+    DD: pad(d.getUTCDate()),
+    HH: pad(d.getUTCHours()),
+    mm: pad(d.getUTCMinutes()),
+    ss: pad(d.getUTCSeconds())
+  };
+  return toStr(pattern).replace(/YYYY|MM|DD|HH|mm|ss/g, token => parts[token]);
+}
+
+/**
+ * Built-in functions: arity bounds, a signature for help text and the implementation
+ */
+export const TRANSFORM_FUNCTIONS = {
+  // Strings
+  lower: { min: 1, max: 1, signature: 'lower(text)', fn: (s) => toStr(s).toLowerCase() },
+  upper: { min: 1, max: 1, signature: 'upper(text)', fn: (s) => toStr(s).toUpperCase() },
+  trim: { min: 1, max: 1, signature: 'trim(text)', fn: (s) => toStr(s).trim() },
+  length: { min: 1, max: 1, signature: 'length(text)', fn: (s) => (Array.isArray(s) ? s.length : toStr(s).length) },
+  concat: { min: 1, max: Infinity, signature: 'concat(a, b, ...)', fn: (...args) => args.map(toStr).join('') },
+  substring: {
+    min: 2, max: 3, signature: 'substring(text, start, length?)',
+    fn: (s, start, len) => {
+      const str = toStr(s);
+      const from = Math.max(0, toNum(start) || 0);
+      return len === undefined ? str.slice(from) : str.slice(from, from + Math.max(0, toNum(len) || 0));
+    }
+  },
+  left: { min: 2, max: 2, signature: 'left(text, count)', fn: (s, n) => toStr(s).slice(0, Math.max(0, toNum(n) || 0)) },
+  right: { min: 2, max: 2, signature: 'right(text, count)', fn: (s, n) => { const c = Math.max(0, toNum(n) || 0); return c ? toStr(s).slice(-c) : ''; } },
+  replace: { min: 3, max: 3, signature: 'replace(text, find, replacement)', fn: (s, find, repl) => toStr(s).split(toStr(find)).join(toStr(repl)) },
+  split: { min: 2, max: 2, signature: 'split(text, separator)', fn: (s, sep) => toStr(s).split(toStr(sep)) },
+  join: { min: 1, max: 2, signature: 'join(list, separator?)', fn: (list, sep = ',') => (Array.isArray(list) ? list.map(toStr).join(toStr(sep)) : toStr(list)) },
+  contains: { min: 2, max: 2, signature: 'contains(text, part)', fn: (s, part) => toStr(s).includes(toStr(part)) },
+  startsWith: { min: 2, max: 2, signature: 'startsWith(text, prefix)', fn: (s, p) => toStr(s).startsWith(toStr(p)) },
+  endsWith: { min: 2, max: 2, signature: 'endsWith(text, suffix)', fn: (s, p) => toStr(s).endsWith(toStr(p)) },
+  padStart: { min: 2, max: 3, signature: 'padStart(text, length, fill?)', fn: (s, n, fill = ' ') => toStr(s).padStart(Math.min(toNum(n) || 0, MAX_STRING_LENGTH), toStr(fill)) },
+
+  // Numbers
+  round: {
+    min: 1, max: 2, signature: 'round(number, digits?)',
+    fn: (n, digits = 0) => { const f = 10 ** Math.max(0, Math.min(10, toNum(digits) || 0)); return Math.round(toNum(n) * f) / f; }
+  },
+  floor: { min: 1, max: 1, signature: 'floor(number)', fn: (n) => Math.floor(toNum(n)) },
+  ceil: { min: 1, max: 1, signature: 'ceil(number)', fn: (n) => Math.ceil(toNum(n)) },
+  abs: { min: 1, max: 1, signature: 'abs(number)', fn: (n) => Math.abs(toNum(n)) },
+  min: { min: 1, max: Infinity, signature: 'min(a, b, ...)', fn: (...args) => Math.min(...args.map(toNum)) },
+  max: { min: 1, max: Infinity, signature: 'max(a, b, ...)', fn: (...args) => Math.max(...args.map(toNum)) },
+
+  // Conversions
+  toNumber: { min: 1, max: 1, signature: 'toNumber(value)', fn: toNum },
+  toString: { min: 1, max: 1, signature: 'toString(value)', fn: toStr },
+  toBoolean: { min: 1, max: 1, signature: 'toBoolean(value)', fn: toBool },
+
+  // Dates (UTC, ISO 8601 strings in and out)
+  now: { min: 0, max: 0, signature: 'now()', fn: () => new Date().toISOString() },
+  date: { min: 1, max: 1, signature: 'date(value)', fn: (v) => toDate(v).toISOString() },
+  formatDate: { min: 1, max: 2, signature: 'formatDate(date, pattern?)', fn: formatDate },
+  year: { min: 1, max: 1, signature: 'year(date)', fn: (v) => toDate(v).getUTCFullYear() },
+  month: { min: 1, max: 1, signature: 'month(date)', fn: (v) => toDate(v).getUTCMonth() + 1 },
+  day: { min: 1, max: 1, signature: 'day(date)', fn: (v) => toDate(v).getUTCDate() },
+  addDays: {
+    min: 2, max: 2, signature: 'addDays(date, days)',
+    fn: (v, days) => new Date(toDate(v).getTime() + (toNum(days) || 0) * 86400000).toISOString()
+  },
+
+  // Conditionals (if/coalesce only evaluate the arguments they need; see evaluateTransform)
+  if: { min: 3, max: 3, signature: 'if(condition, then, else)' },
+  coalesce: { min: 1, max: Infinity, signature: 'coalesce(a, b, ...)' },
+  isEmpty: { min: 1, max: 1, signature: 'isEmpty(value)', fn: (v) => v === null || v === undefined || v === '' }
+};
+
+const KEYWORDS = { true: true, false: false, null: null };
+const OPERATORS = ['&&', '||', '==', '!=', '<=', '>=', '<', '>', '+', '-', '*', '/', '%', '!', '?', ':', '(', ')', ','];
+
+/**
+ * Split an expression into tokens: { kind: 'number'|'string'|'name'|'op', value, pos }
+ */
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const c = text[i];
+    if (/\s/.test(c)) {
+      i++;
+    } else if (/[0-9]/.test(c) || (c === '.' && /[0-9]/.test(text[i + 1]))) {
+      const m = /^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/.exec(text.slice(i));
+      tokens.push({ kind: 'number', value: Number(m[0]), pos: i });
+      i += m[0].length;
+    } else if (c === '"' || c === "'") {
+      let j = i + 1;
+      let value = '';
+      while (j < text.length && text[j] !== c) {
+        if (text[j] === '\\' && j + 1 < text.length) {
+          const next = text[j + 1];
+          value += next === 'n' ? '\n' : next === 't' ? '\t' : next;
+          j += 2;
+        } else {
+          value += text[j++];
+        }
+      }
+      if (j >= text.length) throw new TransformError('Unterminated string', i);
+      tokens.push({ kind: 'string', value, pos: i });
+      i = j + 1;
+    } else if (/[A-Za-z_$]/.test(c)) {
+      // Field names may be dotted (address.city), matching how nested fields are named
+      const m = /^[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*/.exec(text.slice(i));
+      tokens.push({ kind: 'name', value: m[0], pos: i });
+      i += m[0].length;
+    } else if (c === '`') {
+      // Backticks quote field names that aren't plain identifiers: `order id`
+      const end = text.indexOf('`', i + 1);
+      if (end === -1) throw new TransformError('Unterminated `field` reference', i);
+      tokens.push({ kind: 'field', value: text.slice(i + 1, end), pos: i });
+      i = end + 1;
+    } else {
+      const op = OPERATORS.find(o => text.startsWith(o, i));
+      if (!op) throw new TransformError(`Unexpected character "${c}"`, i);
+      tokens.push({ kind: 'op', value: op, pos: i });
+      i += op.length;
+    }
+  }
+  return tokens;
+}
+
+// Binary operator precedence (higher binds tighter)
+const BINARY_PRECEDENCE = {
+  '||': 1,
+  '&&': 2,
+  '==': 3, '!=': 3,
+  '<': 4, '<=': 4, '>': 4, '>=': 4,
+  '+': 5, '-': 5,
+  '*': 6, '/': 6, '%': 6
+};
+
+/**
+ * Recursive-descent parser producing a plain-object AST
+ */
+class Parser {
+  constructor(tokens, length) {
+    this.tokens = tokens;
+    this.pos = 0;
+    this.length = length;
+  }
+
+  peek() {
+    return this.tokens[this.pos];
+  }
+
+  isOp(value) {
+    const token = this.peek();
+    return !!token && token.kind === 'op' && token.value === value;
+  }
+
+  expectOp(value) {
+    const token = this.tokens[this.pos++];
+    if (!token || token.kind !== 'op' || token.value !== value) {
+      throw new TransformError(`Expected "${value}" but found ${token ? `"${token.value}"` : 'end of expression'}`, token ? token.pos : this.length);
+    }
+  }
+
+  parseExpression() {
+    const test = this.parseBinary(1);
+    if (!this.isOp('?')) return test;
+    this.pos++;
+    const then = this.parseExpression();
+    this.expectOp(':');
+    const otherwise = this.parseExpression();
+    return { type: 'conditional', test, then, otherwise };
+  }
+
+  parseBinary(minPrecedence) {
+    let left = this.parseUnary();
+    for (;;) {
+      const token = this.peek();
+      const precedence = token?.kind === 'op' ? BINARY_PRECEDENCE[token.value] : undefined;
+      if (!precedence || precedence < minPrecedence) return left;
+      this.pos++;
+      const right = this.parseBinary(precedence + 1);
+      left = { type: 'binary', op: token.value, left, right, pos: token.pos };
+    }
+  }
+
+  parseUnary() {
+    if (this.isOp('!') || this.isOp('-')) {
+      const token = this.tokens[this.pos++];
+      return { type: 'unary', op: token.value, arg: this.parseUnary(), pos: token.pos };
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const token = this.tokens[this.pos++];
+    if (!token) throw new TransformError('Unexpected end of expression', this.length);
+
+    if (token.kind === 'number' || token.kind === 'string') return { type: 'literal', value: token.value };
+    if (token.kind === 'field') return { type: 'field', name: token.value, pos: token.pos };
+    if (token.kind === 'name') {
+      if (this.isOp('(')) {
+        this.pos++;
+        const args = [];
+        if (!this.isOp(')')) {
+          args.push(this.parseExpression());
+          while (this.isOp(',')) {
+            this.pos++;
+            args.push(this.parseExpression());
+          }
+        }
+        this.expectOp(')');
+        return { type: 'call', name: token.value, args, pos: token.pos };
+      }
+      if (Object.prototype.hasOwnProperty.call(KEYWORDS, token.value)) return { type: 'literal', value: KEYWORDS[token.value] };
+      return { type: 'field', name: token.value, pos: token.pos };
+    }
+    if (token.kind === 'op' && token.value === '(') {
+      const inner = this.parseExpression();
+      this.expectOp(')');
+      return inner;
+    }
+    throw new TransformError(`Unexpected "${token.value}"`, token.pos);
+  }
+}
+
+/**
+ * Parse an expression
+ * @param {string} text - Expression source
+ * @returns {Object} AST
+ * @throws {TransformError} On syntax errors
+ */
+export function parseTransform(text) {
+  const source = String(text ?? '');
+  const tokens = tokenize(source);
+  if (tokens.length === 0) throw new TransformError('Empty expression', 0);
+  const parser = new Parser(tokens, source.length);
+  const ast = parser.parseExpression();
+  const extra = parser.peek();
+  if (extra) throw new TransformError(`Unexpected "${extra.value}"`, extra.pos);
+  return ast;
+}
+
+// Edit distance for "did you mean" hints
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let prev = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+      prev = current;
+    }
+  }
+  return row[b.length];
+}
+
+function suggest(name, candidates) {
+  const lower = name.toLowerCase();
+  const match = candidates
+    .map(c => ({ c, d: editDistance(lower, c.toLowerCase()) }))
+    .filter(({ d }) => d <= 2)
+    .sort((a, b) => a.d - b.d)[0];
+  return match ? ` (did you mean ${match.c}?)` : '';
+}
+
+/**
+ * Check an AST for unknown functions, wrong argument counts and unknown fields
+ * @param {Object} ast - Parsed expression
+ * @param {string[]} fieldNames - Fields the expression may reference (besides `value`)
+ * @returns {{level: 'error'|'warning', message: string, pos: number}[]} Problems found
+ */
+export function checkTransform(ast, fieldNames = []) {
+  const problems = [];
+  const known = new Set(['value', ...fieldNames]);
+  const functionNames = Object.keys(TRANSFORM_FUNCTIONS);
+
+  const visit = (node) => {
+    switch (node.type) {
+      case 'call': {
+        const def = Object.prototype.hasOwnProperty.call(TRANSFORM_FUNCTIONS, node.name) ? TRANSFORM_FUNCTIONS[node.name] : null;
+        if (!def) {
+          problems.push({ level: 'error', message: `Unknown function ${node.name}()${suggest(node.name, functionNames)}`, pos: node.pos });
+        } else if (node.args.length < def.min || node.args.length > def.max) {
+          problems.push({ level: 'error', message: `Wrong number of arguments: ${def.signature}`, pos: node.pos });
+        }
+        node.args.forEach(visit);
+        break;
+      }
+      case 'field':
+        if (!known.has(node.name)) {
+          problems.push({ level: 'warning', message: `Unknown field ${node.name}${suggest(node.name, [...known])}`, pos: node.pos });
+        }
+        break;
+      case 'unary':
+        visit(node.arg);
+        break;
+      case 'binary':
+        visit(node.left);
+        visit(node.right);
+        break;
+      case 'conditional':
+        visit(node.test);
+        visit(node.then);
+        visit(node.otherwise);
+        break;
+      default:
+        break;
+    }
+  };
+  visit(ast);
+  return problems;
+}
+
+/**
+ * Names of all fields an expression references
+ * @param {Object} ast - Parsed expression
+ * @returns {string[]} Unique field names in order of appearance
+ */
+export function collectFieldReferences(ast) {
+  const names = [];
+  const visit = (node) => {
+    if (node.type === 'field' && !names.includes(node.name)) names.push(node.name);
+    (node.args || []).forEach(visit);
+    ['arg', 'left', 'right', 'test', 'then', 'otherwise'].forEach(key => node[key] && visit(node[key]));
+  };
+  visit(ast);
+  return names;
+}
+
+function applyBinary(op, a, b) {
+  switch (op) {
+    case '+':
+      // Numbers add; anything else concatenates
+      return typeof a === 'number' && typeof b === 'number' ? a + b : toStr(a) + toStr(b);
+    case '-': return toNum(a) - toNum(b);
+    case '*': return toNum(a) * toNum(b);
+    case '/': return toNum(a) / toNum(b);
+    case '%': return toNum(a) % toNum(b);
+    case '==': return a === b || (a !== null && b !== null && a !== undefined && b !== undefined && toStr(a) === toStr(b));
+    case '!=': return !applyBinary('==', a, b);
+    case '<': return compare(a, b) < 0;
+    case '<=': return compare(a, b) <= 0;
+    case '>': return compare(a, b) > 0;
+    case '>=': return compare(a, b) >= 0;
+    default:
+      throw new TransformError(`Unknown operator ${op}`);
+  }
+}
+
+function compare(a, b) {
+  const na = toNum(a);
+  const nb = toNum(b);
+  if (!Number.isNaN(na) && !Number.isNaN(nb)) return na - nb;
+  return toStr(a).localeCompare(toStr(b));
+}
+
+/**
+ * Evaluate an AST
+ * @param {Object} ast - Parsed expression
+ * @param {Object} fields - Field name -> value; `value` is the source field
+ * @returns {*} Result
+ * @throws {TransformError} On unknown functions/fields or bad input (e.g. an invalid date)
+ */
+export function evaluateTransform(ast, fields = {}) {
+  const evaluate = (node) => {
+    switch (node.type) {
+      case 'literal':
+        return node.value;
+      case 'field':
+        if (!Object.prototype.hasOwnProperty.call(fields, node.name)) {
+          throw new TransformError(`Unknown field ${node.name}`, node.pos);
+        }
+        return fields[node.name];
+      case 'unary':
+        return node.op === '!' ? !toBool(evaluate(node.arg)) : -toNum(evaluate(node.arg));
+      case 'binary':
+        if (node.op === '&&') return toBool(evaluate(node.left)) && toBool(evaluate(node.right));
+        if (node.op === '||') {
+          const left = evaluate(node.left);
+          return toBool(left) ? left : evaluate(node.right);
+        }
+        return applyBinary(node.op, evaluate(node.left), evaluate(node.right));
+      case 'conditional':
+        return toBool(evaluate(node.test)) ? evaluate(node.then) : evaluate(node.otherwise);
+      case 'call': {
+        const def = Object.prototype.hasOwnProperty.call(TRANSFORM_FUNCTIONS, node.name) ? TRANSFORM_FUNCTIONS[node.name] : null;
+        if (!def) throw new TransformError(`Unknown function ${node.name}()`, node.pos);
+        if (node.name === 'if') return toBool(evaluate(node.args[0])) ? evaluate(node.args[1]) : evaluate(node.args[2]);
+        if (node.name === 'coalesce') {
+          for (const arg of node.args) {
+            const v = evaluate(arg);
+            if (v !== null && v !== undefined && v !== '') return v;
+          }
+          return null;
+        }
+        const result = def.fn(...node.args.map(evaluate));
+        if (typeof result === 'string' && result.length > MAX_STRING_LENGTH) {
+          throw new TransformError('Result is too long', node.pos);
+        }
+        return result;
+      }
+      default:
+        throw new TransformError('Invalid expression');
+    }
+  };
+  return evaluate(ast);
+}
+
+/**
+ * Format a value for display in previews
+ * @param {*} value - Value
+ * @returns {string} Display text (strings quoted)
+ */
+export function formatTransformValue(value) {
+  if (value === undefined) return 'no sample';
+  if (typeof value === 'number' && !Number.isFinite(value)) return String(value);
+  return JSON.stringify(value);
+}
+
+/**
+ * Parse, check and (when the source field has a sample) evaluate an edge's transform.
+ * Fields of the source node are available by name; `value` is reserved for the source field
+ * itself, so another field named "value" can't be read and gets a warning when used.
+ * @param {Object} edge - Edge
+ * @param {Object[]} nodes - Diagram nodes
+ * @param {string} [text] - Expression to preview instead of edge.transform (live editing)
+ * @returns {{expression: string, problems: Object[], input: *, output: *, hasOutput: boolean,
+ *   missingSamples: string[], error: string|null}|null} Null when there is no expression
+ */
+export function previewEdgeTransform(edge, nodes, text = edge.transform) {
+  const expression = String(text ?? '').trim();
+  if (!expression) return null;
+
+  const sourceNode = nodes.find(n => n.id === edge.from.nodeId);
+  const sourceVariable = isNodeLevelEndpoint(edge.from)
+    ? null
+    : sourceNode?.variables.find(v => v.id === edge.from.portId);
+  const fields = {};
+  (sourceNode?.variables || []).forEach(v => {
+    fields[v.name] = v.sampleValue;
+  });
+  fields.value = sourceVariable?.sampleValue;
+
+  const result = {
+    expression,
+    problems: [],
+    input: fields.value,
+    output: undefined,
+    hasOutput: false,
+    missingSamples: [],
+    error: null
+  };
+  let ast;
+  try {
+    ast = parseTransform(expression);
+  } catch (err) {
+    result.error = err.message;
+    return result;
+  }
+
+  // Unknown functions or fields would only fail again during evaluation
+  result.problems = checkTransform(ast, (sourceNode?.variables || []).map(v => v.name));
+  if (result.problems.length > 0) return result;
+
+  // `value` always means the source field; a sibling field with that name is shadowed
+  const shadowed = sourceNode?.variables.some(v => v.name === 'value' && v !== sourceVariable);
+  if (shadowed && collectFieldReferences(ast).includes('value')) {
+    const sourceName = sourceVariable ? `the source field ${sourceVariable.name}` : 'the source';
+    result.problems.push({
+      level: 'warning',
+      message: `"value" always means ${sourceName}; the other field named "value" can't be used here (rename it)`,
+      pos: 0
+    });
+  }
+
+  // Evaluate only when every referenced field has a sample value
+  result.missingSamples = collectFieldReferences(ast)
+    .filter(name => Object.prototype.hasOwnProperty.call(fields, name) && fields[name] === undefined)
+    .map(name => (name === 'value' && sourceVariable ? sourceVariable.name : name));
+  if (result.missingSamples.length > 0) return result;
+
+  try {
+    result.output = evaluateTransform(ast, fields);
+    result.hasOutput = true;
+  } catch (err) {
+    result.error = err.message;
+  }
+  return result;
+}
@@ -0,0 +1,166 @@
+/**
+ * @fileoverview TypeScript export: one interface per node, dot-notation fields as nested object types
+ */
+
+import { store } from '../core/store.js';
+import { DATA_TYPES, NODE_KINDS, normalizeNodeKind } from '../core/types.js';
+import { formatTableTitle, getTableName } from '../core/normalizeTypes.js';
+import { downloadTextFile } from './persistence.js';
+import { getNodesForExport } from './exporters.js';
+
+export const TS_TYPE_MAP = {
+  [DATA_TYPES.STRING]: 'string',
+  [DATA_TYPES.NUMBER]: 'number',
+  [DATA_TYPES.BOOLEAN]: 'boolean',
+  [DATA_TYPES.DATETIME]: 'string',
+  [DATA_TYPES.UUID]: 'string',
+  [DATA_TYPES.JSON]: 'Record<string, unknown>',
+  [DATA_TYPES.ARRAY]: 'unknown[]'
+};
+
+const INDENT = '  ';
+
+/**
+ * Convert a node title to a PascalCase type name ("user_accounts" -> "UserAccounts",
+ * "/pets/{id}" -> "PetsId"). Names that would start with a digit get a leading "T".
+ * @param {string} title - Node title
+ * @returns {string} Type name
+ */
+export function toPascalCase(title) {
+  const name = String(title || '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map(word => word[0].toUpperCase() + word.slice(1))
+    .join('');
+  if (!name) return 'Node';
+  return /^[0-9]/.test(name) ? `T${name}` : name;
+}
+
+const propertyKey = (name) => (/^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name));
+
+/**
+ * Render a doc comment; returns no lines when there is no text
+ */
+function docComment(text, indent) {
+  if (!text) return [];
+  const lines = String(text).replace(/\*\//g, '*\\/').split(/\r?\n/);
+  if (lines.length === 1) return [`${indent}/** ${lines[0].trim()} */`];
+  return [`${indent}/**`, ...lines.map(line => `${indent} * ${line.trim()}`.trimEnd()), `${indent} */`];
+}
+
+/**
+ * Group dot-notated variables into a property tree
+ * @param {Object[]} variables - Node variables in display order
+ * @returns {Map} name -> { variable, children }
+ */
+function buildPropertyTree(variables) {
+  const root = new Map();
+  variables.forEach(variable => {
+    const parts = variable.name.split('.').filter(Boolean);
+    if (parts.length === 0) return;
+    let level = root;
+    parts.forEach((part, i) => {
+      if (!level.has(part)) level.set(part, { variable: null, children: new Map() });
+      const entry = level.get(part);
+      if (i === parts.length - 1) entry.variable = variable;
+      level = entry.children;
+    });
+  });
+  return root;
+}
+
+/**
+ * Render the members of an object type
+ * @param {Map} tree - Property tree level
+ * @param {string} indent - Current indentation
+ * @param {boolean} tracksRequired - Whether the node records required fields
+ * @returns {string[]} Lines
+ */
+function renderMembers(tree, indent, tracksRequired) {
+  const lines = [];
+  tree.forEach((entry, name) => {
+    const { variable, children } = entry;
+    // A parent object is required when any of its fields is
+    const required = !tracksRequired || (variable ? !!variable.required : hasRequired(children));
+    const key = `${propertyKey(name)}${required ? '' : '?'}`;
+    lines.push(...docComment(variable?.description, indent));
+    if (children.size > 0) {
+      lines.push(`${indent}${key}: {`);
+      lines.push(...renderMembers(children, indent + INDENT, tracksRequired));
+      lines.push(`${indent}};`);
+    } else {
+      lines.push(`${indent}${key}: ${TS_TYPE_MAP[variable.dataType] || 'unknown'};`);
+    }
+  });
+  return lines;
+}
+
+function hasRequired(tree) {
+  for (const { variable, children } of tree.values()) {
+    if (variable?.required || hasRequired(children)) return true;
+  }
+  return false;
+}
+
+/**
+ * One-line summary for the interface doc comment, e.g. "GET /pets/{id}"
+ */
+function describeNode(node) {
+  const meta = node.metadata || {};
+  switch (normalizeNodeKind(node.kind)) {
+    case NODE_KINDS.API:
+      return meta.url ? `${meta.method || 'GET'} ${meta.url}` : node.title;
+    case NODE_KINDS.TABLE: {
+      const { schema, table } = getTableName(node);
+      return `Table ${formatTableTitle(schema, table)}`;
+    }
+    default:
+      return node.title;
+  }
+}
+
+/**
+ * Generate a TypeScript module with one exported interface per node. When a node
+ * records required fields (imports from DDL, OpenAPI or JSON Schema), the other
+ * fields are emitted as optional.
+ * @param {Object[]} nodes - Nodes to export
+ * @param {Object} [diagram] - Diagram the nodes belong to (for the header)
+ * @returns {string} TypeScript source
+ */
+export function generateTypeScript(nodes, diagram = store.getState().diagram) {
+  const used = new Map();
+  const blocks = nodes.map(node => {
+    // Keep names unique: Users, Users2, ...
+    const base = toPascalCase(node.title);
+    const count = (used.get(base) || 0) + 1;
+    used.set(base, count);
+    const name = count === 1 ? base : `${base}${count}`;
+
+    const tracksRequired = node.variables.some(v => v.required);
+    const members = renderMembers(buildPropertyTree(node.variables), INDENT, tracksRequired);
+    return [
+      ...docComment(describeNode(node), ''),
+      members.length > 0 ? `export interface ${name} {` : `export interface ${name} {}`,
+      ...(members.length > 0 ? [...members, '}'] : [])
+    ].join('\n');
+  });
+
+  const header = `// Generated by Data Flow Designer from "${(diagram.title || 'Untitled diagram').replace(/\s+/g, ' ')}"`;
+  return [header, ...blocks].join('\n\n') + '\n';
+}
+
+/**
+ * Download interfaces for the selected (or all) nodes
+ * @param {string} [filename] - Optional filename
+ * @returns {boolean} False when the diagram has no nodes
+ */
+export function downloadTypeScript(filename = 'types.ts') {
+  const nodes = getNodesForExport();
+  if (nodes.length === 0) {
+    alert('There are no nodes to export.');
+    return false;
+  }
+  downloadTextFile(generateTypeScript(nodes), filename, 'text/plain');
+  return true;
+}
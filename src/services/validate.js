@@ -1,8 +1,11 @@
 /**
- * @fileoverview Basic validation utilities (no automatic validation)
+ * @fileoverview Validation utilities, automatic edge status (type compatibility of connected fields)
+ * and the diagram linter behind the problems panel
  */
 
-import { DATA_TYPES, EDGE_STATUS } from '../core/types.js';
+import { DATA_TYPES, EDGE_STATUS, isNodeLevelEndpoint, isReferenceEdge } from '../core/types.js';
+import { store } from '../core/store.js';
+import { eventBus, EVENTS } from '../core/eventBus.js';
 
 /**
  * Check if two data types are compatible for connections
@@ -59,6 +62,89 @@ export function getCompatibilityDescription(status, fromType, toType) {
   }
 }
 
+/**
+ * Look up the data types of the two fields an edge connects
+ * @param {Object} edge - Edge
+ * @param {Object[]} nodes - Diagram nodes
+ * @returns {{fromType: string|undefined, toType: string|undefined}} Field data types
+ */
+export function getEdgeTypes(edge, nodes) {
+  const typeOf = (end) => nodes
+    .find(node => node.id === end.nodeId)
+    ?.variables.find(variable => variable.id === end.portId)
+    ?.dataType;
+  return { fromType: typeOf(edge.from), toType: typeOf(edge.to) };
+}
+
+/**
+ * Compatibility status an edge should have given its fields' current types.
+ * Edges with a node-level end carry no field types, and reference edges link records
+ * rather than values, so both are always 'ok'.
+ * @param {Object} edge - Edge
+ * @param {Object[]} nodes - Diagram nodes
+ * @returns {string} 'ok', 'warn' or 'error'
+ */
+export function computeEdgeStatus(edge, nodes) {
+  if (isReferenceEdge(edge)) return EDGE_STATUS.OK;
+  if (isNodeLevelEndpoint(edge.from) || isNodeLevelEndpoint(edge.to)) return EDGE_STATUS.OK;
+  const { fromType, toType } = getEdgeTypes(edge, nodes);
+  return checkTypeCompatibility(fromType, toType);
+}
+
+/**
+ * Human-readable reason for an edge's status (used for tooltips and the inspector)
+ * @param {Object} edge - Edge
+ * @param {Object[]} nodes - Diagram nodes
+ * @returns {string} Description
+ */
+export function describeEdgeStatus(edge, nodes) {
+  if (isReferenceEdge(edge)) return 'Reference (links records; field types are not compared)';
+  if (isNodeLevelEndpoint(edge.from) || isNodeLevelEndpoint(edge.to)) {
+    return 'Node-level connection (no field types to compare)';
+  }
+  const { fromType, toType } = getEdgeTypes(edge, nodes);
+  return getCompatibilityDescription(checkTypeCompatibility(fromType, toType), fromType || '?', toType || '?');
+}
+
+/**
+ * Recompute the status of the given edges (all when omitted); only changed edges are updated
+ * @param {string[]} [edgeIds] - Edges to refresh
+ */
+export function refreshEdgeStatuses(edgeIds) {
+  const { nodes, edges } = store.getState().diagram;
+  const wanted = edgeIds ? new Set(edgeIds) : null;
+  const changed = edges
+    .filter(edge => !wanted || wanted.has(edge.id))
+    .map(edge => ({ edge, status: computeEdgeStatus(edge, nodes) }))
+    .filter(({ edge, status }) => edge.status !== status);
+  if (changed.length === 0) return;
+
+  store.batch(() => {
+    changed.forEach(({ edge, status }) => store.updateEdge(edge.id, { status }));
+  });
+}
+
+/**
+ * Keep edge statuses in sync with the diagram: on connect, re-attach, field type
+ * changes and load. Status is derived data, so these updates bypass the undo stack;
+ * undoing a type change re-emits the update and the status follows.
+ */
+export function setupEdgeStatusSync() {
+  const edgeIdsFor = (edges) => edges.map(edge => edge.id);
+
+  eventBus.on(EVENTS.EDGE_ADD, ({ edge }) => refreshEdgeStatuses([edge.id]));
+  eventBus.on(EVENTS.EDGE_REATTACH, ({ edge }) => refreshEdgeStatuses([edge.id]));
+  eventBus.on(EVENTS.VARIABLE_UPDATE, ({ variable, nodeId, updates }) => {
+    if (updates && 'dataType' in updates) {
+      refreshEdgeStatuses(edgeIdsFor(store.getEdgesForVariable(nodeId, variable.id)));
+    }
+  });
+  eventBus.on(EVENTS.NODE_UPDATE, ({ node, updates }) => {
+    if (updates?.variables) refreshEdgeStatuses(edgeIdsFor(store.getEdgesForNode(node.id)));
+  });
+  eventBus.on(EVENTS.DIAGRAM_LOAD, () => refreshEdgeStatuses());
+}
+
 /**
  * Simple validation for node titles
  * @param {string} title - Node title
@@ -76,3 +162,209 @@ export function isValidNodeTitle(title) {
 export function isValidVariableName(name) {
   return typeof name === 'string' && name.trim().length > 0;
 }
+
+// Diagram linter
+
+export const LINT_SEVERITY = {
+  ERROR: 'error',
+  WARNING: 'warning'
+};
+
+// Field naming conventions; dotted names (address.city) are checked per segment
+export const NAMING_CONVENTIONS = {
+  snake_case: /^[a-z][a-z0-9]*(_[a-z0-9]+)*$/,
+  camelCase: /^[a-z][a-zA-Z0-9]*$/,
+  PascalCase: /^[A-Z][a-zA-Z0-9]*$/,
+  'kebab-case': /^[a-z][a-z0-9]*(-[a-z0-9]+)*$/
+};
+
+/**
+ * @typedef {Object} LintProblem
+ * @property {string} ruleId - Rule that found it
+ * @property {'error'|'warning'} severity - Severity
+ * @property {string} message - Human-readable description
+ * @property {{type: 'node'|'variable'|'edge', nodeId?: string, variableId?: string, edgeId?: string}} target - Offending item
+ */
+
+const nodeTarget = (node) => ({ type: 'node', nodeId: node.id });
+const variableTarget = (node, variable) => ({ type: 'variable', nodeId: node.id, variableId: variable.id });
+const edgeTarget = (edge) => ({ type: 'edge', edgeId: edge.id, nodeId: edge.from.nodeId });
+const fieldLabel = (node, variable) => `${node.title || '(untitled)'}.${variable.name || '(unnamed)'}`;
+const endLabel = (diagram, end) => {
+  const node = diagram.nodes.find(n => n.id === end.nodeId);
+  if (!node) return '(missing node)';
+  if (isNodeLevelEndpoint(end)) return node.title || '(untitled)';
+  const variable = node.variables.find(v => v.id === end.portId);
+  return variable ? fieldLabel(node, variable) : `${node.title || '(untitled)'}.(missing field)`;
+};
+const edgeLabel = (diagram, edge) => `${endLabel(diagram, edge.from)} → ${endLabel(diagram, edge.to)}`;
+
+/**
+ * Lint rules in the order their problems are listed. Each check returns [{message, target}];
+ * severity comes from the rule. Rules can be switched on and off per diagram (see getLintConfig).
+ */
+export const LINT_RULES = [
+  {
+    id: 'empty-title',
+    label: 'Empty node titles and field names',
+    severity: LINT_SEVERITY.ERROR,
+    check: (diagram) => diagram.nodes.flatMap(node => [
+      ...(isValidNodeTitle(node.title) ? [] : [{ message: 'Node has no title', target: nodeTarget(node) }]),
+      ...node.variables
+        .filter(variable => !isValidVariableName(variable.name))
+        .map(variable => ({ message: `Field in ${node.title || '(untitled)'} has no name`, target: variableTarget(node, variable) }))
+    ])
+  },
+  {
+    id: 'duplicate-field',
+    label: 'Duplicate field names in a node',
+    severity: LINT_SEVERITY.ERROR,
+    check: (diagram) => diagram.nodes.flatMap(node => {
+      const seen = new Set();
+      return node.variables.filter(variable => {
+        const key = (variable.name || '').trim().toLowerCase();
+        if (!key) return false;
+        if (seen.has(key)) return true;
+        seen.add(key);
+        return false;
+      }).map(variable => ({ message: `${fieldLabel(node, variable)} is defined more than once`, target: variableTarget(node, variable) }));
+    })
+  },
+  {
+    id: 'unconnected-field',
+    label: 'Fields with no connections',
+    severity: LINT_SEVERITY.WARNING,
+    check: (diagram) => {
+      const connected = new Set();
+      diagram.edges.forEach(edge => {
+        [edge.from, edge.to].forEach(end => {
+          if (!isNodeLevelEndpoint(end)) connected.add(`${end.nodeId}/${end.portId}`);
+        });
+      });
+      return diagram.nodes.flatMap(node => node.variables
+        .filter(variable => !connected.has(`${node.id}/${variable.id}`))
+        .map(variable => ({ message: `${fieldLabel(node, variable)} is not connected`, target: variableTarget(node, variable) })));
+    }
+  },
+  {
+    id: 'dangling-edge',
+    label: 'Connections to missing nodes or fields',
+    severity: LINT_SEVERITY.ERROR,
+    check: (diagram) => diagram.edges.flatMap(edge => {
+      const missing = [edge.from, edge.to].filter(end => {
+        const node = diagram.nodes.find(n => n.id === end.nodeId);
+        return !node || (!isNodeLevelEndpoint(end) && !node.variables.some(v => v.id === end.portId));
+      });
+      if (missing.length === 0) return [];
+      return [{ message: `Connection ${edgeLabel(diagram, edge)} points to something that no longer exists`, target: edgeTarget(edge) }];
+    })
+  },
+  {
+    id: 'type-mismatch',
+    label: 'Incompatible field types',
+    severity: LINT_SEVERITY.ERROR, // same as the red edge status
+    check: (diagram) => diagram.edges
+      .filter(edge => computeEdgeStatus(edge, diagram.nodes) === EDGE_STATUS.ERROR)
+      .map(edge => ({ message: `${edgeLabel(diagram, edge)}: ${describeEdgeStatus(edge, diagram.nodes)}`, target: edgeTarget(edge) }))
+  },
+  {
+    id: 'duplicate-edge',
+    label: 'Duplicate connections',
+    severity: LINT_SEVERITY.WARNING,
+    check: (diagram) => {
+      const seen = new Set();
+      return diagram.edges.filter(edge => {
+        const key = `${edge.from.nodeId}/${edge.from.portId || ''}>${edge.to.nodeId}/${edge.to.portId || ''}`;
+        if (seen.has(key)) return true;
+        seen.add(key);
+        return false;
+      }).map(edge => ({ message: `${edgeLabel(diagram, edge)} is connected more than once`, target: edgeTarget(edge) }));
+    }
+  },
+  {
+    id: 'naming-convention',
+    label: 'Field naming convention',
+    severity: LINT_SEVERITY.WARNING,
+    check: (diagram, config) => {
+      const pattern = NAMING_CONVENTIONS[config.namingConvention] || NAMING_CONVENTIONS.snake_case;
+      return diagram.nodes.flatMap(node => node.variables
+        .filter(variable => isValidVariableName(variable.name) && !variable.name.split('.').every(part => pattern.test(part)))
+        .map(variable => ({ message: `${fieldLabel(node, variable)} is not ${config.namingConvention}`, target: variableTarget(node, variable) })));
+    }
+  }
+];
+
+// Off until switched on: imported schemas bring their own conventions (camelCase from GraphQL, ...)
+const DEFAULT_DISABLED_RULES = ['naming-convention'];
+
+/**
+ * Naming convention most field names already follow (ties go to the earlier convention)
+ * @param {Object} diagram - Diagram
+ * @returns {string} Key of NAMING_CONVENTIONS
+ */
+export function inferNamingConvention(diagram) {
+  const names = (diagram?.nodes || []).flatMap(node => node.variables.map(v => v.name)).filter(isValidVariableName);
+  let best = 'snake_case';
+  let bestCount = -1;
+  Object.entries(NAMING_CONVENTIONS).forEach(([convention, pattern]) => {
+    const count = names.filter(name => name.split('.').every(part => pattern.test(part))).length;
+    if (count > bestCount) {
+      best = convention;
+      bestCount = count;
+    }
+  });
+  return best;
+}
+
+/**
+ * Linter settings of a diagram (stored as `lint` on the diagram)
+ * @param {Object} diagram - Diagram
+ * @returns {{disabled: string[], namingConvention: string}} Config with defaults applied; without a
+ *   chosen naming convention, the one most fields follow
+ */
+export function getLintConfig(diagram) {
+  const lint = diagram?.lint || {};
+  return {
+    disabled: Array.isArray(lint.disabled) ? lint.disabled : DEFAULT_DISABLED_RULES,
+    namingConvention: NAMING_CONVENTIONS[lint.namingConvention] ? lint.namingConvention : inferNamingConvention(diagram)
+  };
+}
+
+let lastLinted = null;
+let lastProblems = [];
+
+/**
+ * Run the enabled lint rules (cached per diagram object, so repeated calls are free)
+ * @param {Object} diagram - Diagram
+ * @returns {LintProblem[]} Problems, errors first
+ */
+export function lintDiagram(diagram) {
+  if (diagram === lastLinted) return lastProblems;
+  const config = getLintConfig(diagram);
+  const problems = LINT_RULES
+    .filter(rule => !config.disabled.includes(rule.id))
+    .flatMap(rule => rule.check(diagram, config).map(problem => ({ ruleId: rule.id, severity: rule.severity, ...problem })));
+  problems.sort((a, b) => (a.severity === b.severity ? 0 : a.severity === LINT_SEVERITY.ERROR ? -1 : 1));
+  lastLinted = diagram;
+  lastProblems = problems;
+  return problems;
+}
+
+/**
+ * Lint the diagram whenever it changes and announce the result:
+ * VALIDATION_ERROR / VALIDATION_WARNING carry {problems} when there are any of that severity
+ */
+export function setupLinting() {
+  let previous = null;
+  const run = (state) => {
+    if (state.diagram === previous) return;
+    previous = state.diagram;
+    const problems = lintDiagram(state.diagram);
+    const errors = problems.filter(p => p.severity === LINT_SEVERITY.ERROR);
+    const warnings = problems.filter(p => p.severity === LINT_SEVERITY.WARNING);
+    if (errors.length > 0) eventBus.emit(EVENTS.VALIDATION_ERROR, { problems: errors });
+    if (warnings.length > 0) eventBus.emit(EVENTS.VALIDATION_WARNING, { problems: warnings });
+  };
+  store.subscribe(run);
+  run(store.getState());
+}
@@ -0,0 +1,400 @@
+/**
+ * @fileoverview Minimal YAML reader for schema files (no build step, works offline)
+ * Supports the subset used by OpenAPI/AsyncAPI style documents: block mappings and
+ * sequences, flow collections, quoted and plain scalars (including wrapped lines),
+ * block scalars (| and >), comments and simple anchors/aliases.
+ */
+
+/**
+ * Convert a plain (unquoted) scalar to a JS value
+ * @param {string} text - Trimmed scalar text
+ * @returns {*} Value
+ */
+function plainScalar(text) {
+  if (text === '' || text === '~' || /^null$/i.test(text)) return null;
+  if (/^(true|false)$/i.test(text)) return text.toLowerCase() === 'true';
+  if (/^[-+]?\d+$/.test(text)) return parseInt(text, 10);
+  if (/^0x[0-9a-f]+$/i.test(text)) return parseInt(text, 16);
+  if (/^[-+]?(\d+\.\d*|\.\d+|\d+)([eE][-+]?\d+)?$/.test(text)) return parseFloat(text);
+  if (/^[-+]?\.inf$/i.test(text)) return text.startsWith('-') ? -Infinity : Infinity;
+  if (/^\.nan$/i.test(text)) return NaN;
+  return text;
+}
+
+const DOUBLE_ESCAPES = { n: '\n', t: '\t', r: '\r', '"': '"', '\\': '\\', '/': '/', '0': '\0', b: '\b', f: '\f', ' ': ' ' };
+
+/**
+ * Read a quoted scalar starting at text[pos]
+ * @returns {{value: string, end: number}} Value and index after the closing quote
+ */
+function readQuoted(text, pos) {
+  const q = text[pos];
+  let out = '';
+  let i = pos + 1;
+  while (i < text.length) {
+    const c = text[i];
+    if (q === "'" && c === "'") {
+      if (text[i + 1] === "'") {
+        out += "'";
+        i += 2;
+        continue;
+      }
+      return { value: out, end: i + 1 };
+    }
+    if (q === '"' && c === '\\') {
+      const n = text[i + 1];
+      if (n === 'u' || n === 'x') {
+        const len = n === 'u' ? 4 : 2;
+        out += String.fromCharCode(parseInt(text.substr(i + 2, len), 16));
+        i += 2 + len;
+      } else {
+        out += DOUBLE_ESCAPES[n] ?? n;
+        i += 2;
+      }
+      continue;
+    }
+    if (q === '"' && c === '"') return { value: out, end: i + 1 };
+    out += c;
+    i++;
+  }
+  throw new Error('Unterminated quoted string');
+}
+
+/**
+ * Remove a trailing "# comment" from a line fragment (outside quotes)
+ */
+function stripComment(text) {
+  let i = 0;
+  while (i < text.length) {
+    const c = text[i];
+    if ((c === '"' || c === "'") && (i === 0 || /[\s[{,:]/.test(text[i - 1]))) {
+      try {
+        i = readQuoted(text, i).end;
+        continue;
+      } catch (_) {
+        return text;
+      }
+    }
+    if (c === '#' && (i === 0 || /\s/.test(text[i - 1]))) return text.slice(0, i);
+    i++;
+  }
+  return text;
+}
+
+/**
+ * Find the "key:" separator of a mapping entry
+ * @returns {{key: string, rest: string}|null}
+ */
+function splitMappingEntry(content) {
+  if (content[0] === '"' || content[0] === "'") {
+    try {
+      const { value, end } = readQuoted(content, 0);
+      const m = /^\s*:(\s|$)/.exec(content.slice(end));
+      if (m) return { key: value, rest: content.slice(end + m[0].length) };
+    } catch (_) {
+      return null;
+    }
+    return null;
+  }
+  if (/^[[{#&*!|>%@`]/.test(content)) return null;
+  const m = /:(\s|$)/.exec(content);
+  if (!m) return null;
+  return { key: content.slice(0, m.index).trim(), rest: content.slice(m.index + m[0].length) };
+}
+
+/**
+ * Parse flow-style collections and scalars: [a, b], {k: v}, "q", plain
+ */
+class FlowParser {
+  constructor(text, anchors) {
+    this.text = text;
+    this.pos = 0;
+    this.anchors = anchors;
+  }
+
+  skipSpace() {
+    while (this.pos < this.text.length && /\s/.test(this.text[this.pos])) this.pos++;
+  }
+
+  parseValue() {
+    this.skipSpace();
+    const c = this.text[this.pos];
+    if (c === '[') return this.parseSequence();
+    if (c === '{') return this.parseMapping();
+    if (c === '"' || c === "'") {
+      const { value, end } = readQuoted(this.text, this.pos);
+      this.pos = end;
+      return value;
+    }
+    if (c === '*') {
+      const m = /^\*([^\s,\]}]+)/.exec(this.text.slice(this.pos));
+      this.pos += m[0].length;
+      return this.anchors[m[1]];
+    }
+    const m = /^[^,\]}]*?(?=\s*(?:[,\]}]|:\s|$))/.exec(this.text.slice(this.pos));
+    const raw = m ? m[0] : '';
+    this.pos += raw.length;
+    return plainScalar(raw.trim());
+  }
+
+  parseSequence() {
+    const out = [];
+    this.pos++; // [
+    for (;;) {
+      this.skipSpace();
+      if (this.text[this.pos] === ']') {
+        this.pos++;
+        return out;
+      }
+      out.push(this.parseValue());
+      this.skipSpace();
+      if (this.text[this.pos] === ',') this.pos++;
+      else if (this.text[this.pos] !== ']') throw new Error('Expected , or ] in flow sequence');
+    }
+  }
+
+  parseMapping() {
+    const out = {};
+    this.pos++; // {
+    for (;;) {
+      this.skipSpace();
+      if (this.text[this.pos] === '}') {
+        this.pos++;
+        return out;
+      }
+      const key = this.parseValue();
+      this.skipSpace();
+      let value = null;
+      if (this.text[this.pos] === ':') {
+        this.pos++;
+        value = this.parseValue();
+      }
+      out[String(key)] = value;
+      this.skipSpace();
+      if (this.text[this.pos] === ',') this.pos++;
+      else if (this.text[this.pos] !== '}') throw new Error('Expected , or } in flow mapping');
+    }
+  }
+}
+
+/**
+ * Line-based block parser
+ */
+class BlockParser {
+  constructor(text) {
+    this.lines = text.replace(/\r\n?/g, '\n').replace(/\t/g, '  ').split('\n');
+    this.i = 0;
+    this.anchors = {};
+  }
+
+  fail(message) {
+    throw new Error(`YAML line ${this.i + 1}: ${message}`);
+  }
+
+  /** Next significant line (skips blanks, comments, directives and document markers) */
+  peek() {
+    while (this.i < this.lines.length) {
+      const raw = this.lines[this.i];
+      const content = raw.trim();
+      if (content === '' || content.startsWith('#') || content.startsWith('%') || content === '---' || content === '...') {
+        this.i++;
+        continue;
+      }
+      return { indent: raw.length - raw.trimStart().length, content: stripComment(raw.trim()).trimEnd() };
+    }
+    return null;
+  }
+
+  isSequenceItem(content) {
+    return content === '-' || content.startsWith('- ');
+  }
+
+  parseDocument() {
+    const first = this.peek();
+    if (!first) return null;
+    const value = this.parseBlock(first.indent);
+    if (this.peek()) this.fail('unexpected content');
+    return value;
+  }
+
+  parseBlock(minIndent) {
+    const line = this.peek();
+    if (!line || line.indent < minIndent) return null;
+    if (this.isSequenceItem(line.content)) return this.parseSequence(line.indent);
+    if (splitMappingEntry(line.content)) return this.parseMapping(line.indent);
+    this.i++;
+    return this.parseInlineValue(line.content, line.indent - 1);
+  }
+
+  parseSequence(indent) {
+    const out = [];
+    for (;;) {
+      const line = this.peek();
+      if (!line || line.indent !== indent || !this.isSequenceItem(line.content)) break;
+      const rest = line.content.slice(1).trimStart();
+      if (rest === '') {
+        this.i++;
+        out.push(this.parseNested(indent));
+        continue;
+      }
+      // Re-read the item content as if it started on its own line at its column
+      const column = indent + (line.content.length - rest.length);
+      this.lines[this.i] = ' '.repeat(column) + rest;
+      out.push(this.parseBlock(column));
+    }
+    return out;
+  }
+
+  parseMapping(indent) {
+    const out = {};
+    for (;;) {
+      const line = this.peek();
+      if (!line || line.indent !== indent || this.isSequenceItem(line.content)) break;
+      const entry = splitMappingEntry(line.content);
+      if (!entry) this.fail(`expected "key: value", got "${line.content}"`);
+      this.i++;
+      const key = entry.key === '<<' ? entry.key : String(plainKey(entry.key));
+      const value = this.parseEntryValue(entry.rest.trim(), indent);
+      if (key === '<<' && value && typeof value === 'object') {
+        Object.assign(out, ...(Array.isArray(value) ? value : [value]));
+      } else {
+        out[key] = value;
+      }
+    }
+    return out;
+  }
+
+  // Value after "key:" or "- ": empty (nested block), block scalar, flow or plain
+  parseEntryValue(rest, indent) {
+    let anchor = null;
+    const a = /^&(\S+)\s*/.exec(rest);
+    if (a) {
+      anchor = a[1];
+      rest = rest.slice(a[0].length);
+    }
+    rest = rest.replace(/^!\S+\s*/, ''); // ignore tags
+    const value = rest === '' ? this.parseNested(indent) : this.parseInlineValue(rest, indent);
+    if (anchor) this.anchors[anchor] = value;
+    return value;
+  }
+
+  // Nested block under a key: deeper indent, or a sequence at the same indent
+  parseNested(indent) {
+    const next = this.peek();
+    if (!next) return null;
+    if (next.indent > indent) return this.parseBlock(next.indent);
+    if (next.indent === indent && this.isSequenceItem(next.content)) return this.parseSequence(indent);
+    return null;
+  }
+
+  parseInlineValue(rest, indent) {
+    if (rest[0] === '*') return this.anchors[rest.slice(1).trim()];
+    if (rest[0] === '|' || rest[0] === '>') return this.parseBlockScalar(rest, indent);
+    if (rest[0] === '[' || rest[0] === '{') return this.parseFlow(rest, indent);
+    if (rest[0] === '"' || rest[0] === "'") return this.parseQuotedScalar(rest, indent);
+    return this.parsePlainScalar(rest, indent);
+  }
+
+  // Flow collections may span lines; gather until brackets balance
+  parseFlow(rest, indent) {
+    let text = rest;
+    const balanced = (t) => {
+      let depth = 0;
+      for (let k = 0; k < t.length; k++) {
+        const c = t[k];
+        if (c === '"' || c === "'") {
+          try { k = readQuoted(t, k).end - 1; } catch (_) { return false; }
+        } else if (c === '[' || c === '{') depth++;
+        else if (c === ']' || c === '}') depth--;
+      }
+      return depth <= 0;
+    };
+    while (!balanced(text) && this.i < this.lines.length) {
+      text += ' ' + stripComment(this.lines[this.i].trim());
+      this.i++;
+    }
+    return new FlowParser(text, this.anchors).parseValue();
+  }
+
+  parseQuotedScalar(rest, indent) {
+    let text = rest;
+    for (;;) {
+      try {
+        return readQuoted(text, 0).value;
+      } catch (err) {
+        if (this.i >= this.lines.length) this.fail('unterminated quoted string');
+        // Quoted scalars may wrap; line breaks fold to spaces
+        text += ' ' + this.lines[this.i].trim();
+        this.i++;
+      }
+    }
+  }
+
+  // Plain scalars may continue on more-indented lines (folded with spaces)
+  parsePlainScalar(rest, indent) {
+    let text = rest;
+    for (;;) {
+      const next = this.peek();
+      if (!next || next.indent <= indent) break;
+      if (this.isSequenceItem(next.content) || splitMappingEntry(next.content)) break;
+      text += ' ' + next.content;
+      this.i++;
+    }
+    return plainScalar(text.trim());
+  }
+
+  parseBlockScalar(header, indent) {
+    const folded = header[0] === '>';
+    const chomp = /-/.test(header) ? 'strip' : (/\+/.test(header) ? 'keep' : 'clip');
+    const lines = [];
+    let blockIndent = null;
+    while (this.i < this.lines.length) {
+      const raw = this.lines[this.i];
+      if (raw.trim() === '') {
+        lines.push('');
+        this.i++;
+        continue;
+      }
+      const ind = raw.length - raw.trimStart().length;
+      if (ind <= indent) break;
+      if (blockIndent === null) blockIndent = ind;
+      if (ind < blockIndent) break;
+      lines.push(raw.slice(blockIndent));
+      this.i++;
+    }
+    // Trailing blank lines belong to chomping, not content
+    let trailing = 0;
+    while (lines.length && lines[lines.length - 1] === '') {
+      lines.pop();
+      trailing++;
+    }
+    let body;
+    if (folded) {
+      body = lines.reduce((acc, line, k) => {
+        if (k === 0) return line;
+        if (line === '' || /^\s/.test(line) || lines[k - 1] === '') return acc + '\n' + line;
+        return acc + ' ' + line;
+      }, '');
+    } else {
+      body = lines.join('\n');
+    }
+    if (chomp === 'strip') return body;
+    if (chomp === 'keep') return body + '\n'.repeat(trailing + 1);
+    return lines.length ? body + '\n' : '';
+  }
+}
+
+function plainKey(key) {
+  const value = plainScalar(key);
+  return value === null ? 'null' : value;
+}
+
+/**
+ * Parse a YAML document into plain JS values
+ * @param {string} text - YAML source
+ * @returns {*} Parsed value
+ */
+export function parseYaml(text) {
+  if (typeof text !== 'string') return null;
+  return new BlockParser(text).parseDocument();
+}
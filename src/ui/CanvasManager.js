@@ -2,6 +2,8 @@
  * @fileoverview Canvas and pan/zoom functionality
  */
 
+import { eventBus, EVENTS } from '../core/eventBus.js';
+
 export class CanvasManager {
   constructor() {
     this.canvas = null;
@@ -51,6 +53,7 @@ export class CanvasManager {
       
       // Apply the transformation
       content.style.transform = `matrix(${this.scale}, 0, 0, ${this.scale}, ${this.currentX}, ${this.currentY})`;
+      eventBus.emit(EVENTS.CANVAS_ZOOM, { scale: this.scale });
     }, { passive: false });
     
     // Mouse pan - only if not dragging a node or connecting
@@ -86,6 +89,20 @@ export class CanvasManager {
     });
   }
 
+  /**
+   * Pan (keeping the zoom) so a content point sits in the middle of the canvas
+   * @param {number} x - Content X
+   * @param {number} y - Content Y
+   */
+  panTo(x, y) {
+    const content = document.getElementById('content');
+    const rect = this.canvas.getBoundingClientRect();
+    this.currentX = rect.width / 2 - x * this.scale;
+    this.currentY = rect.height / 2 - y * this.scale;
+    content.style.transform = `matrix(${this.scale}, 0, 0, ${this.scale}, ${this.currentX}, ${this.currentY})`;
+    eventBus.emit(EVENTS.CANVAS_PAN, { x: this.currentX, y: this.currentY });
+  }
+
   setDragState(isDragging) {
     this.isDraggingNode = isDragging;
   }
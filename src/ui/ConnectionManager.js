@@ -1,9 +1,11 @@
 /**
- * @fileoverview Connection management for port-to-port connections
+ * @fileoverview Connection management for port-to-port connections (field ports and node header ports)
  */
 
 import { store } from '../core/store.js';
+import { commandStack, createReattachEdgeCommand } from '../core/commandStack.js';
 import { generateEdgeId } from '../core/id.js';
+import { computeEdgeStatus } from '../services/validate.js';
 
 export class ConnectionManager {
   constructor(canvasManager) {
@@ -167,21 +169,12 @@ export class ConnectionManager {
       let didCreateConnection = false;
 
       if (targetPort && targetPort !== portElement) {
-        const targetVariableId = targetPort.dataset.variableId;
-        const targetNodeElement = targetPort.closest('.node');
-        const targetNodeId = targetNodeElement?.dataset.nodeId;
-        const currentNodeElement = portElement.closest('.node');
-        const currentNodeId = currentNodeElement?.dataset.nodeId;
-
-        // Allow connections between any ports as long as nodes differ
-        if (targetNodeId && targetVariableId && targetNodeId !== currentNodeId) {
-          this.createConnection(
-            this.connectionState.fromVariable,
-            targetNodeId,
-            targetVariableId,
-            this.connectionState.fromSide,
-            targetPort.dataset.portSide
-          );
+        const from = this.getPortEndpoint(portElement);
+        const to = this.getPortEndpoint(targetPort);
+
+        // Allow connections between any ports (field or node header) as long as nodes differ
+        if (from.nodeId && to.nodeId && to.nodeId !== from.nodeId) {
+          this.createConnection(from, to);
           didCreateConnection = true;
         }
       }
@@ -212,24 +205,155 @@ export class ConnectionManager {
     });
   }
 
-  createConnection(fromVariable, toNodeId, toVariableId, fromSide, toSide) {
-    // Find the from node
+  // Endpoint for a port element; header ports have no variable id and give a node-level endpoint
+  getPortEndpoint(portElement) {
+    const endpoint = { nodeId: portElement.closest('.node')?.dataset.nodeId };
+    if (portElement.dataset.variableId) endpoint.portId = portElement.dataset.variableId;
+    endpoint.side = portElement.dataset.portSide;
+    return endpoint;
+  }
+
+  createConnection(from, to) {
     const state = store.getState();
-    const fromNode = state.diagram.nodes.find(node =>
-      node.variables.some(v => v.id === fromVariable.id)
-    );
-    
-    if (!fromNode) return;
+    if (!store.getNodeById(from.nodeId) || !store.getNodeById(to.nodeId)) return;
     
     // Create edge with exact selected port sides
     const edge = {
       id: generateEdgeId(),
-      from: { nodeId: fromNode.id, portId: fromVariable.id, side: fromSide },
-      to: { nodeId: toNodeId, portId: toVariableId, side: toSide },
-      status: 'ok'
+      from,
+      to
     };
+    edge.status = computeEdgeStatus(edge, state.diagram.nodes);
     
     store.addEdge(edge);
     console.log('Created connection:', edge);
   }
+
+  // Convert a client point to content (unscaled diagram) coordinates
+  toContentPoint(clientX, clientY) {
+    const content = document.getElementById('content');
+    const contentRect = content.getBoundingClientRect();
+    const transform = getComputedStyle(content).transform;
+    let contentScale = 1;
+    if (transform && transform !== 'none') {
+      try { const m = new DOMMatrixReadOnly(transform); contentScale = m.a || 1; } catch (err) { contentScale = 1; }
+    }
+    return {
+      x: (clientX - contentRect.left) / contentScale,
+      y: (clientY - contentRect.top) / contentScale
+    };
+  }
+
+  /**
+   * Let an edge endpoint handle be dragged onto another field to re-attach that end.
+   * The moved end keeps its port side; dropping anywhere but a field (or pressing
+   * Escape) cancels and leaves the edge untouched.
+   * @param {SVGElement} handleEl - Handle at the end being moved
+   * @param {Object} edge - Edge the handle belongs to
+   * @param {'from'|'to'} end - Which end the handle moves
+   * @param {{x: number, y: number}} anchor - Content position of the fixed end
+   */
+  makeEdgeHandleDraggable(handleEl, edge, end, anchor) {
+    const fixedNodeId = (end === 'from' ? edge.to : edge.from).nodeId;
+    const side = edge[end].side || (end === 'from' ? 'out' : 'in');
+    let dragLine = null;
+    let hotPortEl = null;
+
+    // The field row (or node header, for a node-level end) under the cursor, if the moved end may attach there
+    const findTarget = (clientX, clientY) => {
+      const hit = document.elementFromPoint(clientX, clientY);
+      const row = hit?.closest('.variable') || hit?.closest('.node-header');
+      const nodeId = row?.closest('.node')?.dataset.nodeId;
+      if (!row || !nodeId || nodeId === fixedNodeId) return null;
+      return { nodeId, portId: row.dataset.variableId, portEl: row.querySelector(`.variable-port.${side}`) };
+    };
+
+    const finish = (target) => {
+      document.removeEventListener('mousemove', handleMouseMove);
+      document.removeEventListener('mouseup', handleMouseUp);
+      document.removeEventListener('keydown', handleKeyDown);
+      this.isConnecting = false;
+      this.canvasManager.setConnectionState(false);
+
+      document.getElementById('content').classList.remove('connecting');
+      document.querySelectorAll('.variable-port.eligible, .variable-port.ineligible').forEach(p => p.classList.remove('eligible', 'ineligible'));
+      document.querySelectorAll('.variable.eligible-target').forEach(el => el.classList.remove('eligible-target'));
+      document.querySelector(`.edge-group[data-edge-id="${edge.id}"]`)?.classList.remove('reattaching');
+      handleEl.classList.remove('dragging');
+      hotPortEl?.classList.remove('port-hot');
+      hotPortEl = null;
+      dragLine?.remove();
+      dragLine = null;
+
+      const current = store.getEdgeById(edge.id)?.[end];
+      if (!target || !current) return;
+      if (target.nodeId === current.nodeId && target.portId === current.portId) return;
+      const endpoint = { nodeId: target.nodeId };
+      if (target.portId) endpoint.portId = target.portId;
+      endpoint.side = side;
+      commandStack.execute(createReattachEdgeCommand(store, edge.id, end, endpoint));
+    };
+
+    const handleMouseMove = (e) => {
+      const point = this.toContentPoint(e.clientX, e.clientY);
+      dragLine.setAttribute('x2', point.x);
+      dragLine.setAttribute('y2', point.y);
+
+      const portEl = findTarget(e.clientX, e.clientY)?.portEl || null;
+      if (hotPortEl !== portEl) {
+        hotPortEl?.classList.remove('port-hot');
+        hotPortEl = portEl;
+        hotPortEl?.classList.add('port-hot');
+      }
+    };
+
+    const handleMouseUp = (e) => finish(findTarget(e.clientX, e.clientY));
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') finish(null);
+    };
+
+    handleEl.addEventListener('mousedown', (e) => {
+      if (e.button !== 0) return;
+      e.preventDefault();
+      e.stopPropagation();
+
+      this.isConnecting = true;
+      this.canvasManager.setConnectionState(true);
+      handleEl.classList.add('dragging');
+      document.querySelector(`.edge-group[data-edge-id="${edge.id}"]`)?.classList.add('reattaching');
+
+      // Rubber band from the fixed end to the cursor
+      const svg = document.getElementById('edgesOverlay') || document.getElementById('edges');
+      const point = this.toContentPoint(e.clientX, e.clientY);
+      dragLine = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+      dragLine.setAttribute('class', 'temp-connection');
+      dragLine.setAttribute('stroke', '#dc3545');
+      dragLine.setAttribute('stroke-width', '2');
+      dragLine.setAttribute('stroke-dasharray', '6,6');
+      dragLine.setAttribute('x1', anchor.x);
+      dragLine.setAttribute('y1', anchor.y);
+      dragLine.setAttribute('x2', point.x);
+      dragLine.setAttribute('y2', point.y);
+      svg.appendChild(dragLine);
+
+      // Same guidance as a new connection: ports on the fixed node are off limits
+      document.getElementById('content').classList.add('connecting');
+      document.querySelectorAll('.variable-port').forEach(p => {
+        if (p.closest('.node')?.dataset.nodeId === fixedNodeId) {
+          p.classList.add('ineligible');
+        } else if (p.classList.contains(side)) {
+          p.classList.add('eligible');
+          p.closest('.variable')?.classList.add('eligible-target');
+        }
+      });
+
+      document.addEventListener('mousemove', handleMouseMove);
+      document.addEventListener('mouseup', handleMouseUp);
+      document.addEventListener('keydown', handleKeyDown);
+    });
+
+    // Keep clicks on the handle from reaching the edge/canvas below
+    handleEl.addEventListener('click', (e) => e.stopPropagation());
+  }
 }
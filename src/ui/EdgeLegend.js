@@ -0,0 +1,96 @@
+/**
+ * @fileoverview Legend overlay explaining edge flow kinds and cardinality markers
+ */
+
+import { FLOW_KINDS, FLOW_KIND_LABELS, CARDINALITIES } from '../core/types.js';
+import { attachEdgeMarkers, getFlowKind, SVG_NS } from './edgeMarkers.js';
+
+export class EdgeLegend {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.onClose] - Called when the legend's close button is clicked
+   */
+  constructor(options = {}) {
+    this.onClose = options.onClose || null;
+    this.element = null;
+  }
+
+  /**
+   * Show or hide the legend; kinds and cardinalities not used in the diagram are dimmed
+   * @param {Object} state - Store state
+   */
+  render(state) {
+    if (!state.ui.showLegend) {
+      this.element?.classList.add('hidden');
+      return;
+    }
+    if (!this.element) this.build();
+    this.element.classList.remove('hidden');
+
+    const edges = state.diagram.edges;
+    const used = new Set([
+      ...edges.map(edge => getFlowKind(edge)),
+      ...edges.map(edge => edge.cardinality).filter(Boolean)
+    ]);
+    this.element.querySelectorAll('.edge-legend-row').forEach(row => {
+      row.classList.toggle('unused', !used.has(row.dataset.value));
+    });
+  }
+
+  build() {
+    const el = document.createElement('div');
+    el.className = 'edge-legend hidden';
+    el.setAttribute('role', 'region');
+    el.setAttribute('aria-label', 'Connection legend');
+    el.innerHTML = `
+      <div class="edge-legend-header">
+        <span>Connections</span>
+        <button type="button" class="edge-legend-close" title="Hide legend" aria-label="Hide legend">×</button>
+      </div>
+      <div class="edge-legend-section"></div>
+      <div class="edge-legend-header sub">Cardinality (source : target)</div>
+      <div class="edge-legend-section"></div>`;
+
+    const [flows, cardinalities] = el.querySelectorAll('.edge-legend-section');
+    Object.values(FLOW_KINDS).forEach(flowKind => {
+      flows.appendChild(this.createRow(flowKind, FLOW_KIND_LABELS[flowKind], { id: `legend-${flowKind}`, flowKind }));
+    });
+    Object.values(CARDINALITIES).forEach((cardinality, i) => {
+      cardinalities.appendChild(this.createRow(cardinality, cardinality, { id: `legend-card-${i}`, cardinality }));
+    });
+
+    el.querySelector('.edge-legend-close').addEventListener('click', () => {
+      if (this.onClose) this.onClose();
+    });
+
+    document.querySelector('.canvas-wrap').appendChild(el);
+    this.element = el;
+  }
+
+  // One sample line drawn with the same markers and dash pattern as real edges
+  createRow(value, label, sampleEdge) {
+    const row = document.createElement('div');
+    row.className = 'edge-legend-row';
+    row.dataset.value = value;
+
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    svg.setAttribute('width', '56');
+    svg.setAttribute('height', '14');
+    svg.setAttribute('aria-hidden', 'true');
+    const defs = document.createElementNS(SVG_NS, 'defs');
+    const path = document.createElementNS(SVG_NS, 'path');
+    const flowKind = getFlowKind(sampleEdge);
+    path.setAttribute('class', flowKind === FLOW_KINDS.SYNC ? 'edge' : `edge flow-${flowKind}`);
+    path.setAttribute('d', 'M 8 7 L 46 7');
+    svg.appendChild(defs);
+    svg.appendChild(path);
+    attachEdgeMarkers(defs, sampleEdge.id, sampleEdge, path);
+
+    const text = document.createElement('span');
+    text.textContent = label;
+
+    row.appendChild(svg);
+    row.appendChild(text);
+    return row;
+  }
+}
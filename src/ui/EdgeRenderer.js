@@ -3,10 +3,21 @@
  */
 
 import { store } from '../core/store.js';
+import { commandStack, createUpdateEdgeCommand } from '../core/commandStack.js';
+import { EDGE_ROUTING, FLOW_KINDS, FLOW_KIND_LABELS, isNodeLevelEndpoint } from '../core/types.js';
+import { routeOrthogonal, roundedPolylinePath, computeLaneOffsets } from './edgeRouting.js';
+import { attachEdgeMarkers, getFlowKind } from './edgeMarkers.js';
+import { describeEdgeStatus } from '../services/validate.js';
+import { previewEdgeTransform, formatTransformValue } from '../services/transformExpr.js';
+import { analyzeFlow } from '../services/flowAnalysis.js';
+
+const BUNDLE_MIN_EDGES = 2;     // parallel edges needed before they are bundled
+const BUNDLE_FAN_LENGTH = 40;   // horizontal run between a port and its bundle's trunk
 
 export class EdgeRenderer {
-  constructor() {
-    // Edge rendering state
+  constructor(connectionManager) {
+    // Used to make endpoint handles of the selected edge draggable
+    this.connectionManager = connectionManager;
   }
 
   renderEdges(state) {
@@ -14,37 +25,99 @@ export class EdgeRenderer {
     // Clear existing edge groups (but not temp connections)
     const existingEdges = svg.querySelectorAll('.edge-group');
     existingEdges.forEach(edge => edge.remove());
+    document.querySelectorAll('.edge-handle').forEach(handle => handle.remove());
+    // Markers are recreated with their edges (flow kind or cardinality may have changed)
+    svg.querySelectorAll('defs marker').forEach(marker => marker.remove());
+
+    // Orthogonal routing needs every node box (obstacles) and lanes for parallel edges
+    this.orthogonal = state.diagram.edgeRouting === EDGE_ROUTING.ORTHOGONAL;
+    if (this.orthogonal) {
+      this.nodeBoxes = this.collectNodeBoxes(state);
+      this.laneOffsets = computeLaneOffsets(state.diagram.edges);
+    }
+    
+    // Parallel edges between the same two nodes share one trunk unless their bundle is expanded
+    const bundles = state.diagram.edgeBundling ? this.findBundles(state.diagram.edges) : new Map();
     
     state.diagram.edges.forEach(edge => {
-      const edgeElement = this.createEdgeElement(edge, state);
+      const bundle = bundles.get(edge.id);
+      const collapsed = bundle && !state.ui.expandedBundles?.has(bundle.key) ? bundle : null;
+      const edgeElement = this.createEdgeElement(edge, state, collapsed);
       if (edgeElement) {
         svg.appendChild(edgeElement);
+        // Labels measure their text, so they are added once the group is in the DOM.
+        // A collapsed bundle has no line of its own per edge, so its labels wait until it is expanded
+        if (!collapsed) this.addEdgeLabel(edgeElement, edge);
       }
     });
+
+    // Trunks and count badges go on top so the badge stays clickable
+    new Set(bundles.values()).forEach(bundle => {
+      const bundleElement = this.createBundleElement(bundle, state);
+      if (bundleElement) svg.appendChild(bundleElement);
+    });
   }
 
-  createEdgeElement(edge, state) {
+  // Group edges joining the same sides of the same two nodes; returns edge id -> bundle (2+ edges)
+  findBundles(edges) {
+    const groups = new Map();
+    edges.forEach(edge => {
+      const key = `${edge.from.nodeId}:${edge.from.side || 'out'}>${edge.to.nodeId}:${edge.to.side || 'in'}`;
+      if (!groups.has(key)) groups.set(key, { key, edges: [] });
+      groups.get(key).edges.push(edge);
+    });
+
+    const bundles = new Map();
+    groups.forEach(bundle => {
+      if (bundle.edges.length < BUNDLE_MIN_EDGES) return;
+      bundle.edges.forEach(edge => bundles.set(edge.id, bundle));
+    });
+    return bundles;
+  }
+
+  // Nodes, fields and anchor points of an edge, or null when an end is missing
+  resolveEdgeGeometry(edge) {
     const fromNode = store.getNodeById(edge.from.nodeId);
     const toNode = store.getNodeById(edge.to.nodeId);
     
     if (!fromNode || !toNode) return null;
     
-    // Find the variables to get their positions within the node
+    // Find the variables to get their positions within the node (none for node-level ends)
     const fromVariable = fromNode.variables.find(v => v.id === edge.from.portId);
     const toVariable = toNode.variables.find(v => v.id === edge.to.portId);
     
-    if (!fromVariable || !toVariable) return null;
+    if ((!fromVariable && !isNodeLevelEndpoint(edge.from)) || (!toVariable && !isNodeLevelEndpoint(edge.to))) return null;
     
     // Compute anchors using actual DOM variable rows when available
-const { fromX, fromY, toX, toY } = this.calculateEdgePositions(edge, fromVariable, toVariable, fromNode, toNode);
+    const positions = fromVariable && toVariable
+      ? this.calculateEdgePositions(edge, fromVariable, toVariable, fromNode, toNode)
+      : this.calculateMixedEdgePositions(edge, fromNode, toNode);
+    return { fromNode, toNode, fromVariable, toVariable, ...positions };
+  }
+
+  createEdgeElement(edge, state, bundle = null) {
+    const geometry = this.resolveEdgeGeometry(edge);
+    if (!geometry) return null;
+    const { fromVariable, toVariable, fromX, fromY, toX, toY } = geometry;
     
     // Create a group to hold both the visual path and the hit area
     const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
     g.setAttribute('class', 'edge-group');
     g.dataset.edgeId = edge.id;
+    const lineage = store.getLineageDepth(edge.id);
+    if (lineage) g.classList.add('in-lineage', `lineage-${lineage.direction}`);
+    if (state.ui.showFlowAnalysis && analyzeFlow(state.diagram).cycleEdgeIds.has(edge.id)) g.classList.add('in-cycle');
     
-    // Generate the path data using the improved routing algorithm
-const pathData = this.generateEdgePath(fromX, fromY, toX, toY, edge, fromVariable, toVariable);
+    // Bundled edges only draw their fan-out pieces; the shared trunk is drawn once per bundle
+    const trunk = bundle && this.getBundleTrunk(bundle);
+    let pathData;
+    if (trunk) {
+      g.classList.add('bundled');
+      pathData = this.generateFanPath(fromX, fromY, toX, toY, trunk);
+    } else {
+      // Generate the path data using the improved routing algorithm
+      pathData = this.generateEdgePath(fromX, fromY, toX, toY, edge, fromVariable, toVariable);
+    }
     
     // Create invisible hit area path (wider stroke for easier clicking)
     const hitPath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
@@ -65,9 +138,16 @@ const pathData = this.generateEdgePath(fromX, fromY, toX, toY, edge, fromVariabl
     visiblePath.style.pointerEvents = 'none'; // Let hit area handle clicks
     
     // Add arrowhead
-    this.addArrowhead(visiblePath, edge.id);
+    this.addArrowhead(visiblePath, edge);
+    
+    // Hover tooltip explaining the compatibility status (and the transform's sample result)
+    const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+    title.textContent = [this.describeFlow(edge), describeEdgeStatus(edge, state.diagram.nodes), this.describeTransform(edge, state)]
+      .filter(Boolean)
+      .join('\n');
     
     // Add paths to group (hit area first, then visible)
+    g.appendChild(title);
     g.appendChild(hitPath);
     g.appendChild(visiblePath);
     
@@ -78,9 +158,10 @@ const pathData = this.generateEdgePath(fromX, fromY, toX, toY, edge, fromVariabl
       store.setSelection('edge', edge.id);
     });
     
-  // Add selection styling
+  // Add selection styling, plus endpoint handles for re-attaching
   if (state.selection.type === 'edge' && state.selection.ids.includes(edge.id)) {
     visiblePath.classList.add('selected');
+    this.addEdgeHandles(edge, { x: fromX, y: fromY }, { x: toX, y: toY });
   }
 
   // Hover highlight styling (used as reference for variable-related highlighting)
@@ -95,6 +176,128 @@ const pathData = this.generateEdgePath(fromX, fromY, toX, toY, edge, fromVariabl
   return g;
   }
 
+  // Trunk end points of a bundle, a short way out from the ports on both nodes (cached per render)
+  getBundleTrunk(bundle) {
+    if (bundle.trunk !== undefined) return bundle.trunk;
+    const ends = bundle.edges.map(edge => this.resolveEdgeGeometry(edge)).filter(Boolean);
+    if (ends.length < BUNDLE_MIN_EDGES) {
+      bundle.trunk = null;
+      return null;
+    }
+
+    const first = bundle.edges[0];
+    const fromDir = (first.from.side || 'out') === 'in' ? -1 : 1;
+    const toDir = (first.to.side || 'in') === 'in' ? -1 : 1;
+    const outermost = (xs, dir) => (dir > 0 ? Math.max(...xs) : Math.min(...xs));
+    const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+    bundle.trunk = {
+      from: {
+        x: outermost(ends.map(end => end.fromX), fromDir) + fromDir * BUNDLE_FAN_LENGTH,
+        y: average(ends.map(end => end.fromY))
+      },
+      to: {
+        x: outermost(ends.map(end => end.toX), toDir) + toDir * BUNDLE_FAN_LENGTH,
+        y: average(ends.map(end => end.toY))
+      },
+      fromDir,
+      toDir
+    };
+    return bundle.trunk;
+  }
+
+  // Two curves: source port -> trunk start and trunk end -> target port (ends with the arrowhead)
+  generateFanPath(fromX, fromY, toX, toY, trunk) {
+    const bend = BUNDLE_FAN_LENGTH / 2;
+    const { from, to, fromDir, toDir } = trunk;
+    if (this.orthogonal) {
+      const fromMid = fromX + fromDir * bend;
+      const toMid = toX + toDir * bend;
+      return `${roundedPolylinePath([{ x: fromX, y: fromY }, { x: fromMid, y: fromY }, { x: fromMid, y: from.y }, from], 4)} ` +
+        roundedPolylinePath([to, { x: toMid, y: to.y }, { x: toMid, y: toY }, { x: toX, y: toY }], 4);
+    }
+    return `M ${fromX} ${fromY} C ${fromX + fromDir * bend} ${fromY}, ${from.x - fromDir * bend} ${from.y}, ${from.x} ${from.y} ` +
+      `M ${to.x} ${to.y} C ${to.x - toDir * bend} ${to.y}, ${toX + toDir * bend} ${toY}, ${toX} ${toY}`;
+  }
+
+  // Thick trunk for a collapsed bundle plus a count badge that expands/collapses it
+  createBundleElement(bundle, state) {
+    const trunk = this.getBundleTrunk(bundle);
+    if (!trunk) return null;
+    const expanded = !!state.ui.expandedBundles?.has(bundle.key);
+    const count = bundle.edges.length;
+
+    const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    g.setAttribute('class', `edge-group edge-bundle${expanded ? ' expanded' : ''}`);
+    g.dataset.bundleKey = bundle.key;
+    if (bundle.edges.some(edge => store.isInLineageHighlight(edge.id))) g.classList.add('in-lineage');
+    if (state.ui.showFlowAnalysis && bundle.edges.some(edge => analyzeFlow(state.diagram).cycleEdgeIds.has(edge.id))) {
+      g.classList.add('in-cycle');
+    }
+
+    // The trunk is routed like a single edge leaving/entering the bundle's sides
+    const trunkEdge = { from: bundle.edges[0].from, to: bundle.edges[0].to };
+    const trunkPath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    trunkPath.setAttribute('d', this.generateEdgePath(trunk.from.x, trunk.from.y, trunk.to.x, trunk.to.y, trunkEdge, null, null));
+    trunkPath.setAttribute('fill', 'none');
+    trunkPath.style.pointerEvents = 'none';
+    if (expanded) {
+      // Measured for the badge position only
+      trunkPath.setAttribute('visibility', 'hidden');
+    } else {
+      // Worst status wins, so a single incompatible field is still visible
+      const statuses = bundle.edges.map(edge => edge.status || 'ok');
+      const status = ['error', 'warn'].find(s => statuses.includes(s)) || 'ok';
+      trunkPath.setAttribute('class', `edge edge-bundle-trunk ${status}`);
+      trunkPath.style.strokeWidth = `${2 + Math.min(count, 12) * 0.5}px`;
+      const selected = state.selection.type === 'edge' && bundle.edges.some(edge => state.selection.ids.includes(edge.id));
+      if (selected) trunkPath.classList.add('selected');
+    }
+    g.appendChild(trunkPath);
+
+    const length = trunkPath.getTotalLength();
+    const mid = length > 0 ? trunkPath.getPointAtLength(length / 2) : trunk.from;
+
+    const badge = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    badge.setAttribute('class', 'edge-bundle-badge');
+    badge.dataset.x = mid.x;
+    badge.dataset.y = mid.y;
+    badge.setAttribute('transform', `translate(${mid.x} ${mid.y}) scale(${this.getLabelScale()})`);
+    badge.style.pointerEvents = 'all';
+    badge.style.cursor = 'pointer';
+
+    // Inline colors so PNG export keeps them
+    const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+    circle.setAttribute('r', '10');
+    circle.setAttribute('fill', expanded ? '#ffffff' : '#007acc');
+    circle.setAttribute('stroke', '#007acc');
+    circle.setAttribute('stroke-width', '1.5');
+
+    const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+    text.setAttribute('fill', expanded ? '#007acc' : '#ffffff');
+    text.setAttribute('font-size', '10');
+    text.setAttribute('font-weight', '600');
+    text.setAttribute('font-family', 'system-ui, -apple-system, Segoe UI, Roboto, sans-serif');
+    text.setAttribute('text-anchor', 'middle');
+    text.setAttribute('dominant-baseline', 'central');
+    text.textContent = String(count);
+
+    const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+    title.textContent = expanded
+      ? `${count} connections - click to bundle them again`
+      : `${count} connections - click to show them individually`;
+
+    badge.appendChild(title);
+    badge.appendChild(circle);
+    badge.appendChild(text);
+    badge.addEventListener('click', (e) => {
+      e.stopPropagation();
+      store.toggleBundleExpanded(bundle.key);
+    });
+    g.appendChild(badge);
+    return g;
+  }
+
 calculateEdgePositions(edge, fromVariable, toVariable, fromNode, toNode) {
     const content = document.getElementById('content');
     const contentRect = content.getBoundingClientRect();
@@ -225,6 +428,45 @@ calculateEdgePositions(edge, fromVariable, toVariable, fromNode, toNode) {
     return { fromX, fromY, toX, toY };
   }
 
+  // Anchors for edges with a node-level end: node border at the header port for node-level
+  // ends, node border at the field's port otherwise
+  calculateMixedEdgePositions(edge, fromNode, toNode) {
+    const contentRect = document.getElementById('content').getBoundingClientRect();
+    const contentScale = this.getContentScale();
+    const marginUnits = 1 / contentScale; // keep the arrow just outside the node
+
+    const anchor = (endpoint, node, defaultSide) => {
+      const side = endpoint.side || defaultSide;
+      const nodeEl = document.querySelector(`.node[data-node-id="${node.id}"]`);
+      const portEl = isNodeLevelEndpoint(endpoint)
+        ? nodeEl?.querySelector(`.node-port.${side}`)
+        : document.querySelector(`.variable[data-variable-id="${endpoint.portId}"] .variable-port.${side}`);
+
+      if (nodeEl && portEl) {
+        const nodeRect = nodeEl.getBoundingClientRect();
+        const portRect = portEl.getBoundingClientRect();
+        return {
+          x: side === 'in'
+            ? (nodeRect.left - contentRect.left) / contentScale - marginUnits
+            : (nodeRect.right - contentRect.left) / contentScale + marginUnits,
+          y: (portRect.top + portRect.height / 2 - contentRect.top) / contentScale
+        };
+      }
+
+      // Fallback to approximate positions from the node's data
+      const width = nodeEl ? nodeEl.getBoundingClientRect().width / contentScale : (node.width || 200);
+      const index = node.variables.findIndex(v => v.id === endpoint.portId);
+      return {
+        x: node.position.x + (side === 'in' ? 0 : width),
+        y: index >= 0 ? node.position.y + 30 + index * 25 + 12.5 : node.position.y + 15
+      };
+    };
+
+    const from = anchor(edge.from, fromNode, 'out');
+    const to = anchor(edge.to, toNode, 'in');
+    return { fromX: from.x, fromY: from.y, toX: to.x, toY: to.y };
+  }
+
   generateEdgePath(fromX, fromY, toX, toY, edge, fromVariable, toVariable) {
     // Prefer persisted sides from the edge object (exact user-selected ports)
     let fromSide = edge?.from?.side ? (edge.from.side === 'in' ? 'left' : 'right') : 'right';
@@ -233,8 +475,8 @@ calculateEdgePositions(edge, fromVariable, toVariable, fromNode, toNode) {
     // Also look up port elements using those sides for geometry fallback/refinement
     const selFromSide = edge?.from?.side || 'out';
     const selToSide = edge?.to?.side || 'in';
-    const fromPortEl = document.querySelector(`.variable[data-variable-id="${fromVariable.id}"] .variable-port.${selFromSide}`);
-    const toPortEl = document.querySelector(`.variable[data-variable-id="${toVariable.id}"] .variable-port.${selToSide}`);
+    const fromPortEl = fromVariable && document.querySelector(`.variable[data-variable-id="${fromVariable.id}"] .variable-port.${selFromSide}`);
+    const toPortEl = toVariable && document.querySelector(`.variable[data-variable-id="${toVariable.id}"] .variable-port.${selToSide}`);
     
     if ((!edge?.from?.side || !edge?.to?.side) && fromPortEl && toPortEl) {
       // Determine sides based on port classes and positions (fallback)
@@ -256,6 +498,16 @@ calculateEdgePositions(edge, fromVariable, toVariable, fromNode, toNode) {
       }
     }
     
+    if (this.orthogonal) {
+      const points = routeOrthogonal(
+        { x: fromX, y: fromY }, fromSide,
+        { x: toX, y: toY }, toSide,
+        this.nodeBoxes || [],
+        this.laneOffsets?.get(edge.id) || 0
+      );
+      return roundedPolylinePath(points);
+    }
+
     // SMOOTH SINGLE-BEZIER ROUTING (no sharp joins)
     const dx = toX - fromX;
     const dy = toY - fromY;
@@ -287,26 +539,241 @@ calculateEdgePositions(edge, fromVariable, toVariable, fromNode, toNode) {
     return pathData;
   }
 
-  addArrowhead(visiblePath, edgeId) {
-    const arrowId = `arrow-${edgeId}`;
+  // Node boxes in content coordinates, measured from the DOM when rendered
+  collectNodeBoxes(state) {
+    const contentRect = document.getElementById('content').getBoundingClientRect();
+    const contentScale = this.getContentScale();
+
+    return state.diagram.nodes.map(node => {
+      const nodeEl = document.querySelector(`.node[data-node-id="${node.id}"]`);
+      if (nodeEl) {
+        const rect = nodeEl.getBoundingClientRect();
+        return {
+          left: (rect.left - contentRect.left) / contentScale,
+          top: (rect.top - contentRect.top) / contentScale,
+          right: (rect.right - contentRect.left) / contentScale,
+          bottom: (rect.bottom - contentRect.top) / contentScale
+        };
+      }
+      // Fallback: approximate size from the node's data
+      const width = node.width || 200;
+      const height = 30 + node.variables.length * 25;
+      return {
+        left: node.position.x,
+        top: node.position.y,
+        right: node.position.x + width,
+        bottom: node.position.y + height
+      };
+    });
+  }
+
+  // e.g. "Async event · 1:N"; empty for a plain sync edge without cardinality
+  describeFlow(edge) {
+    const flowKind = getFlowKind(edge);
+    return [flowKind !== FLOW_KINDS.SYNC && FLOW_KIND_LABELS[flowKind], edge.cardinality]
+      .filter(Boolean)
+      .join(' · ');
+  }
+
+  describeTransform(edge, state) {
+    const preview = previewEdgeTransform(edge, state.diagram.nodes);
+    if (!preview) return '';
+    let outcome = '';
+    if (preview.error || (!preview.hasOutput && preview.problems.length > 0)) {
+      outcome = ` (${preview.error || preview.problems[0].message})`;
+    } else if (preview.hasOutput) {
+      outcome = ` → ${formatTransformValue(preview.output)}`;
+    }
+    return `Transform: ${preview.expression}${outcome}`;
+  }
+
+  addEdgeHandles(edge, fromPoint, toPoint) {
+    // Handles sit in the overlay so they stay grabbable where edges meet nodes
+    const svg = document.getElementById('edgesOverlay') || document.getElementById('edges');
+    [['from', fromPoint, toPoint], ['to', toPoint, fromPoint]].forEach(([end, point, anchor]) => {
+      const handle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+      handle.setAttribute('class', 'edge-handle selected');
+      handle.setAttribute('cx', point.x);
+      handle.setAttribute('cy', point.y);
+      handle.setAttribute('r', '6');
+      handle.dataset.edgeId = edge.id;
+      handle.dataset.end = end;
+
+      const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+      title.textContent = 'Drag onto another field to re-attach';
+      handle.appendChild(title);
+
+      this.connectionManager?.makeEdgeHandleDraggable(handle, edge, end, anchor);
+      svg.appendChild(handle);
+    });
+  }
+
+  getContentScale() {
+    const transform = getComputedStyle(document.getElementById('content')).transform;
+    if (!transform || transform === 'none') return 1;
+    try {
+      return new DOMMatrixReadOnly(transform).a || 1;
+    } catch (err) {
+      return 1;
+    }
+  }
+
+  // Labels keep their on-screen size when zoomed out, and grow with the canvas when zoomed in
+  getLabelScale(contentScale = this.getContentScale()) {
+    return 1 / Math.min(contentScale, 1);
+  }
+
+  updateLabelScale(contentScale) {
+    const scale = this.getLabelScale(contentScale);
+    document.querySelectorAll('#edges .edge-label, #edges .edge-bundle-badge').forEach(label => {
+      label.setAttribute('transform', `translate(${label.dataset.x} ${label.dataset.y}) scale(${scale})`);
+    });
+  }
+
+  addEdgeLabel(group, edge) {
+    const firstLine = (text) => String(text).split(/\r?\n/)[0].trim();
+    const fullText = [edge.label, edge.transform].filter(Boolean).map(firstLine).join(' · ');
+    if (!fullText) return;
+    const shortText = fullText.length > 40 ? `${fullText.slice(0, 39)}…` : fullText;
+
+    const path = group.querySelector('path.edge');
+    const label = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    label.setAttribute('class', 'edge-label');
+    label.dataset.edgeId = edge.id;
+    label.style.pointerEvents = 'all';
+
+    // Colors are set as attributes too, so PNG export (which rasterizes the SVG) keeps them
+    const pill = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+    pill.setAttribute('class', 'edge-label-pill');
+    pill.setAttribute('fill', '#ffffff');
+    pill.setAttribute('stroke', '#8a8a8a');
+    pill.setAttribute('stroke-width', '1');
+
+    const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+    text.setAttribute('class', 'edge-label-text');
+    text.setAttribute('fill', '#333333');
+    text.setAttribute('font-size', '11');
+    text.setAttribute('font-family', 'system-ui, -apple-system, Segoe UI, Roboto, sans-serif');
+    text.setAttribute('text-anchor', 'middle');
+    text.setAttribute('dominant-baseline', 'central');
+    text.textContent = shortText;
+
+    const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+    title.textContent = [edge.label, this.describeTransform(edge, store.getState())].filter(Boolean).join('\n');
+
+    label.appendChild(title);
+    label.appendChild(pill);
+    label.appendChild(text);
+    group.appendChild(label);
+
+    const height = 18;
+    const width = Math.ceil(text.getComputedTextLength()) + 14;
+    pill.setAttribute('x', -width / 2);
+    pill.setAttribute('y', -height / 2);
+    pill.setAttribute('width', width);
+    pill.setAttribute('height', height);
+    pill.setAttribute('rx', height / 2);
+
+    this.positionEdgeLabel(label, path, edge.labelPosition ?? 0.5);
+    this.makeLabelDraggable(label, path, edge);
+  }
+
+  positionEdgeLabel(label, path, t) {
+    const point = path.getPointAtLength(path.getTotalLength() * Math.max(0, Math.min(1, t)));
+    label.dataset.x = point.x;
+    label.dataset.y = point.y;
+    label.setAttribute('transform', `translate(${point.x} ${point.y}) scale(${this.getLabelScale()})`);
+  }
+
+  // Fraction along the path closest to a content point (coarse samples, then refined)
+  nearestPathFraction(path, x, y) {
+    const total = path.getTotalLength();
+    if (!total) return 0.5;
+    const distanceAt = (length) => {
+      const p = path.getPointAtLength(length);
+      return Math.hypot(p.x - x, p.y - y);
+    };
+    const samples = 48;
+    let best = 0;
+    let bestDistance = Infinity;
+    for (let i = 0; i <= samples; i++) {
+      const d = distanceAt((total * i) / samples);
+      if (d < bestDistance) {
+        bestDistance = d;
+        best = (total * i) / samples;
+      }
+    }
+    for (let step = total / samples / 2; step > 0.5; step /= 2) {
+      [best - step, best + step].forEach(length => {
+        if (length < 0 || length > total) return;
+        const d = distanceAt(length);
+        if (d < bestDistance) {
+          bestDistance = d;
+          best = length;
+        }
+      });
+    }
+    return best / total;
+  }
+
+  makeLabelDraggable(label, path, edge) {
+    label.addEventListener('mousedown', (e) => {
+      if (e.button !== 0) return;
+      e.preventDefault();
+      e.stopPropagation();
+
+      const contentRect = document.getElementById('content').getBoundingClientRect();
+      const contentScale = this.getContentScale();
+      const startX = e.clientX;
+      const startY = e.clientY;
+      let position = edge.labelPosition ?? 0.5;
+      let moved = false;
+      label.classList.add('dragging');
+
+      const handleMouseMove = (ev) => {
+        moved = moved || Math.hypot(ev.clientX - startX, ev.clientY - startY) > 3;
+        if (!moved) return;
+        position = this.nearestPathFraction(
+          path,
+          (ev.clientX - contentRect.left) / contentScale,
+          (ev.clientY - contentRect.top) / contentScale
+        );
+        this.positionEdgeLabel(label, path, position);
+      };
+
+      const handleMouseUp = () => {
+        document.removeEventListener('mousemove', handleMouseMove);
+        document.removeEventListener('mouseup', handleMouseUp);
+        label.classList.remove('dragging');
+
+        // A click selects the edge; a drag stores the new position (undoable)
+        if (!moved) {
+          store.setSelection('edge', edge.id);
+          return;
+        }
+        const current = store.getEdgeById(edge.id);
+        if (!current) return;
+        const rounded = Math.round(position * 1000) / 1000;
+        commandStack.execute(createUpdateEdgeCommand(
+          store, edge.id, { labelPosition: rounded }, { labelPosition: current.labelPosition }
+        ));
+      };
+
+      document.addEventListener('mousemove', handleMouseMove);
+      document.addEventListener('mouseup', handleMouseUp);
+    });
+
+    // The group's click handler would re-select on every drag end
+    label.addEventListener('click', (e) => e.stopPropagation());
+  }
+
+  // Arrowhead and dash pattern by flow kind, plus cardinality glyphs at both ends
+  addArrowhead(visiblePath, edge) {
     const svg = document.getElementById('edges');
     const defs = svg.querySelector('defs') || svg.appendChild(document.createElementNS('http://www.w3.org/2000/svg', 'defs'));
     
-    const marker = document.createElementNS('http://www.w3.org/2000/svg', 'marker');
-    marker.setAttribute('id', arrowId);
-    marker.setAttribute('viewBox', '0 0 10 10');
-    marker.setAttribute('refX', '9');
-    marker.setAttribute('refY', '3');
-    marker.setAttribute('markerWidth', '6');
-    marker.setAttribute('markerHeight', '6');
-    marker.setAttribute('orient', 'auto');
-    
-    const arrowPath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-    arrowPath.setAttribute('d', 'M0,0 L0,6 L9,3 z');
-    arrowPath.setAttribute('class', 'edge-arrow');
-    marker.appendChild(arrowPath);
-    defs.appendChild(marker);
-    
-    visiblePath.setAttribute('marker-end', `url(#${arrowId})`);
+    const flowKind = getFlowKind(edge);
+    if (flowKind !== FLOW_KINDS.SYNC) visiblePath.classList.add(`flow-${flowKind}`);
+    attachEdgeMarkers(defs, `arrow-${edge.id}`, edge, visiblePath);
   }
 }
@@ -0,0 +1,129 @@
+/**
+ * @fileoverview Impact report shown before a connected field is deleted, renamed or retyped
+ */
+
+import {
+  IMPACT_CHANGES,
+  IMPACT_EFFECT_LABELS,
+  describeFieldChange,
+  summarizeImpact,
+  downloadImpactMarkdown
+} from '../services/impact.js';
+import { escapeHtml } from './html.js';
+
+const CONFIRM_LABELS = {
+  [IMPACT_CHANGES.DELETE]: 'Delete field',
+  [IMPACT_CHANGES.RENAME]: 'Rename field',
+  [IMPACT_CHANGES.RETYPE]: 'Change type'
+};
+
+export class ImpactDialog {
+  constructor() {
+    this.element = null;
+    this.report = null;
+    this.onConfirm = null;
+    this.onCancel = null;
+    this.returnFocusEl = null;
+  }
+
+  /**
+   * Show a report and wait for the user's decision
+   * @param {Object} report - Report from analyzeFieldChange
+   * @param {Object} handlers
+   * @param {Function} handlers.onConfirm - Applies the change
+   * @param {Function} [handlers.onCancel] - Called when the change is abandoned
+   */
+  open(report, { onConfirm, onCancel = null }) {
+    if (!this.element) this.build();
+    this.report = report;
+    this.onConfirm = onConfirm;
+    this.onCancel = onCancel;
+    this.returnFocusEl = document.activeElement;
+    this.renderReport();
+    this.element.classList.remove('hidden');
+    this.element.querySelector('.impact-cancel-btn')?.focus();
+  }
+
+  close(confirmed) {
+    if (!this.element || this.element.classList.contains('hidden')) return;
+    this.element.classList.add('hidden');
+    const callback = confirmed ? this.onConfirm : this.onCancel;
+    this.report = null;
+    this.onConfirm = null;
+    this.onCancel = null;
+    if (this.returnFocusEl && typeof this.returnFocusEl.focus === 'function') {
+      this.returnFocusEl.focus();
+    }
+    if (callback) callback();
+  }
+
+  build() {
+    const el = document.createElement('div');
+    el.className = 'import-dialog impact-dialog hidden';
+    el.setAttribute('role', 'dialog');
+    el.setAttribute('aria-modal', 'true');
+    el.setAttribute('aria-labelledby', 'impactDialogTitle');
+    el.innerHTML = `
+      <div class="dialog-overlay">
+        <div class="dialog-content" role="document">
+          <h3 id="impactDialogTitle">Impact</h3>
+          <p class="impact-summary"></p>
+          <table class="impact-table">
+            <thead>
+              <tr><th>Effect</th><th>Hops</th><th>Node</th><th>Field</th><th>Detail</th></tr>
+            </thead>
+            <tbody></tbody>
+          </table>
+          <div class="dialog-actions">
+            <button type="button" class="impact-export-btn" title="Download this report as Markdown for a change review">Export Markdown</button>
+            <span class="dialog-actions-spacer"></span>
+            <button type="button" class="impact-cancel-btn">Cancel</button>
+            <button type="button" class="impact-confirm-btn primary">Apply</button>
+          </div>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(el);
+    this.element = el;
+
+    el.querySelector('.impact-export-btn').addEventListener('click', () => downloadImpactMarkdown(this.report));
+    el.querySelector('.impact-cancel-btn').addEventListener('click', () => this.close(false));
+    el.querySelector('.impact-confirm-btn').addEventListener('click', () => this.close(true));
+
+    // Close on overlay click
+    el.addEventListener('click', (e) => {
+      if (e.target === el || e.target.classList.contains('dialog-overlay')) {
+        this.close(false);
+      }
+    });
+
+    // Close on ESC
+    el.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        this.close(false);
+      }
+    });
+  }
+
+  renderReport() {
+    const report = this.report;
+    this.element.querySelector('#impactDialogTitle').textContent = describeFieldChange(report);
+    this.element.querySelector('.impact-summary').textContent = `${summarizeImpact(report)}.`;
+    this.element.querySelector('.impact-table tbody').innerHTML = report.entries.map(entry => `
+      <tr class="impact-row ${entry.effect}">
+        <td><span class="impact-effect ${entry.effect}">${escapeHtml(IMPACT_EFFECT_LABELS[entry.effect])}</span></td>
+        <td>${entry.direction === 'upstream' ? '↑' : '↓'}${entry.depth}</td>
+        <td>${entry.node ? escapeHtml(entry.node.title) : '<em>missing node</em>'}</td>
+        <td>${entry.variable ? `${escapeHtml(entry.variable.name)} <span class="edge-endpoint-type">${escapeHtml(entry.variable.dataType)}</span>` : '<em>whole node</em>'}</td>
+        <td>${escapeHtml(entry.detail)}</td>
+      </tr>
+    `).join('');
+
+    const confirmBtn = this.element.querySelector('.impact-confirm-btn');
+    confirmBtn.textContent = CONFIRM_LABELS[report.change.type];
+    const isDelete = report.change.type === IMPACT_CHANGES.DELETE;
+    confirmBtn.classList.toggle('primary', !isDelete);
+    confirmBtn.classList.toggle('danger', isDelete);
+  }
+}
@@ -0,0 +1,340 @@
+/**
+ * @fileoverview Paste/upload dialog for schema importers (SQL DDL, JSON samples, OpenAPI, JSON Schema, GraphQL, Protobuf, Avro)
+ */
+
+import { importPostgresDdl } from '../services/sqlImport.js';
+import { importApiFromJsonSample } from '../services/apiImport.js';
+import { importOpenApi } from '../services/openApiImport.js';
+import { importJsonSchema } from '../services/jsonSchema.js';
+import { importGraphqlSdl } from '../services/graphqlImport.js';
+import { importProtobuf } from '../services/protobufImport.js';
+import { importAvro } from '../services/avroImport.js';
+import { store } from '../core/store.js';
+import { NODE_KINDS, NODE_KIND_LABELS, normalizeNodeKind } from '../core/types.js';
+
+// Targets for field imports: a new node of any kind, or an existing node to refresh
+const nodeTargetOptions = () => [
+  ...Object.values(NODE_KINDS).map(kind => ({ value: `new:${kind}`, label: `New ${NODE_KIND_LABELS[kind]} node` })),
+  ...store.getState().diagram.nodes.map(node => ({
+    value: node.id,
+    label: `Refresh ${NODE_KIND_LABELS[normalizeNodeKind(node.kind)]}: ${node.title}`
+  }))
+];
+
+/**
+ * Import formats shown in the dialog. Each format lists its input fields and a
+ * run(values) function returning { nodes, edges, warnings } or throwing on bad input.
+ * Select fields take options (an array or a function) of { value, label }.
+ */
+const IMPORT_FORMATS = [
+  {
+    id: 'postgres',
+    label: 'Postgres DDL (CREATE TABLE)',
+    accept: '.sql,.ddl,.txt',
+    fields: [
+      {
+        id: 'text',
+        label: 'CREATE TABLE statements or pg_dump --schema-only output:',
+        type: 'textarea',
+        rows: 14,
+        placeholder: 'CREATE TABLE users (\n  id uuid PRIMARY KEY,\n  email text NOT NULL\n);'
+      }
+    ],
+    run: (values) => importPostgresDdl(values.text)
+  },
+  {
+    id: 'json-sample',
+    label: 'API from JSON sample',
+    fields: [
+      {
+        id: 'endpoint',
+        label: 'Endpoint:',
+        type: 'text',
+        placeholder: 'POST /api/users'
+      },
+      {
+        id: 'request',
+        label: 'Request body (JSON, optional):',
+        type: 'textarea',
+        rows: 6,
+        placeholder: '{ "email": "ada@example.com" }'
+      },
+      {
+        id: 'response',
+        label: 'Response body (JSON, optional):',
+        type: 'textarea',
+        rows: 8,
+        placeholder: '{ "id": "6f1c…", "email": "ada@example.com", "created_at": "2024-01-01T00:00:00Z" }'
+      }
+    ],
+    run: (values) => importApiFromJsonSample(values.endpoint, values.request, values.response)
+  },
+  {
+    id: 'openapi',
+    label: 'OpenAPI 3 / Swagger (JSON or YAML)',
+    accept: '.json,.yaml,.yml',
+    fields: [
+      {
+        id: 'spec',
+        label: 'OpenAPI document (re-importing updates existing API nodes):',
+        type: 'textarea',
+        rows: 14,
+        placeholder: 'openapi: 3.0.0\npaths:\n  /users/{id}:\n    get:\n      ...'
+      }
+    ],
+    run: (values) => importOpenApi(values.spec)
+  },
+  {
+    id: 'json-schema',
+    label: 'JSON Schema (node fields)',
+    accept: '.json,.schema.json,.yaml,.yml',
+    fields: [
+      {
+        id: 'target',
+        label: 'Into:',
+        type: 'select',
+        options: nodeTargetOptions
+      },
+      {
+        id: 'schema',
+        label: 'JSON Schema (nested objects become dot-notation fields):',
+        type: 'textarea',
+        rows: 14,
+        placeholder: '{\n  "title": "User",\n  "type": "object",\n  "properties": {\n    "email": { "type": "string", "description": "Login email" }\n  }\n}'
+      }
+    ],
+    run: (values) => importJsonSchema(values.schema, values.target)
+  },
+  {
+    id: 'graphql',
+    label: 'GraphQL SDL',
+    accept: '.graphql,.graphqls,.gql,.txt',
+    fields: [
+      {
+        id: 'sdl',
+        label: 'GraphQL schema (each type/input becomes a node):',
+        type: 'textarea',
+        rows: 14,
+        placeholder: 'type User {\n  id: ID!\n  name: String\n  posts: [Post!]!\n}'
+      }
+    ],
+    run: (values) => importGraphqlSdl(values.sdl)
+  },
+  {
+    id: 'protobuf',
+    label: 'Protobuf (.proto)',
+    accept: '.proto,.txt',
+    fields: [
+      {
+        id: 'proto',
+        label: 'Proto file (each message becomes a node; message-typed fields link to it):',
+        type: 'textarea',
+        rows: 14,
+        placeholder: 'syntax = "proto3";\n\nmessage OrderPlaced {\n  string order_id = 1;\n  repeated Item items = 2;\n}'
+      }
+    ],
+    run: (values) => importProtobuf(values.proto)
+  },
+  {
+    id: 'avro',
+    label: 'Avro schema (.avsc)',
+    accept: '.avsc,.avpr,.json',
+    fields: [
+      {
+        id: 'avsc',
+        label: 'Avro schema JSON (each record becomes a node; record-typed fields link to it):',
+        type: 'textarea',
+        rows: 14,
+        placeholder: '{\n  "type": "record",\n  "name": "OrderPlaced",\n  "fields": [{ "name": "order_id", "type": "string" }]\n}'
+      }
+    ],
+    run: (values) => importAvro(values.avsc)
+  }
+];
+
+export class ImportDialog {
+  constructor(formats = IMPORT_FORMATS) {
+    this.formats = formats;
+    this.element = null;
+    this.currentFormat = formats[0];
+    this.returnFocusEl = null;
+  }
+
+  /**
+   * Open the dialog, optionally preselecting a format and field values
+   * @param {string} [formatId] - Format to show
+   * @param {Object} [values] - Initial field values by field id
+   */
+  open(formatId, values = {}) {
+    if (!this.element) this.build();
+    const format = this.formats.find(f => f.id === formatId) || this.currentFormat;
+    this.returnFocusEl = document.activeElement;
+    this.selectFormat(format.id);
+    Object.entries(values).forEach(([fieldId, value]) => {
+      const input = this.element.querySelector(`.import-fields [data-field-id="${fieldId}"]`);
+      if (input) input.value = value;
+    });
+    this.setStatus('');
+    this.element.classList.remove('hidden');
+    this.element.querySelector('.import-fields textarea, .import-fields input')?.focus();
+  }
+
+  close() {
+    if (!this.element) return;
+    this.element.classList.add('hidden');
+    if (this.returnFocusEl && typeof this.returnFocusEl.focus === 'function') {
+      this.returnFocusEl.focus();
+    }
+  }
+
+  build() {
+    const el = document.createElement('div');
+    el.className = 'import-dialog hidden';
+    el.setAttribute('role', 'dialog');
+    el.setAttribute('aria-modal', 'true');
+    el.setAttribute('aria-labelledby', 'importDialogTitle');
+    el.innerHTML = `
+      <div class="dialog-overlay">
+        <div class="dialog-content" role="document">
+          <h3 id="importDialogTitle">Import schema</h3>
+          <div class="form-group import-format-group">
+            <label for="importFormat">Format:</label>
+            <select id="importFormat">
+              ${this.formats.map(f => `<option value="${f.id}">${f.label}</option>`).join('')}
+            </select>
+          </div>
+          <div class="import-fields"></div>
+          <div class="import-status" role="status"></div>
+          <div class="dialog-actions">
+            <button type="button" class="import-file-btn">Load file…</button>
+            <span class="dialog-actions-spacer"></span>
+            <button type="button" class="import-cancel-btn">Cancel</button>
+            <button type="button" class="import-run-btn primary">Import</button>
+          </div>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(el);
+    this.element = el;
+
+    // Only show the format picker when there is something to pick
+    el.querySelector('.import-format-group').classList.toggle('hidden', this.formats.length < 2);
+
+    el.querySelector('#importFormat').addEventListener('change', (e) => {
+      this.selectFormat(e.target.value);
+    });
+    el.querySelector('.import-cancel-btn').addEventListener('click', () => this.close());
+    el.querySelector('.import-run-btn').addEventListener('click', () => this.runImport());
+    el.querySelector('.import-file-btn').addEventListener('click', () => this.loadFile());
+
+    // Close on overlay click
+    el.addEventListener('click', (e) => {
+      if (e.target === el || e.target.classList.contains('dialog-overlay')) {
+        this.close();
+      }
+    });
+
+    // Close on ESC; Ctrl/Cmd+Enter imports
+    el.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        this.close();
+      } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        this.runImport();
+      }
+    });
+  }
+
+  selectFormat(formatId) {
+    const format = this.formats.find(f => f.id === formatId) || this.formats[0];
+    this.currentFormat = format;
+    this.element.querySelector('#importFormat').value = format.id;
+
+    const container = this.element.querySelector('.import-fields');
+    container.innerHTML = '';
+    format.fields.forEach(field => {
+      const group = document.createElement('div');
+      group.className = 'form-group';
+      const label = document.createElement('label');
+      label.setAttribute('for', `importField_${field.id}`);
+      label.textContent = field.label;
+      const input = document.createElement(
+        field.type === 'textarea' || field.type === 'select' ? field.type : 'input'
+      );
+      if (field.type === 'textarea') {
+        input.rows = field.rows || 10;
+        input.spellcheck = false;
+      } else if (field.type === 'select') {
+        const options = typeof field.options === 'function' ? field.options() : (field.options || []);
+        options.forEach(({ value, label: text }) => {
+          const option = document.createElement('option');
+          option.value = value;
+          option.textContent = text;
+          input.appendChild(option);
+        });
+      } else {
+        input.type = 'text';
+      }
+      input.id = `importField_${field.id}`;
+      input.dataset.fieldId = field.id;
+      if (field.placeholder) input.placeholder = field.placeholder;
+      group.appendChild(label);
+      group.appendChild(input);
+      container.appendChild(group);
+    });
+
+    this.element.querySelector('.import-file-btn').classList.toggle('hidden', !format.accept);
+    this.setStatus('');
+  }
+
+  getValues() {
+    const values = {};
+    this.element.querySelectorAll('.import-fields [data-field-id]').forEach(input => {
+      values[input.dataset.fieldId] = input.value;
+    });
+    return values;
+  }
+
+  setStatus(message, isError = false) {
+    const status = this.element?.querySelector('.import-status');
+    if (!status) return;
+    status.textContent = message;
+    status.classList.toggle('error', !!isError);
+  }
+
+  // Read a local file into the format's main (first textarea) field
+  loadFile() {
+    const format = this.currentFormat;
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = format.accept || '';
+    input.addEventListener('change', () => {
+      const file = input.files[0];
+      if (!file) return;
+      const reader = new FileReader();
+      reader.onload = (e) => {
+        const target = this.element.querySelector('.import-fields textarea');
+        if (target) target.value = e.target.result;
+        this.setStatus(`Loaded ${file.name}`);
+      };
+      reader.onerror = () => this.setStatus('Failed to read file', true);
+      reader.readAsText(file);
+    });
+    input.click();
+  }
+
+  runImport() {
+    try {
+      const result = this.currentFormat.run(this.getValues()) || {};
+      this.close();
+      const warnings = result.warnings || [];
+      if (warnings.length > 0) {
+        alert(`Import finished with ${warnings.length} warning${warnings.length === 1 ? '' : 's'}:\n\n- ${warnings.join('\n- ')}`);
+      }
+    } catch (err) {
+      console.error('Import failed:', err);
+      this.setStatus('Import failed: ' + (err?.message || err), true);
+    }
+  }
+}
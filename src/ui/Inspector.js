@@ -3,15 +3,62 @@
  */
 
 import { store } from '../core/store.js';
+import { commandStack, createUpdateEdgeCommand, createDeleteEdgeCommand } from '../core/commandStack.js';
 import { generateVariableId } from '../core/id.js';
-import { createVariable } from '../core/types.js';
+import { createVariable, normalizeNodeKind, isNodeLevelEndpoint, DATA_TYPES, NODE_KINDS, NODE_KIND_LABELS, FLOW_KINDS, FLOW_KIND_LABELS, CARDINALITIES } from '../core/types.js';
+import { downloadNodeJsonSchema } from '../services/jsonSchema.js';
+import { computeEdgeStatus, describeEdgeStatus } from '../services/validate.js';
+import { previewEdgeTransform, formatTransformValue, TRANSFORM_FUNCTIONS } from '../services/transformExpr.js';
+import { highlightLineage, highlightPaths, describeLineagePoint } from '../services/lineage.js';
+import { analyzeFieldChange, IMPACT_CHANGES } from '../services/impact.js';
+import { analyzeFlow } from '../services/flowAnalysis.js';
+import { ImpactDialog } from './ImpactDialog.js';
+import { getFlowKind } from './edgeMarkers.js';
+import { escapeHtml } from './html.js';
+
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+
+// Cardinality read the other way round (used when swapping an edge's direction)
+const REVERSED_CARDINALITY = {
+  [CARDINALITIES.ONE_TO_MANY]: CARDINALITIES.MANY_TO_ONE,
+  [CARDINALITIES.MANY_TO_ONE]: CARDINALITIES.ONE_TO_MANY
+};
+
+// Sample values are edited as text: strings as typed, everything else as JSON
+const formatSampleInput = (value) => {
+  if (value === undefined || value === null) return '';
+  return typeof value === 'string' ? value : JSON.stringify(value);
+};
+
+// Read a sample value typed for a field; numbers, booleans and JSON are parsed when they can be
+const parseSampleInput = (text, dataType) => {
+  const trimmed = text.trim();
+  if (!trimmed) return undefined;
+  if (![DATA_TYPES.NUMBER, DATA_TYPES.BOOLEAN, DATA_TYPES.JSON, DATA_TYPES.ARRAY].includes(dataType)) return text;
+  try {
+    return JSON.parse(trimmed);
+  } catch (err) {
+    return text;
+  }
+};
 
 export class Inspector {
-  constructor() {
-    // Inspector state
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.onImportFields] - Called with a node ID to refresh its fields from a schema file
+   */
+  constructor(options = {}) {
+    this.onImportFields = options.onImportFields || null;
+    this.impactDialog = null; // created on first use
   }
 
   renderInspector(state) {
+    this.renderSelection(state);
+    this.renderPathResults(state.ui.lineageTrace);
+    if (state.ui.showFlowAnalysis) this.renderFlowAnalysis(state.diagram);
+  }
+
+  renderSelection(state) {
     const inspectorBody = document.getElementById('inspectorBody');
     
     console.log('renderInspector called with selection:', state.selection);
@@ -29,21 +76,138 @@ export class Inspector {
       }
     }
     
+    if (state.selection.type === 'edge' && state.selection.ids.length === 1) {
+      const edge = store.getEdgeById(state.selection.ids[0]);
+      if (edge) {
+        inspectorBody.innerHTML = this.createEdgeInspectorHTML(edge);
+        this.setupEdgeInspectorHandlers(edge);
+        return;
+      }
+    }
+    
     // Default inspector content
     inspectorBody.innerHTML = '<p>Select a node, field, or edge to edit details.</p>';
   }
 
+  /**
+   * Path finder results (shortest first) above whatever is selected, while a path trace is active
+   * @param {Object|null} trace - Active lineage trace
+   */
+  renderPathResults(trace) {
+    if (!trace || !trace.target) return;
+    const describe = (point) => escapeHtml(describeLineagePoint(store.getState().diagram, point));
+    const section = document.createElement('div');
+    section.className = 'form-group path-results';
+    section.innerHTML = `
+      <label>Paths: ${describe(trace.origin)} → ${describe(trace.target)}</label>
+      ${trace.paths.length === 0 ? '<small class="inspector-hint">No connection path between them in either direction.</small>' : ''}
+      <ol class="path-list">
+        ${trace.paths.map((path, i) => `
+          <li class="path-item ${trace.activePath === i ? 'active' : ''}">
+            <button type="button" class="path-select-btn" data-path-index="${i}" title="Highlight only this path">
+              ${path.edgeIds.length} hop${path.edgeIds.length === 1 ? '' : 's'}
+            </button>
+            <ol class="path-hops">
+              ${path.edgeIds.map((edgeId, hop) => {
+                const edge = store.getEdgeById(edgeId);
+                return `
+                <li>
+                  <button type="button" class="path-hop" data-edge-id="${edgeId}" title="Select this connection">→ ${describe(path.points[hop + 1])}</button>
+                  ${edge?.transform ? `<code class="path-transform">${escapeHtml(edge.transform)}</code>` : '<span class="path-transform none">as is</span>'}
+                </li>`;
+              }).join('')}
+            </ol>
+          </li>`).join('')}
+      </ol>
+      ${trace.truncated ? `<small class="inspector-hint">Showing the first ${trace.paths.length} paths.</small>` : ''}
+      <div class="variable-controls">
+        ${trace.activePath !== null ? '<button type="button" class="path-show-all-btn">Show all paths</button>' : ''}
+        <button type="button" class="path-clear-btn">Clear</button>
+      </div>`;
+    document.getElementById('inspectorBody').prepend(section);
+
+    section.querySelectorAll('.path-select-btn').forEach(btn => {
+      btn.addEventListener('click', () => highlightPaths(trace.origin, trace.target, Number(btn.dataset.pathIndex)));
+    });
+    section.querySelectorAll('.path-hop').forEach(btn => {
+      btn.addEventListener('click', () => store.setSelection('edge', btn.dataset.edgeId));
+    });
+    section.querySelector('.path-show-all-btn')?.addEventListener('click', () => highlightPaths(trace.origin, trace.target));
+    section.querySelector('.path-clear-btn').addEventListener('click', () => store.clearLineageHighlight());
+  }
+
+  /**
+   * Flow analysis results: the cycles found, or the nodes of each stage when there are none
+   * @param {Object} diagram - Diagram
+   */
+  renderFlowAnalysis(diagram) {
+    const { cycles, stages, stageCount } = analyzeFlow(diagram);
+    const title = (nodeId) => escapeHtml(store.getNodeById(nodeId)?.title || '?');
+    const section = document.createElement('div');
+    section.className = 'form-group flow-analysis';
+
+    let body;
+    if (cycles.length > 0) {
+      body = `
+        <small class="flow-analysis-summary cycles">${cycles.length} cycle${cycles.length === 1 ? '' : 's'} — stages need a flow without loops</small>
+        <ol class="flow-cycle-list">
+          ${cycles.map((cycle, i) => `
+            <li><button type="button" class="flow-cycle-btn" data-cycle-index="${i}" title="Select the nodes of this cycle">
+              ${[...cycle.path, cycle.path[0]].map(title).join(' → ')}
+            </button></li>`).join('')}
+        </ol>`;
+    } else {
+      const byStage = Array.from({ length: stageCount }, () => []);
+      diagram.nodes.forEach(node => byStage[stages.get(node.id) - 1]?.push(node.id));
+      body = `
+        <small class="flow-analysis-summary">No cycles · ${stageCount} stage${stageCount === 1 ? '' : 's'}</small>
+        <ol class="flow-stage-list">
+          ${byStage.map((ids, i) => `<li><strong>S${i + 1}</strong> ${ids.map(title).join(', ')}</li>`).join('')}
+        </ol>
+        <label class="inspector-toggle">
+          <input type="checkbox" id="flowSortExports" ${diagram.sortExportsByStage ? 'checked' : ''} />
+          <span>Order SQL/TypeScript exports by stage</span>
+        </label>`;
+    }
+    section.innerHTML = `
+      <label>Flow analysis:</label>
+      ${body}
+      <div class="variable-controls">
+        <button type="button" class="flow-analysis-close">Close</button>
+      </div>`;
+    document.getElementById('inspectorBody').prepend(section);
+
+    section.querySelectorAll('.flow-cycle-btn').forEach(btn => {
+      btn.addEventListener('click', () => store.setSelection('node', cycles[Number(btn.dataset.cycleIndex)].nodeIds));
+    });
+    section.querySelector('#flowSortExports')?.addEventListener('change', (e) => store.setSortExportsByStage(e.target.checked));
+    section.querySelector('.flow-analysis-close').addEventListener('click', () => store.setShowFlowAnalysis(false));
+  }
+
   createNodeInspectorHTML(node) {
+    const kindLabel = NODE_KIND_LABELS[normalizeNodeKind(node.kind)];
     return `
       <div class="form-group">
         <label for="nodeTitle">Title:</label>
-        <input type="text" id="nodeTitle" value="${node.title}">
+        <input type="text" id="nodeTitle" value="${escapeHtml(node.title)}">
+      </div>
+
+      ${this.createMetadataFormHTML(node)}
+      
+      <div class="form-group">
+        <div class="variable-controls">
+          <button id="deleteNode" class="danger-light" title="Delete this ${kindLabel}">Delete ${kindLabel}</button>
+        </div>
       </div>
       
       <div class="form-group">
+        <label>Lineage:</label>
         <div class="variable-controls">
-          <button id="deleteNode" class="danger-light" title="Delete this Module">Delete Module</button>
+          <button class="trace-node-btn" data-direction="upstream" title="Highlight everything that feeds this node">Trace upstream</button>
+          <button class="trace-node-btn" data-direction="downstream" title="Highlight everything this node feeds">Trace downstream</button>
+          <button class="trace-node-btn" data-direction="both" title="Highlight both directions">Both</button>
         </div>
+        <small class="inspector-hint">Right-click a field on the canvas to trace just that field, or to find the paths between two fields.</small>
       </div>
       
       <label class="inspector-toggle" style="margin-bottom: 12px;">
@@ -55,13 +219,16 @@ export class Inspector {
         <label>Fields:</label>
         <div class="variable-controls">
           <button id="addVariable">Add Field</button>
+          <button id="importFieldsSchema" title="Replace fields from a JSON Schema (matching fields keep their connections)">Import Schema…</button>
+          <button id="exportFieldsSchema" title="Download fields as a JSON Schema file">Export Schema</button>
         </div>
         <div class="variables-list">
           ${node.variables.map(variable => `
             <div class="variable-item" data-variable-id="${variable.id}">
               <button type="button" class="var-drag-handle" title="Drag to reorder" tabindex="0" aria-label="Reorder" style="width:10px;height:18px;min-width:10px;display:flex;align-items:center;justify-content:center;color:#777;border:1px dashed #ccc;border-radius:2px;background:#fff;user-select:none;padding:0;margin-right:2px;font-size:10px;line-height:1;opacity:0.7">⋮</button>
+              <div class="variable-edit-main">
               <div class="variable-edit-row">
-                <input type="text" class="var-name-input" value="${variable.name}" placeholder="Field name">
+                <input type="text" class="var-name-input" value="${escapeHtml(variable.name)}" placeholder="Field name">
                 <select class="var-type-select">
                   <option value="string" ${variable.dataType === 'string' ? 'selected' : ''}>String</option>
                   <option value="number" ${variable.dataType === 'number' ? 'selected' : ''}>Number</option>
@@ -74,7 +241,9 @@ export class Inspector {
                 <button class="var-color-btn" data-variable-id="${variable.id}" title="Change color" style="background: ${variable.color || '#f8f9fa'}; width: 20px; height: 20px; border: 1px solid #ccc; border-radius: 3px; padding: 0; margin: 0 2px;"></button>
                 <button class="delete-var-btn" title="Delete field">×</button>
               </div>
-              ${variable.description ? `<div class="variable-description"><small>${variable.description}</small></div>` : ''}
+              <input type="text" class="var-sample-input" value="${escapeHtml(formatSampleInput(variable.sampleValue))}" placeholder="Sample value" title="Example value, used to preview transforms">
+              </div>
+              ${variable.description ? `<div class="variable-description"><small>${escapeHtml(variable.description)}</small></div>` : ''}
             </div>
           `).join('')}
         </div>        
@@ -82,6 +251,67 @@ export class Inspector {
     `;
   }
 
+  // Kind-specific metadata inputs; each input carries the metadata key it edits
+  createMetadataFormHTML(node) {
+    const kind = normalizeNodeKind(node.kind);
+    const meta = node.metadata || {};
+    const text = (key, label, placeholder = '') => `
+      <div class="form-group">
+        <label for="meta_${key}">${label}:</label>
+        <input type="text" id="meta_${key}" class="meta-input" data-meta-key="${key}" value="${escapeHtml(meta[key])}" placeholder="${placeholder}">
+      </div>`;
+
+    if (kind === NODE_KINDS.API) {
+      const method = (meta.method || 'GET').toUpperCase();
+      return `
+        <div class="metadata-form api">
+          <div class="form-group">
+            <label for="meta_method">Method:</label>
+            <select id="meta_method" class="meta-input" data-meta-key="method">
+              ${HTTP_METHODS.map(m => `<option value="${m}" ${m === method ? 'selected' : ''}>${m}</option>`).join('')}
+            </select>
+          </div>
+          ${text('url', 'URL', '/api/resource')}
+          ${text('auth', 'Auth', 'e.g. Bearer token, API key')}
+        </div>`;
+    }
+
+    if (kind === NODE_KINDS.TABLE) {
+      const pk = Array.isArray(meta.pk) ? meta.pk.join(', ') : '';
+      return `
+        <div class="metadata-form table">
+          ${text('schema', 'Schema', 'public')}
+          ${text('table', 'Table', 'table_name')}
+          <div class="form-group">
+            <label for="meta_pk">Primary key:</label>
+            <input type="text" id="meta_pk" class="meta-input" data-meta-key="pk" data-meta-list="true" value="${escapeHtml(pk)}" placeholder="id">
+          </div>
+        </div>`;
+    }
+
+    return `
+      <div class="metadata-form module">
+        ${text('route', 'Route', '/path')}
+        ${text('framework', 'Framework', 'e.g. React, Express')}
+      </div>`;
+  }
+
+  setupMetadataHandlers(node) {
+    document.querySelectorAll('#inspectorBody .meta-input').forEach(input => {
+      input.addEventListener('change', () => {
+        const key = input.dataset.metaKey;
+        let value = input.value.trim();
+        if (input.dataset.metaList === 'true') {
+          value = value.split(',').map(s => s.trim()).filter(Boolean);
+        } else if (value === '') {
+          value = undefined;
+        }
+        const current = store.getNodeById(node.id);
+        store.updateNode(node.id, { metadata: { ...(current?.metadata || {}), [key]: value } });
+      });
+    });
+  }
+
   setupNodeInspectorHandlers(node) {
     console.log('setupNodeInspectorHandlers: start for node', node?.id);
     
@@ -91,6 +321,14 @@ export class Inspector {
       store.updateNode(node.id, { title: titleInput.value });
     });
     
+    // Kind-specific metadata inputs
+    this.setupMetadataHandlers(node);
+    
+    // Lineage trace of the whole node
+    document.querySelectorAll('#inspectorBody .trace-node-btn').forEach(btn => {
+      btn.addEventListener('click', () => highlightLineage({ nodeId: node.id }, btn.dataset.direction));
+    });
+    
     // Node "Always hide variable types" checkbox
     const nodeHideTypesChk = document.getElementById('nodeHideTypes');
     if (nodeHideTypesChk) {
@@ -109,21 +347,46 @@ export class Inspector {
       store.addVariable(node.id, variable);
     });
     
+    // JSON Schema import/export of the field list
+    const importSchemaBtn = document.getElementById('importFieldsSchema');
+    if (importSchemaBtn) {
+      importSchemaBtn.classList.toggle('hidden', !this.onImportFields);
+      importSchemaBtn.addEventListener('click', () => this.onImportFields?.(node.id));
+    }
+    const exportSchemaBtn = document.getElementById('exportFieldsSchema');
+    if (exportSchemaBtn) {
+      exportSchemaBtn.addEventListener('click', () => downloadNodeJsonSchema(store.getNodeById(node.id) || node));
+    }
+    
     // Variable editing handlers
     const variableItems = document.querySelectorAll('.variable-item');
     variableItems.forEach(item => {
       const variableId = item.dataset.variableId;
       
-      // Variable name input
+      const variable = node.variables.find(v => v.id === variableId);
+      
+      // Variable name input (connected fields show an impact report first)
       const nameInput = item.querySelector('.var-name-input');
       nameInput.addEventListener('change', () => {
-        store.updateVariable(node.id, variableId, { name: nameInput.value });
+        this.confirmFieldChange(node.id, variableId, { type: IMPACT_CHANGES.RENAME, name: nameInput.value },
+          () => store.updateVariable(node.id, variableId, { name: nameInput.value }),
+          () => { nameInput.value = variable.name; });
       });
       
       // Variable type select
       const typeSelect = item.querySelector('.var-type-select');
       typeSelect.addEventListener('change', () => {
-        store.updateVariable(node.id, variableId, { dataType: typeSelect.value });
+        this.confirmFieldChange(node.id, variableId, { type: IMPACT_CHANGES.RETYPE, dataType: typeSelect.value },
+          () => store.updateVariable(node.id, variableId, { dataType: typeSelect.value }),
+          () => { typeSelect.value = variable.dataType; });
+      });
+      
+      // Sample value (used by transform previews)
+      const sampleInput = item.querySelector('.var-sample-input');
+      sampleInput.addEventListener('change', () => {
+        const current = store.getNodeById(node.id)?.variables.find(v => v.id === variableId);
+        if (!current) return;
+        store.updateVariable(node.id, variableId, { sampleValue: parseSampleInput(sampleInput.value, current.dataType) });
       });
       
       // Color button handler
@@ -138,9 +401,8 @@ export class Inspector {
       // Delete variable button
       const deleteBtn = item.querySelector('.delete-var-btn');
       deleteBtn.addEventListener('click', () => {
-        if (confirm('Delete this field?')) {
-          store.deleteVariable(node.id, variableId);
-        }
+        this.confirmFieldChange(node.id, variableId, { type: IMPACT_CHANGES.DELETE },
+          () => store.deleteVariable(node.id, variableId));
       });
     });
 
@@ -162,6 +424,218 @@ export class Inspector {
     this.setupVariableReordering(node);
   }
 
+  // Resolve an edge endpoint to its node and field (either may be missing in broken diagrams)
+  getEdgeEndpoint(endpoint) {
+    const node = store.getNodeById(endpoint.nodeId);
+    const variable = node?.variables.find(v => v.id === endpoint.portId) || null;
+    return { node, variable, nodeLevel: isNodeLevelEndpoint(endpoint) };
+  }
+
+  createEdgeEndpointHTML(label, role, { node, variable, nodeLevel }) {
+    let fieldText = '<em>missing field</em>';
+    if (nodeLevel) {
+      fieldText = '<em>whole node</em>';
+    } else if (variable) {
+      fieldText = `${escapeHtml(variable.name)} <span class="edge-endpoint-type">${escapeHtml(variable.dataType)}</span>`;
+    }
+    return `
+      <div class="form-group edge-endpoint">
+        <label>${label}:</label>
+        <button type="button" class="edge-endpoint-link" data-endpoint="${role}" title="Select this node" ${node ? '' : 'disabled'}>
+          <span class="edge-endpoint-node">${node ? escapeHtml(node.title) : '<em>missing node</em>'}</span>
+          <span class="edge-endpoint-field">${fieldText}</span>
+        </button>
+      </div>`;
+  }
+
+  createEdgeInspectorHTML(edge) {
+    const from = this.getEdgeEndpoint(edge.from);
+    const to = this.getEdgeEndpoint(edge.to);
+    const { nodes } = store.getState().diagram;
+    const status = computeEdgeStatus(edge, nodes);
+    const flowKind = getFlowKind(edge);
+
+    return `
+      ${this.createEdgeEndpointHTML('From', 'from', from)}
+      ${this.createEdgeEndpointHTML('To', 'to', to)}
+
+      <div class="form-group">
+        <label>Compatibility:</label>
+        <div class="edge-compat ${status}">${escapeHtml(describeEdgeStatus(edge, nodes))}</div>
+      </div>
+
+      <div class="form-group">
+        <label for="edgeFlowKind">Flow:</label>
+        <select id="edgeFlowKind">
+          ${Object.entries(FLOW_KIND_LABELS).map(([value, label]) => `<option value="${value}" ${value === flowKind ? 'selected' : ''}>${label}</option>`).join('')}
+        </select>
+      </div>
+
+      <div class="form-group">
+        <label for="edgeCardinality">Cardinality:</label>
+        <select id="edgeCardinality">
+          <option value="">Not set</option>
+          ${Object.values(CARDINALITIES).map(value => `<option value="${value}" ${value === edge.cardinality ? 'selected' : ''}>${value}</option>`).join('')}
+        </select>
+      </div>
+
+      <div class="form-group">
+        <label for="edgeLabel">Label:</label>
+        <input type="text" id="edgeLabel" maxlength="60" placeholder="Short note shown on the connection" value="${escapeHtml(edge.label || '')}" />
+      </div>
+
+      <div class="form-group">
+        <label for="edgeTransform">Transform:</label>
+        <textarea id="edgeTransform" rows="3" spellcheck="false" placeholder="e.g. lower(value)">${escapeHtml(edge.transform || '')}</textarea>
+        <div id="edgeTransformPreview" class="transform-preview">${this.createTransformPreviewHTML(previewEdgeTransform(edge, nodes))}</div>
+        <details class="transform-help">
+          <summary>Expression help</summary>
+          <p><code>value</code> is the source field (a field named <code>value</code> can't be used); other fields of the source node can be used by name
+            (<code>\`quoted name\`</code> for names with spaces). Operators: <code>+ - * / % == != &lt; &gt; &amp;&amp; || !</code>
+            and <code>cond ? a : b</code>.</p>
+          <p>${Object.values(TRANSFORM_FUNCTIONS).map(f => `<code>${escapeHtml(f.signature)}</code>`).join(' ')}</p>
+        </details>
+      </div>
+
+      <div class="form-group">
+        <div class="variable-controls">
+          <button id="swapEdge" title="Reverse the direction of this connection">Swap Direction</button>
+          <button id="deleteEdge" class="danger-light" title="Delete this connection">Delete Connection</button>
+        </div>
+      </div>
+    `;
+  }
+
+  // Result of running the transform on the source field's sample value, or what's wrong with it
+  createTransformPreviewHTML(preview) {
+    if (!preview) return '';
+    if (preview.error) {
+      return `<div class="transform-preview-line error">${escapeHtml(preview.error)}</div>`;
+    }
+    const problems = preview.problems
+      .map(p => `<div class="transform-preview-line ${p.level}">${escapeHtml(p.message)}</div>`)
+      .join('');
+    if (!preview.hasOutput) {
+      const missing = preview.missingSamples.length > 0
+        ? `<div class="transform-preview-line muted">Add a sample value to ${escapeHtml(preview.missingSamples.join(', '))} (in its node's field list) to preview the result</div>`
+        : '';
+      return problems + missing;
+    }
+    return `${problems}
+      <div class="transform-preview-line"><span class="transform-preview-label">Sample:</span> <code>${escapeHtml(formatTransformValue(preview.input))}</code></div>
+      <div class="transform-preview-line"><span class="transform-preview-label">Result:</span> <code>${escapeHtml(formatTransformValue(preview.output))}</code></div>`;
+  }
+
+  setupEdgeInspectorHandlers(edge) {
+    // Jump to either end
+    document.querySelectorAll('#inspectorBody .edge-endpoint-link').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const endpoint = btn.dataset.endpoint === 'from' ? edge.from : edge.to;
+        if (store.getNodeById(endpoint.nodeId)) {
+          store.setSelection('node', [endpoint.nodeId]);
+        }
+      });
+    });
+
+    // Transform expression (undoable; empty clears it)
+    const transformInput = document.getElementById('edgeTransform');
+    // Live preview while typing; the edge itself only changes on commit
+    transformInput.addEventListener('input', () => {
+      const current = store.getEdgeById(edge.id);
+      if (!current) return;
+      const preview = previewEdgeTransform(current, store.getState().diagram.nodes, transformInput.value);
+      document.getElementById('edgeTransformPreview').innerHTML = this.createTransformPreviewHTML(preview);
+    });
+    transformInput.addEventListener('change', () => {
+      const current = store.getEdgeById(edge.id);
+      if (!current) return;
+      const value = transformInput.value.trim() || undefined;
+      if (value === current.transform) return;
+      commandStack.execute(createUpdateEdgeCommand(
+        store, edge.id, { transform: value }, { transform: current.transform }
+      ));
+    });
+
+    // Flow kind and cardinality (undoable; sync and "Not set" are stored as absent)
+    document.getElementById('edgeFlowKind').addEventListener('change', (e) => {
+      const current = store.getEdgeById(edge.id);
+      if (!current) return;
+      const value = e.target.value === FLOW_KINDS.SYNC ? undefined : e.target.value;
+      if (value === current.flowKind) return;
+      commandStack.execute(createUpdateEdgeCommand(
+        store, edge.id, { flowKind: value }, { flowKind: current.flowKind }
+      ));
+    });
+    document.getElementById('edgeCardinality').addEventListener('change', (e) => {
+      const current = store.getEdgeById(edge.id);
+      if (!current) return;
+      const value = e.target.value || undefined;
+      if (value === current.cardinality) return;
+      commandStack.execute(createUpdateEdgeCommand(
+        store, edge.id, { cardinality: value }, { cardinality: current.cardinality }
+      ));
+    });
+
+    // Label pill text (undoable; empty clears it)
+    const labelInput = document.getElementById('edgeLabel');
+    labelInput.addEventListener('change', () => {
+      const current = store.getEdgeById(edge.id);
+      if (!current) return;
+      const value = labelInput.value.trim() || undefined;
+      if (value === current.label) return;
+      commandStack.execute(createUpdateEdgeCommand(
+        store, edge.id, { label: value }, { label: current.label }
+      ));
+    });
+
+    // Swap direction: each endpoint keeps its port side, only the roles change;
+    // a dragged label stays where it was on the (now reversed) path and 1:N becomes N:1
+    document.getElementById('swapEdge').addEventListener('click', () => {
+      const current = store.getEdgeById(edge.id);
+      if (!current) return;
+      const updates = { from: current.to, to: current.from };
+      const previous = { from: current.from, to: current.to };
+      if (current.labelPosition !== undefined) {
+        updates.labelPosition = 1 - current.labelPosition;
+        previous.labelPosition = current.labelPosition;
+      }
+      if (REVERSED_CARDINALITY[current.cardinality]) {
+        updates.cardinality = REVERSED_CARDINALITY[current.cardinality];
+        previous.cardinality = current.cardinality;
+      }
+      commandStack.execute(createUpdateEdgeCommand(store, edge.id, updates, previous));
+    });
+
+    document.getElementById('deleteEdge').addEventListener('click', () => {
+      if (confirm('Delete this connection?')) {
+        commandStack.execute(createDeleteEdgeCommand(store, edge.id));
+      }
+    });
+  }
+
+  /**
+   * Apply a field change, showing the impact report first when the field is connected
+   * @param {string} nodeId - Node of the field
+   * @param {string} variableId - Field being changed
+   * @param {{type: string, name?: string, dataType?: string}} change - See analyzeFieldChange
+   * @param {Function} apply - Applies the change
+   * @param {Function} [revert] - Restores the input when the change is cancelled
+   */
+  confirmFieldChange(nodeId, variableId, change, apply, revert) {
+    const report = analyzeFieldChange(store.getState().diagram, nodeId, variableId, change);
+    if (!report || report.entries.length === 0) {
+      // Nothing connected: deletes still ask, edits apply right away
+      if (change.type !== IMPACT_CHANGES.DELETE || confirm('Delete this field?')) {
+        apply();
+      } else if (revert) {
+        revert();
+      }
+      return;
+    }
+    if (!this.impactDialog) this.impactDialog = new ImpactDialog();
+    this.impactDialog.open(report, { onConfirm: apply, onCancel: revert });
+  }
+
   setupVariableReordering(node) {
     // Reordering: pointer-based drag using the grab handle + keyboard support
     const list = document.querySelector('.variables-list');
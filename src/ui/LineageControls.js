@@ -0,0 +1,191 @@
+/**
+ * @fileoverview Lineage tracing UI: right-click menu on fields/nodes (traces and the path finder)
+ * and the banner shown while a trace is active
+ */
+
+import { store } from '../core/store.js';
+import { eventBus, EVENTS } from '../core/eventBus.js';
+import { highlightLineage, highlightPaths, describeLineagePoint, LINEAGE_DIRECTIONS } from '../services/lineage.js';
+
+const TRACE_ACTIONS = [
+  [LINEAGE_DIRECTIONS.UPSTREAM, 'Trace upstream', 'Where does this come from?'],
+  [LINEAGE_DIRECTIONS.DOWNSTREAM, 'Trace downstream', 'What does this feed?'],
+  [LINEAGE_DIRECTIONS.BOTH, 'Trace both', 'Upstream and downstream']
+];
+
+const DIRECTION_TEXT = {
+  [LINEAGE_DIRECTIONS.UPSTREAM]: 'Upstream of',
+  [LINEAGE_DIRECTIONS.DOWNSTREAM]: 'Downstream of',
+  [LINEAGE_DIRECTIONS.BOTH]: 'Lineage of'
+};
+
+export class LineageControls {
+  constructor() {
+    this.menu = null;
+    this.banner = null;
+    this.pathStart = null; // first pick of the path finder, waiting for the second
+
+    // Esc cancels a pending path pick or clears the trace (unless typing or another overlay owns the key)
+    document.addEventListener('keydown', (e) => {
+      if (e.key !== 'Escape') return;
+      if (this.menu && !this.menu.classList.contains('hidden')) {
+        this.closeMenu();
+        return;
+      }
+      const active = document.activeElement;
+      if (active && (active.tagName === 'INPUT' || active.tagName === 'TEXTAREA' || active.isContentEditable)) return;
+      if (this.pathStart) {
+        this.setPathStart(null);
+      } else if (store.getState().ui.lineageTrace) {
+        store.clearLineageHighlight();
+      }
+    });
+    document.addEventListener('mousedown', (e) => {
+      if (this.menu && !this.menu.contains(e.target)) this.closeMenu();
+    });
+
+    // Keep an active trace in step with edits to the graph
+    const exists = (point) => {
+      const node = store.getNodeById(point.nodeId);
+      return !!node && (!point.variableId || node.variables.some(v => v.id === point.variableId));
+    };
+    const retrace = () => {
+      if (this.pathStart && !exists(this.pathStart)) this.setPathStart(null);
+      const trace = store.getState().ui.lineageTrace;
+      if (!trace) return;
+      const { origin, target, direction } = trace;
+      if (!exists(origin) || (target && !exists(target))) {
+        store.clearLineageHighlight();
+      } else if (target) {
+        highlightPaths(origin, target);
+      } else {
+        highlightLineage(origin, direction);
+      }
+    };
+    [EVENTS.EDGE_ADD, EVENTS.EDGE_DELETE, EVENTS.EDGE_REATTACH, EVENTS.NODE_DELETE, EVENTS.VARIABLE_DELETE]
+      .forEach(event => eventBus.on(event, retrace));
+  }
+
+  /**
+   * Show the trace menu for the field or node under a right-click
+   * @param {MouseEvent} e - contextmenu event
+   * @returns {boolean} True when the click was on a field or node
+   */
+  openMenu(e) {
+    const nodeEl = e.target.closest('#nodes .node');
+    if (!nodeEl) return false;
+    const variableEl = e.target.closest('.variable');
+    const node = store.getNodeById(nodeEl.dataset.nodeId);
+    if (!node) return false;
+    const variable = variableEl ? node.variables.find(v => v.id === variableEl.dataset.variableId) : null;
+    const start = { nodeId: node.id, variableId: variable ? variable.id : null };
+
+    if (!this.menu) {
+      this.menu = document.createElement('div');
+      this.menu.className = 'context-menu hidden';
+      this.menu.setAttribute('role', 'menu');
+      document.body.appendChild(this.menu);
+    }
+
+    const diagram = store.getState().diagram;
+    const subject = describeLineagePoint(diagram, start);
+    this.menu.innerHTML = '';
+    const heading = document.createElement('div');
+    heading.className = 'context-menu-heading';
+    heading.textContent = subject;
+    this.menu.appendChild(heading);
+
+    TRACE_ACTIONS.forEach(([direction, label, hint]) => {
+      this.addMenuItem(label, hint, () => highlightLineage(start, direction));
+    });
+    const pathStart = this.pathStart;
+    const isPathStart = pathStart && pathStart.nodeId === start.nodeId && pathStart.variableId === start.variableId;
+    if (pathStart && !isPathStart) {
+      this.addMenuItem('Find paths to here', `Every connection path between ${describeLineagePoint(diagram, pathStart)} and ${subject}`, () => {
+        this.setPathStart(null);
+        highlightPaths(pathStart, start);
+      });
+    } else {
+      this.addMenuItem('Find paths from here…', 'Then right-click a second field and pick “Find paths to here”', () => this.setPathStart(start));
+    }
+    if (store.getState().ui.lineageTrace) {
+      this.addMenuItem('Clear trace', 'Esc', () => store.clearLineageHighlight());
+    }
+
+    this.menu.style.left = `${e.clientX}px`;
+    this.menu.style.top = `${e.clientY}px`;
+    this.menu.classList.remove('hidden');
+    this.menu.querySelector('button')?.focus();
+    return true;
+  }
+
+  addMenuItem(label, hint, action) {
+    const item = document.createElement('button');
+    item.type = 'button';
+    item.className = 'context-menu-item';
+    item.setAttribute('role', 'menuitem');
+    item.title = hint;
+    item.textContent = label;
+    item.addEventListener('click', () => {
+      this.closeMenu();
+      action();
+    });
+    this.menu.appendChild(item);
+  }
+
+  closeMenu() {
+    this.menu?.classList.add('hidden');
+  }
+
+  setPathStart(point) {
+    this.pathStart = point;
+    this.render(store.getState());
+  }
+
+  /**
+   * Show what is being traced, with a way to clear it
+   * @param {Object} state - Store state
+   */
+  render(state) {
+    const trace = state.ui.lineageTrace;
+    if (!trace && !this.pathStart) {
+      this.banner?.classList.add('hidden');
+      return;
+    }
+
+    if (!this.banner) {
+      this.banner = document.createElement('div');
+      this.banner.className = 'lineage-banner hidden';
+      this.banner.setAttribute('role', 'status');
+      this.banner.innerHTML = `
+        <span class="lineage-banner-text"></span>
+        <button type="button" class="lineage-banner-clear" title="Clear trace (Esc)">Clear</button>`;
+      this.banner.querySelector('.lineage-banner-clear').addEventListener('click', () => {
+        this.pathStart = null;
+        store.clearLineageHighlight();
+      });
+      document.querySelector('.canvas-wrap').appendChild(this.banner);
+    }
+
+    this.banner.querySelector('.lineage-banner-text').textContent = this.describe(state.diagram, trace);
+    this.banner.classList.remove('hidden');
+  }
+
+  describe(diagram, trace) {
+    if (this.pathStart) {
+      return `Paths from ${describeLineagePoint(diagram, this.pathStart)}: right-click a second field and pick “Find paths to here”`;
+    }
+    const subject = describeLineagePoint(diagram, trace.origin);
+    if (trace.target) {
+      const count = trace.paths.length;
+      const reach = count === 0
+        ? 'no path'
+        : `${trace.truncated ? 'first ' : ''}${count} path${count === 1 ? '' : 's'}, shortest ${trace.paths[0].edgeIds.length} hop${trace.paths[0].edgeIds.length === 1 ? '' : 's'}`;
+      return `Paths from ${subject} to ${describeLineagePoint(diagram, trace.target)}: ${reach}`;
+    }
+    const reach = trace.maxDepth === 0
+      ? 'nothing connected'
+      : `${trace.nodeCount} other node${trace.nodeCount === 1 ? '' : 's'}, up to ${trace.maxDepth} hop${trace.maxDepth === 1 ? '' : 's'}`;
+    return `${DIRECTION_TEXT[trace.direction]} ${subject}: ${reach}`;
+  }
+}
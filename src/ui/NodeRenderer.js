@@ -4,7 +4,8 @@
 
 import { store } from '../core/store.js';
 import { generateVariableId } from '../core/id.js';
-import { createVariable, shouldShowTypesForNode } from '../core/types.js';
+import { createVariable, shouldShowTypesForNode, normalizeNodeKind, NODE_KINDS } from '../core/types.js';
+import { analyzeFlow } from '../services/flowAnalysis.js';
 
 export class NodeRenderer {
   constructor(canvasManager, connectionManager) {
@@ -27,11 +28,14 @@ export class NodeRenderer {
     const isSelected = state.selection.type === 'node' && state.selection.ids.includes(node.id);
     console.log(`Creating node element: id="${node.id}", title="${node.title}", isSelected=${isSelected}`);
     
+    const kind = normalizeNodeKind(node.kind);
     const element = document.createElement('div');
-    element.className = `node ${isSelected ? 'selected' : ''}`;
+    element.className = `node ${kind} ${isSelected ? 'selected' : ''}`;
     element.style.left = `${node.position.x}px`;
     element.style.top = `${node.position.y}px`;
     element.dataset.nodeId = node.id;
+    // Lineage trace: traced nodes stay lit while #content.lineage-active dims the rest
+    if (store.isInLineageHighlight(node.id)) element.classList.add('in-lineage');
     // Apply saved width if present
     if (typeof node.width === 'number') {
       element.style.width = `${node.width}px`;
@@ -40,10 +44,22 @@ export class NodeRenderer {
     // Header
     const header = document.createElement('div');
     header.className = 'node-header';
+    header.appendChild(this.createKindBadge(node, kind));
     const titleSpan = document.createElement('span');
     titleSpan.className = 'node-title-text';
     titleSpan.textContent = node.title;
     header.appendChild(titleSpan);
+    this.addLineageDepthBadge(header, node.id);
+    if (state.ui.showFlowAnalysis) this.addFlowStageBadge(element, header, node.id, state.diagram);
+    // Node-level ports: connect whole nodes ("A calls B") without picking fields
+    ['in', 'out'].forEach(side => {
+      const p = document.createElement('div');
+      p.className = `variable-port node-port ${side}`;
+      p.dataset.portSide = side;
+      p.title = 'Drag to connect this node';
+      header.appendChild(p);
+      this.connectionManager.makePortConnectable(p, null);
+    });
     // Prevent dragging when interacting with the title text and ensure selection for editing
     titleSpan.addEventListener('click', function(e) {
       e.stopPropagation();
@@ -119,10 +135,64 @@ export class NodeRenderer {
     return element;
   }
 
+  // Hop count from the traced field or node: "↑2" upstream, "↓1" downstream, "●" where the trace starts
+  addLineageDepthBadge(element, id) {
+    const info = store.getLineageDepth(id);
+    if (!info) return;
+    const badge = document.createElement('span');
+    badge.className = `lineage-depth ${info.direction}`;
+    if (info.direction === 'origin') {
+      badge.textContent = '●';
+      badge.title = 'Traced from here';
+    } else {
+      badge.textContent = `${info.direction === 'upstream' ? '↑' : '↓'}${info.depth}`;
+      badge.title = `${info.depth} hop${info.depth === 1 ? '' : 's'} ${info.direction}`;
+    }
+    element.appendChild(badge);
+  }
+
+  // Flow analysis: nodes in a cycle are marked, otherwise the node's stage is shown ("S2")
+  addFlowStageBadge(element, header, nodeId, diagram) {
+    const { cycleNodeIds, stages, stageCount } = analyzeFlow(diagram);
+    if (cycleNodeIds.has(nodeId)) {
+      element.classList.add('in-cycle');
+      return;
+    }
+    if (!stages || !stages.has(nodeId)) return;
+    const stage = stages.get(nodeId);
+    const badge = document.createElement('span');
+    badge.className = 'flow-stage';
+    badge.textContent = `S${stage}`;
+    badge.title = `Flow stage ${stage} of ${stageCount}`;
+    header.appendChild(badge);
+  }
+
+  // Small kind-specific badge shown before the title (HTTP method for APIs)
+  createKindBadge(node, kind) {
+    const badge = document.createElement('span');
+    badge.className = `node-kind-badge ${kind}`;
+    if (kind === NODE_KINDS.API) {
+      const method = (node.metadata?.method || 'GET').toUpperCase();
+      badge.textContent = method;
+      badge.classList.add(`method-${method.toLowerCase()}`);
+      badge.title = node.metadata?.url ? `${method} ${node.metadata.url}` : 'API endpoint';
+    } else if (kind === NODE_KINDS.TABLE) {
+      badge.textContent = 'TBL';
+      const schema = node.metadata?.schema;
+      const table = node.metadata?.table;
+      badge.title = table ? `${schema || 'public'}.${table}` : 'Table';
+    } else {
+      badge.textContent = 'MOD';
+      badge.title = node.metadata?.route ? `Module (${node.metadata.route})` : 'Module';
+    }
+    return badge;
+  }
+
   createVariableElement(node, variable, state) {
     const element = document.createElement('div');
     element.className = 'variable';
     element.dataset.variableId = variable.id;
+    if (store.isInLineageHighlight(variable.id)) element.classList.add('in-lineage');
     
     // Apply custom background color if set
     if (variable.color) {
@@ -157,6 +227,8 @@ export class NodeRenderer {
       element.appendChild(type);
     }
     
+    this.addLineageDepthBadge(element, variable.id);
+    
     // Sample value toggle
     if (variable.sampleValue !== undefined) {
       const toggle = document.createElement('button');
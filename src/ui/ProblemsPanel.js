@@ -0,0 +1,162 @@
+/**
+ * @fileoverview Problems panel: lint results for the diagram, rule settings, and jump-to-problem
+ */
+
+import { store } from '../core/store.js';
+import { lintDiagram, getLintConfig, LINT_RULES, LINT_SEVERITY, NAMING_CONVENTIONS } from '../services/validate.js';
+import { escapeHtml } from './html.js';
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+export class ProblemsPanel {
+  constructor(canvasManager) {
+    this.canvasManager = canvasManager;
+    this.element = null;
+    this.expanded = false;
+    this.problems = null;
+    this.config = null;
+  }
+
+  render(state) {
+    if (!this.element) this.build();
+    const problems = lintDiagram(state.diagram);
+    const config = getLintConfig(state.diagram);
+
+    if (problems !== this.problems) {
+      this.problems = problems;
+      this.renderSummary();
+      this.renderList();
+    }
+    if (JSON.stringify(config) !== JSON.stringify(this.config)) {
+      this.config = config;
+      this.renderRules();
+    }
+  }
+
+  build() {
+    const el = document.createElement('div');
+    el.className = 'problems-panel';
+    el.setAttribute('role', 'region');
+    el.setAttribute('aria-label', 'Problems');
+    el.innerHTML = `
+      <button type="button" class="problems-toggle" aria-expanded="false"></button>
+      <div class="problems-body hidden">
+        <ul class="problems-list"></ul>
+        <details class="problems-rules">
+          <summary>Rules</summary>
+          <div class="problems-rules-list"></div>
+        </details>
+      </div>`;
+    document.querySelector('.canvas-wrap').appendChild(el);
+    this.element = el;
+
+    el.querySelector('.problems-toggle').addEventListener('click', () => {
+      this.expanded = !this.expanded;
+      el.querySelector('.problems-toggle').setAttribute('aria-expanded', String(this.expanded));
+      el.querySelector('.problems-body').classList.toggle('hidden', !this.expanded);
+    });
+
+    el.querySelector('.problems-list').addEventListener('click', (e) => {
+      const item = e.target.closest('.problem-item');
+      if (item) this.reveal(this.problems[Number(item.dataset.index)]);
+    });
+
+    el.querySelector('.problems-rules-list').addEventListener('change', (e) => {
+      const config = getLintConfig(store.getState().diagram);
+      if (e.target.matches('input[data-rule-id]')) {
+        const ruleId = e.target.dataset.ruleId;
+        const disabled = config.disabled.filter(id => id !== ruleId);
+        if (!e.target.checked) disabled.push(ruleId);
+        store.setLintConfig({ disabled });
+      } else if (e.target.matches('.problems-naming-select')) {
+        store.setLintConfig({ namingConvention: e.target.value });
+      }
+    });
+  }
+
+  renderSummary() {
+    const errors = this.problems.filter(p => p.severity === LINT_SEVERITY.ERROR).length;
+    const warnings = this.problems.length - errors;
+    const toggle = this.element.querySelector('.problems-toggle');
+    toggle.className = `problems-toggle ${errors ? 'error' : warnings ? 'warning' : 'clean'}`;
+    toggle.textContent = this.problems.length === 0
+      ? '✓ No problems'
+      : [errors && plural(errors, 'error'), warnings && plural(warnings, 'warning')].filter(Boolean).join(' · ');
+  }
+
+  renderList() {
+    const rules = new Map(LINT_RULES.map(rule => [rule.id, rule]));
+    this.element.querySelector('.problems-list').innerHTML = this.problems.length === 0
+      ? '<li class="problems-empty">Nothing to report.</li>'
+      : this.problems.map((problem, i) => `
+        <li>
+          <button type="button" class="problem-item ${problem.severity}" data-index="${i}" title="${escapeHtml(rules.get(problem.ruleId)?.label)} — click to show">
+            <span class="problem-icon" aria-label="${problem.severity}">${problem.severity === LINT_SEVERITY.ERROR ? '✕' : '!'}</span>
+            <span class="problem-message">${escapeHtml(problem.message)}</span>
+          </button>
+        </li>`).join('');
+  }
+
+  renderRules() {
+    const { disabled, namingConvention } = this.config;
+    this.element.querySelector('.problems-rules-list').innerHTML = LINT_RULES.map(rule => `
+      <label class="inspector-toggle">
+        <input type="checkbox" data-rule-id="${rule.id}" ${disabled.includes(rule.id) ? '' : 'checked'} />
+        <span>${escapeHtml(rule.label)}</span>
+        ${rule.id === 'naming-convention' ? `
+          <select class="problems-naming-select">
+            ${Object.keys(NAMING_CONVENTIONS).map(name => `<option value="${name}" ${name === namingConvention ? 'selected' : ''}>${name}</option>`).join('')}
+          </select>` : ''}
+      </label>`).join('');
+  }
+
+  /**
+   * Select the offending item and pan it into view
+   * @param {Object} problem - Lint problem
+   */
+  reveal(problem) {
+    if (!problem) return;
+    const { target } = problem;
+    if (target.type === 'edge' && store.getEdgeById(target.edgeId)) {
+      store.setSelection('edge', target.edgeId);
+    } else if (store.getNodeById(target.nodeId)) {
+      store.setSelection('node', target.nodeId);
+    } else {
+      return;
+    }
+
+    // Selecting re-renders synchronously, so the elements below are current
+    let el = null;
+    let point = null;
+    if (target.type === 'edge') {
+      const path = document.querySelector(`.edge-group[data-edge-id="${target.edgeId}"] path.edge`);
+      if (path) {
+        const box = path.getBBox();
+        point = { x: box.x + box.width / 2, y: box.y + box.height / 2 };
+      }
+    } else if (target.type === 'variable') {
+      el = document.querySelector(`.node[data-node-id="${target.nodeId}"] .variable[data-variable-id="${target.variableId}"]`);
+    }
+    if (!point) {
+      el = el || document.querySelector(`.node[data-node-id="${target.nodeId}"]`);
+      if (el) point = this.getContentCenter(el);
+    }
+    if (point) this.canvasManager.panTo(point.x, point.y);
+
+    if (el) {
+      el.classList.add('problem-flash');
+      setTimeout(() => el.classList.remove('problem-flash'), 1500);
+    }
+  }
+
+  // Center of an element in content coordinates
+  getContentCenter(el) {
+    const contentRect = document.getElementById('content').getBoundingClientRect();
+    const rect = el.getBoundingClientRect();
+    const scale = this.canvasManager.scale || 1;
+    return {
+      x: (rect.left + rect.width / 2 - contentRect.left) / scale,
+      y: (rect.top + rect.height / 2 - contentRect.top) / scale
+    };
+  }
+}
@@ -0,0 +1,128 @@
+/**
+ * @fileoverview Review list for suggested foreign-key relationships
+ */
+
+import { suggestRelationships, applyRelationshipSuggestions } from '../services/relationshipSuggest.js';
+import { escapeHtml } from './html.js';
+
+export class RelationshipDialog {
+  constructor() {
+    this.element = null;
+    this.suggestions = [];
+    this.returnFocusEl = null;
+  }
+
+  /**
+   * Scan the diagram and show the suggestions; alerts when there is nothing to suggest
+   */
+  open() {
+    this.suggestions = suggestRelationships();
+    if (this.suggestions.length === 0) {
+      alert('No new relationships found. Fields named like "user_id" are matched to the id of a "users" Table or Module node.');
+      return;
+    }
+    if (!this.element) this.build();
+    this.returnFocusEl = document.activeElement;
+    this.renderList();
+    this.element.classList.remove('hidden');
+    this.element.querySelector('.relationship-apply-btn')?.focus();
+  }
+
+  close() {
+    if (!this.element) return;
+    this.element.classList.add('hidden');
+    this.suggestions = [];
+    if (this.returnFocusEl && typeof this.returnFocusEl.focus === 'function') {
+      this.returnFocusEl.focus();
+    }
+  }
+
+  build() {
+    const el = document.createElement('div');
+    el.className = 'import-dialog relationship-dialog hidden';
+    el.setAttribute('role', 'dialog');
+    el.setAttribute('aria-modal', 'true');
+    el.setAttribute('aria-labelledby', 'relationshipDialogTitle');
+    el.innerHTML = `
+      <div class="dialog-overlay">
+        <div class="dialog-content" role="document">
+          <h3 id="relationshipDialogTitle">Suggested relationships</h3>
+          <p class="relationship-hint">Uncheck anything that isn't a real reference, then create the rest as connections.</p>
+          <ul class="relationship-list"></ul>
+          <div class="dialog-actions">
+            <button type="button" class="relationship-all-btn">Select all</button>
+            <button type="button" class="relationship-none-btn">Select none</button>
+            <span class="dialog-actions-spacer"></span>
+            <button type="button" class="relationship-cancel-btn">Cancel</button>
+            <button type="button" class="relationship-apply-btn primary">Create</button>
+          </div>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(el);
+    this.element = el;
+
+    el.querySelector('.relationship-all-btn').addEventListener('click', () => this.setAllChecked(true));
+    el.querySelector('.relationship-none-btn').addEventListener('click', () => this.setAllChecked(false));
+    el.querySelector('.relationship-cancel-btn').addEventListener('click', () => this.close());
+    el.querySelector('.relationship-apply-btn').addEventListener('click', () => this.apply());
+    el.querySelector('.relationship-list').addEventListener('change', () => this.updateApplyLabel());
+
+    // Close on overlay click
+    el.addEventListener('click', (e) => {
+      if (e.target === el || e.target.classList.contains('dialog-overlay')) {
+        this.close();
+      }
+    });
+
+    // Close on ESC
+    el.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        this.close();
+      }
+    });
+  }
+
+  renderList() {
+    const list = this.element.querySelector('.relationship-list');
+    list.innerHTML = this.suggestions.map((s, i) => `
+      <li>
+        <label title="${escapeHtml(s.reason)}">
+          <input type="checkbox" data-index="${i}" ${s.alternative ? '' : 'checked'}>
+          <span class="relationship-end">${escapeHtml(s.fromNode.title)}.<strong>${escapeHtml(s.fromVariable.name)}</strong></span>
+          <span class="relationship-arrow" aria-label="references">→</span>
+          <span class="relationship-end">${escapeHtml(s.toNode.title)}.<strong>${escapeHtml(s.toVariable.name)}</strong></span>
+          ${s.alternative ? '<span class="relationship-alt">(alternative)</span>' : ''}
+        </label>
+      </li>
+    `).join('');
+    this.updateApplyLabel();
+  }
+
+  getChecked() {
+    return [...this.element.querySelectorAll('.relationship-list input[type="checkbox"]')]
+      .filter(input => input.checked)
+      .map(input => this.suggestions[Number(input.dataset.index)]);
+  }
+
+  setAllChecked(checked) {
+    this.element.querySelectorAll('.relationship-list input[type="checkbox"]').forEach(input => {
+      input.checked = checked;
+    });
+    this.updateApplyLabel();
+  }
+
+  updateApplyLabel() {
+    const count = this.getChecked().length;
+    const btn = this.element.querySelector('.relationship-apply-btn');
+    btn.textContent = `Create ${count} connection${count === 1 ? '' : 's'}`;
+    btn.disabled = count === 0;
+  }
+
+  apply() {
+    const accepted = this.getChecked();
+    this.close();
+    applyRelationshipSuggestions(accepted);
+  }
+}
@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Edge markers: an arrowhead per flow kind and crow's-foot cardinality glyphs.
+ * Shared by the edge renderer and the legend so both always draw the same shapes.
+ */
+
+import { FLOW_KINDS, isValidFlowKind } from '../core/types.js';
+
+export const SVG_NS = 'http://www.w3.org/2000/svg';
+const UNIT = 0.6; // marker size per viewBox unit (times the edge stroke width)
+
+// Arrowhead per flow kind; the tip sits at x=0 and the head points along +x
+const FLOW_HEADS = {
+  [FLOW_KINDS.SYNC]: { length: 9, d: 'M-9,-3 L0,0 L-9,3 z' },
+  [FLOW_KINDS.ASYNC]: { length: 9, d: 'M-9,-3.5 L0,0 L-9,3.5', open: true },
+  [FLOW_KINDS.BATCH]: { length: 15, d: 'M-9,-3 L0,0 L-9,3 z M-15,-3 L-6,0 L-15,3 z' },
+  [FLOW_KINDS.READ]: { length: 7, d: 'M-7,0 A3.5,3.5 0 1,0 0,0 A3.5,3.5 0 1,0 -7,0 z', open: true },
+  [FLOW_KINDS.WRITE]: { length: 12, d: 'M-12,0 L-6,-3.5 L0,0 L-6,3.5 z' }
+};
+
+// Multiplicity of the source and target end for each cardinality
+const CARDINALITY_ENDS = {
+  '1:1': ['one', 'one'],
+  '1:N': ['one', 'many'],
+  'N:1': ['many', 'one'],
+  'N:M': ['many', 'many']
+};
+
+const GLYPH_LENGTH = 7;
+
+/**
+ * Flow kind of an edge, falling back to a sync call
+ * @param {Object} edge - Edge
+ * @returns {string} One of FLOW_KINDS
+ */
+export const getFlowKind = (edge) => (isValidFlowKind(edge?.flowKind) ? edge.flowKind : FLOW_KINDS.SYNC);
+
+/**
+ * Path data for a multiplicity glyph ending at x = offset: a bar for "one",
+ * a crow's foot opening towards the node for "many"
+ */
+function glyphPath(multiplicity, offset) {
+  if (multiplicity === 'many') {
+    const back = offset - GLYPH_LENGTH;
+    return `M${back},0 L${offset},-3.5 M${back},0 L${offset},3.5 M${back},0 L${offset},0`;
+  }
+  return `M${offset - 3},-3.5 L${offset - 3},3.5`;
+}
+
+function createMarker(defs, id, length, orient) {
+  const marker = document.createElementNS(SVG_NS, 'marker');
+  marker.setAttribute('id', id);
+  marker.setAttribute('viewBox', `${-length - 1} -4.5 ${length + 2} 9`);
+  marker.setAttribute('refX', '0');
+  marker.setAttribute('refY', '0');
+  marker.setAttribute('markerWidth', String((length + 2) * UNIT));
+  marker.setAttribute('markerHeight', String(9 * UNIT));
+  marker.setAttribute('orient', orient);
+  defs.appendChild(marker);
+  return marker;
+}
+
+function appendShape(marker, d, open) {
+  const path = document.createElementNS(SVG_NS, 'path');
+  path.setAttribute('d', d);
+  path.setAttribute('class', open ? 'edge-arrow open' : 'edge-arrow');
+  marker.appendChild(path);
+}
+
+/**
+ * Create the end marker (flow arrowhead plus target multiplicity) and, with a cardinality,
+ * the start marker (source multiplicity) for an edge, and attach them to its path
+ * @param {SVGDefsElement} defs - Where the markers are added
+ * @param {string} idPrefix - Unique prefix for the marker ids
+ * @param {Object} edge - Edge (flowKind / cardinality)
+ * @param {SVGPathElement} path - Path that gets marker-start / marker-end
+ */
+export function attachEdgeMarkers(defs, idPrefix, edge, path) {
+  const head = FLOW_HEADS[getFlowKind(edge)];
+  const ends = CARDINALITY_ENDS[edge?.cardinality];
+
+  const endLength = head.length + (ends ? GLYPH_LENGTH + 2 : 0);
+  const end = createMarker(defs, `${idPrefix}-end`, endLength, 'auto');
+  appendShape(end, head.d, head.open);
+  if (ends) appendShape(end, glyphPath(ends[1], -head.length - 2), true);
+  path.setAttribute('marker-end', `url(#${idPrefix}-end)`);
+
+  if (ends) {
+    // Reversed at the start, so +x points out of the path towards the source node
+    const start = createMarker(defs, `${idPrefix}-start`, GLYPH_LENGTH, 'auto-start-reverse');
+    appendShape(start, glyphPath(ends[0], 0), true);
+    path.setAttribute('marker-start', `url(#${idPrefix}-start)`);
+  }
+}
@@ -0,0 +1,162 @@
+/**
+ * @fileoverview Orthogonal edge routing: right-angle paths that go around node boxes, with rounded corners
+ */
+
+const STUB = 18;            // straight run out of / into a port before the first bend
+const CLEARANCE = 14;       // distance kept between a route and the node boxes it passes
+const CORNER_RADIUS = 8;
+const BEND_PENALTY = 40;    // prefer fewer bends over slightly shorter routes
+const CROSSING_PENALTY = 10000;
+
+/**
+ * Whether an axis-aligned segment passes through a box
+ * @param {{x: number, y: number}} a - Segment start
+ * @param {{x: number, y: number}} b - Segment end
+ * @param {{left: number, top: number, right: number, bottom: number}} box - Box
+ * @returns {boolean} True when the segment enters the box
+ */
+function segmentHitsBox(a, b, box) {
+  return Math.max(a.x, b.x) > box.left && Math.min(a.x, b.x) < box.right &&
+    Math.max(a.y, b.y) > box.top && Math.min(a.y, b.y) < box.bottom;
+}
+
+/**
+ * Drop repeated points and points in the middle of a straight run
+ */
+function simplify(points) {
+  const out = [];
+  points.forEach(p => {
+    const last = out[out.length - 1];
+    if (last && Math.abs(last.x - p.x) < 0.5 && Math.abs(last.y - p.y) < 0.5) return;
+    const prev = out[out.length - 2];
+    if (prev && last && ((prev.x === last.x && last.x === p.x) || (prev.y === last.y && last.y === p.y))) {
+      out[out.length - 1] = p;
+      return;
+    }
+    out.push(p);
+  });
+  return out;
+}
+
+/**
+ * Score a candidate route: length, bends and node boxes crossed by its middle segments
+ * @param {Object[]} candidate - Raw points: port, stub end, middle points, stub start, port
+ * @param {Object[]} points - The same route simplified
+ * @param {Object[]} boxes - Padded node boxes
+ * @returns {number} Cost (lower is better)
+ */
+function scoreRoute(candidate, points, boxes) {
+  let crossings = 0;
+  // The first and last segments are the port stubs; they touch their own node by design
+  for (let i = 2; i < candidate.length - 1; i++) {
+    crossings += boxes.filter(box => segmentHitsBox(candidate[i - 1], candidate[i], box)).length;
+  }
+  let length = 0;
+  for (let i = 1; i < points.length; i++) {
+    length += Math.abs(points[i].x - points[i - 1].x) + Math.abs(points[i].y - points[i - 1].y);
+  }
+  return length + (points.length - 2) * BEND_PENALTY + crossings * CROSSING_PENALTY;
+}
+
+/**
+ * Route an edge with horizontal/vertical segments only. Candidates run their middle
+ * segment through the midpoint or just outside a node box; the cheapest one wins.
+ * @param {{x: number, y: number}} from - Start point (at the source port)
+ * @param {'left'|'right'} fromSide - Side of the source node the edge leaves from
+ * @param {{x: number, y: number}} to - End point (at the target port)
+ * @param {'left'|'right'} toSide - Side of the target node the edge enters
+ * @param {Object[]} boxes - Node boxes in content coordinates ({left, top, right, bottom})
+ * @param {number} [laneOffset=0] - Shift for the middle segment so parallel edges don't overlap
+ * @returns {{x: number, y: number}[]} Route points, start and end included
+ */
+export function routeOrthogonal(from, fromSide, to, toSide, boxes, laneOffset = 0) {
+  const fromDir = fromSide === 'right' ? 1 : -1;
+  const toDir = toSide === 'right' ? 1 : -1;
+  const start = { x: from.x + fromDir * (STUB + Math.abs(laneOffset)), y: from.y };
+  const end = { x: to.x + toDir * (STUB + Math.abs(laneOffset)), y: to.y };
+
+  const padded = boxes.map(box => ({
+    left: box.left - CLEARANCE / 2,
+    top: box.top - CLEARANCE / 2,
+    right: box.right + CLEARANCE / 2,
+    bottom: box.bottom + CLEARANCE / 2
+  }));
+  const spread = CLEARANCE + Math.abs(laneOffset);
+
+  // Vertical channel candidates (horizontal - vertical - horizontal)
+  const xs = [(start.x + end.x) / 2 + laneOffset, start.x, end.x];
+  // Horizontal channel candidates (vertical - horizontal - vertical)
+  const ys = [(start.y + end.y) / 2 + laneOffset];
+  boxes.forEach(box => {
+    xs.push(box.left - spread, box.right + spread);
+    ys.push(box.top - spread, box.bottom + spread);
+  });
+
+  const candidates = [
+    ...xs.map(x => [from, start, { x, y: start.y }, { x, y: end.y }, end, to]),
+    ...ys.map(y => [from, start, { x: start.x, y }, { x: end.x, y }, end, to])
+  ];
+
+  let best = null;
+  let bestScore = Infinity;
+  candidates.forEach(candidate => {
+    const points = simplify(candidate);
+    const score = scoreRoute(candidate, points, padded);
+    if (score < bestScore) {
+      best = points;
+      bestScore = score;
+    }
+  });
+  return best;
+}
+
+/**
+ * Build SVG path data for a polyline, rounding each corner
+ * @param {{x: number, y: number}[]} points - Route points
+ * @param {number} [radius] - Corner radius (shrinks on short segments)
+ * @returns {string} Path data
+ */
+export function roundedPolylinePath(points, radius = CORNER_RADIUS) {
+  if (points.length === 0) return '';
+  let d = `M ${points[0].x} ${points[0].y}`;
+  for (let i = 1; i < points.length - 1; i++) {
+    const prev = points[i - 1];
+    const corner = points[i];
+    const next = points[i + 1];
+    const inLength = Math.hypot(corner.x - prev.x, corner.y - prev.y);
+    const outLength = Math.hypot(next.x - corner.x, next.y - corner.y);
+    const r = Math.min(radius, inLength / 2, outLength / 2);
+    const before = {
+      x: corner.x - ((corner.x - prev.x) / (inLength || 1)) * r,
+      y: corner.y - ((corner.y - prev.y) / (inLength || 1)) * r
+    };
+    const after = {
+      x: corner.x + ((next.x - corner.x) / (outLength || 1)) * r,
+      y: corner.y + ((next.y - corner.y) / (outLength || 1)) * r
+    };
+    d += ` L ${before.x} ${before.y} Q ${corner.x} ${corner.y}, ${after.x} ${after.y}`;
+  }
+  const last = points[points.length - 1];
+  return `${d} L ${last.x} ${last.y}`;
+}
+
+/**
+ * Spread edges that leave the same side of the same node into separate lanes
+ * @param {Object[]} edges - Diagram edges
+ * @param {number} [spacing=8] - Distance between lanes
+ * @returns {Map<string, number>} Edge id -> lane offset (centered on 0)
+ */
+export function computeLaneOffsets(edges, spacing = 8) {
+  const groups = new Map();
+  edges.forEach(edge => {
+    const key = `${edge.from.nodeId}:${edge.from.side || 'out'}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(edge.id);
+  });
+
+  const offsets = new Map();
+  groups.forEach(ids => {
+    ids.forEach((id, i) => offsets.set(id, (i - (ids.length - 1) / 2) * spacing));
+  });
+  return offsets;
+}
@@ -0,0 +1,12 @@
+/**
+ * @fileoverview HTML helpers for UI modules that build markup with template literals
+ */
+
+/**
+ * Escape text for use inside HTML attribute values and text content
+ * @param {*} value - Text (null/undefined become '')
+ * @returns {string} Escaped text
+ */
+export const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (c) => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[c]));